@@ -1,66 +1,259 @@
 const Homey = require('homey');
 const Session = require('./lib/session');
 const DataManager = require('./lib/datamanager');
-const { colorize, LOG_COLORS } = require('./lib/utils');
-const { EventEmitter } = require('./lib/event');
-const { WhiskerLoginException } = require('./lib/exceptions');
+const SnapshotStore = require('./lib/snapshotstore');
+const TokenStore = require('./lib/tokenstore');
+const { colorize, LOG_COLORS, TOKEN_CONFIG } = require('./lib/utils');
+const { EventEmitter, EVENTS } = require('./lib/event');
+const { WhiskerLoginException, getRefreshTokenRejection } = require('./lib/exceptions');
+const { createReauthNotification } = require('./lib/notifications');
 
 /**
  * Main application class for the Whisker Homey app.
  * Manages centralized authentication, data management, and device coordination
  * for all Whisker devices (Litter-Robot 4, pet tracking, etc.).
+ * Every signed-in Whisker account has its own session and data manager, keyed
+ * by Cognito user ID, and each device stores the account it belongs to.
  */
 class WhiskerApp extends Homey.App {
 
   async onInit() {
     this.log(colorize(LOG_COLORS.INFO, 'Initializing Whisker app...'));
-    this._session = null;
-    this._eventEmitter = new EventEmitter();
-    this._eventEmitter.setMaxListeners(100);
-    this._initializeDataManager();
-    await this._restoreSession();
+    this._accounts = new Map();
+    this._restoreRetryTimers = new Map();
+    this._tokenStore = new TokenStore(this.homey);
+    await this._tokenStore.init();
+    this._snapshotStore = new SnapshotStore(this.homey);
+    await this._restoreSessions();
     this.log(colorize(LOG_COLORS.SUCCESS, 'Whisker app initialization completed successfully'));
   }
 
   /**
-   * Initializes the data management system to handle cross-device communication
-   * and centralized data processing for all Whisker devices.
+   * Attempts to restore the session of every account from stored authentication tokens.
+   * This enables seamless app restarts without requiring re-authentication
+   * when valid tokens are available.
    */
-  _initializeDataManager() {
-    this._dataManager = null;
-    this.log(colorize(LOG_COLORS.INFO, 'Data management system initialized'));
+  async _restoreSessions() {
+    const accountIds = this._tokenStore.getAccountIds();
+    if (!accountIds.length) {
+      this.log(colorize(LOG_COLORS.WARNING, 'No valid stored session found, user will need to authenticate'));
+      return;
+    }
+    if (accountIds.length === 1) {
+      await this._assignUnownedDevices(accountIds[0]);
+    }
+    for (const accountId of accountIds) {
+      await this._restoreSession(accountId);
+    }
   }
 
   /**
-   * Attempts to restore user session from stored authentication tokens.
-   * This enables seamless app restarts without requiring re-authentication
-   * when valid tokens are available.
+   * Restores the session of a single account from its stored tokens.
+   * Only a rejected refresh token asks the user to sign in again; other
+   * failures, such as a network error during boot, keep the tokens and retry.
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  async _restoreSession(accountId) {
+    let session = null;
+    try {
+      this.log(colorize(LOG_COLORS.INFO, `Found stored tokens for account ${accountId}, attempting to restore session...`));
+      session = new Session({
+        tokens: this._tokenStore.getTokens(accountId),
+        homey: this.homey,
+        eventEmitter: new EventEmitter(),
+        tokenStore: this._tokenStore,
+      });
+
+      if (!session.isSessionValid()) {
+        await session.refreshSession();
+      }
+      await this._registerAccount(accountId, session);
+      this.log(colorize(LOG_COLORS.SUCCESS, `Session for ${session.getEmail()} restored successfully from stored tokens`));
+    } catch (error) {
+      this.error(colorize(LOG_COLORS.ERROR, `Error restoring session for account ${accountId} from storage:`), error.message);
+      const rejection = getRefreshTokenRejection(error);
+      if (rejection) {
+        await this._handleReauthenticationRequired(accountId, rejection.reason, rejection.message, session?.getEmail());
+        return;
+      }
+      if (session) {
+        session.stopTokenRefresh();
+        session.closeAllWebSockets();
+      }
+      this._scheduleRestoreRetry(accountId);
+    }
+  }
+
+  /**
+   * Retries restoring an account's session after a transient failure.
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  _scheduleRestoreRetry(accountId) {
+    this._clearRestoreRetry(accountId);
+    this.log(colorize(LOG_COLORS.WARNING, `Retrying session restore for account ${accountId} in ${TOKEN_CONFIG.REFRESH_RETRY_SECONDS} seconds`));
+    this._restoreRetryTimers.set(accountId, this.homey.setTimeout(() => {
+      this._restoreRetryTimers.delete(accountId);
+      // A repair may have signed the account in while waiting
+      if (this._accounts.has(accountId)) return;
+      this._restoreSession(accountId);
+    }, TOKEN_CONFIG.REFRESH_RETRY_SECONDS * 1000));
+  }
+
+  /**
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  _clearRestoreRetry(accountId) {
+    const timer = this._restoreRetryTimers.get(accountId);
+    if (timer) {
+      this.homey.clearTimeout(timer);
+      this._restoreRetryTimers.delete(accountId);
+    }
+  }
+
+  /**
+   * Makes a signed-in session available to the devices of its account.
+   * Each account has its own event emitter, so cleaning up one account never
+   * removes the listeners of devices that belong to another.
+   * @param {string} accountId - Cognito user ID of the account
+   * @param {Session} session - Signed-in session of the account
+   */
+  async _registerAccount(accountId, session) {
+    const eventEmitter = session.getEventEmitter();
+    eventEmitter.on(EVENTS.AUTHENTICATION_FAILED, ({ reason, message }) => {
+      this._handleReauthenticationRequired(accountId, reason, message, session.getEmail());
+    });
+    session.startTokenRefresh();
+
+    this._accounts.set(accountId, {
+      session,
+      dataManager: new DataManager(session, this.homey, () => this.removeUnusedAccount(accountId), eventEmitter),
+    });
+    this._clearReauthRequired(accountId);
+    this._clearRestoreRetry(accountId);
+
+    if (this._accounts.size === 1) {
+      await this._assignUnownedDevices(accountId);
+    }
+    await this._reinitializeDevices(accountId);
+  }
+
+  /**
+   * Stops the session and data manager of an account, keeping its stored tokens.
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  _unregisterAccount(accountId) {
+    const account = this._accounts.get(accountId);
+    if (!account) return;
+    account.session.stopTokenRefresh();
+    account.session.closeAllWebSockets();
+    account.dataManager.destroyDataManager();
+    this._accounts.delete(accountId);
+  }
+
+  /**
+   * Handles a session that can no longer be refreshed. The devices of the
+   * account are marked unavailable, and the user is told once, through the
+   * timeline and the "account needs re-login" trigger, until a repair signs in again.
+   * @param {string} accountId - Cognito user ID of the account
+   * @param {string} reason - Reason code, e.g. 'refresh_token_revoked'
+   * @param {string} message - Description of why a new login is needed
+   * @param {string|null} [email] - E-mail address of the account, when known
    */
-  async _restoreSession() {
+  async _handleReauthenticationRequired(accountId, reason, message, email = null) {
+    const required = this.homey.settings.get('reauth_required') || {};
+    const alreadyRequired = required[accountId];
+    const account = email || alreadyRequired?.email || accountId;
+    this.homey.settings.set('reauth_required', {
+      ...required,
+      [accountId]: {
+        reason, message, email: account, since: alreadyRequired?.since || Date.now(),
+      },
+    });
+    this.log(colorize(LOG_COLORS.WARNING, `Whisker account ${account} needs to be signed in again (${reason})`));
+
     try {
-      const storedTokens = this.homey.settings.get('cognito_tokens');
-      if (storedTokens) {
-        this.log(colorize(LOG_COLORS.INFO, 'Found stored tokens, attempting to restore session...'));
-        this._session = new Session({
-          tokens: storedTokens,
-          homey: this.homey,
-          eventEmitter: this._eventEmitter,
-          onTokensRefreshed: (tokens) => this.homey.settings.set('cognito_tokens', tokens),
+      await this.signOut(accountId);
+    } catch (error) {
+      // signOut already logged the failure, devices are marked unavailable regardless
+    }
+    this._tokenStore.clearTokens(accountId);
+
+    await this._setDevicesUnavailable(accountId, this.homey.__('reauth.unavailable'));
+
+    if (alreadyRequired) return;
+
+    await createReauthNotification(this.homey, account);
+    this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [account_needs_relogin] (${reason})`)}`);
+    await this.homey.flow.getTriggerCard('account_needs_relogin')
+      .trigger({ reason: message, account })
+      .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger account_needs_relogin:'), err));
+  }
+
+  /**
+   * Clears the re-login state of an account after it signed in again.
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  _clearReauthRequired(accountId) {
+    const { [accountId]: cleared, ...required } = this.homey.settings.get('reauth_required') || {};
+    if (cleared) {
+      this.homey.settings.set('reauth_required', required);
+    }
+  }
+
+  /**
+   * Marks every device of an account unavailable with the given reason.
+   * @param {string} accountId - Cognito user ID of the account
+   * @param {string} reason - Localized reason shown on the devices
+   */
+  async _setDevicesUnavailable(accountId, reason) {
+    try {
+      for (const device of await this._getAccountDevices(accountId)) {
+        await device.setUnavailable(reason).catch((error) => {
+          this.error(colorize(LOG_COLORS.ERROR, `Failed to mark device ${device.getName()} unavailable:`), error);
         });
+      }
+    } catch (error) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Error marking devices unavailable:'), error);
+    }
+  }
 
-        if (!this._session.isSessionValid()) {
-          await this._session.refreshSession();
-        }
+  /**
+   * @returns {Promise<Array<Homey.Device>>} Devices of all Whisker drivers
+   */
+  async _getAllDevices() {
+    const drivers = await this.homey.drivers.getDrivers();
+    const devices = [];
+    for (const driver of Object.values(drivers)) {
+      devices.push(...await driver.getDevices());
+    }
+    return devices;
+  }
 
-        this._dataManager = new DataManager(this._session, this.homey, () => this.onUninit(), this._eventEmitter);
-        await this._reinitializeDevices();
-        this.log(colorize(LOG_COLORS.SUCCESS, 'Session restored successfully from stored tokens'));
-      } else {
-        this.log(colorize(LOG_COLORS.WARNING, 'No valid stored session found, user will need to authenticate'));
+  /**
+   * @param {string} accountId - Cognito user ID of the account
+   * @returns {Promise<Array<Homey.Device>>} Devices that belong to the account
+   */
+  async _getAccountDevices(accountId) {
+    const devices = await this._getAllDevices();
+    return devices.filter((device) => device.getStoreValue('account_id') === accountId);
+  }
+
+  /**
+   * Assigns devices paired before multiple accounts were supported to an
+   * account. Only called while a single account is known, since those devices
+   * all belonged to the one account the app could sign in to.
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  async _assignUnownedDevices(accountId) {
+    try {
+      for (const device of await this._getAllDevices()) {
+        if (!device.getStoreValue('account_id')) {
+          await device.setStoreValue('account_id', accountId);
+          this.log(colorize(LOG_COLORS.SYSTEM, `Assigned device ${device.getName()} to account ${accountId}`));
+        }
       }
     } catch (error) {
-      this.error(colorize(LOG_COLORS.ERROR, 'Error restoring session from storage:'), error.message);
-      this.homey.settings.unset('cognito_tokens');
+      this.error(colorize(LOG_COLORS.ERROR, 'Error assigning devices to account:'), error);
     }
   }
 
@@ -79,7 +272,6 @@ class WhiskerApp extends Homey.App {
       username,
       password,
       homey: this.homey,
-      eventEmitter: this._eventEmitter,
       onTokensRefreshed: () => {
         // Do nothing - this is a temporary session for validation only
       },
@@ -101,33 +293,46 @@ class WhiskerApp extends Homey.App {
 
   /**
    * Initializes a new API session using user credentials.
-   * Creates the data manager and re-registers all devices to ensure
-   * they have access to the new session and can communicate properly.
+   * The session is registered under the account's Cognito user ID and the
+   * devices of that account are re-initialized so they can communicate properly.
+   * Logging in to an account that is already signed in keeps its current
+   * session, unless replace is set: repairs swap in the new session without
+   * signing the account out, so its other devices keep working.
+   * @param {string} username - Username for authentication
+   * @param {string} password - Password for authentication
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Replace a session the account already has
+   * @returns {Promise<Session>} Session of the account
    */
-  async initializeSession(username, password) {
-    if (this._session && this._session.isSessionValid()) {
-      this.log(colorize(LOG_COLORS.WARNING, 'Session already initialized'));
-      return this._session;
-    }
-
+  async initializeSession(username, password, { replace = false } = {}) {
     this.log(colorize(LOG_COLORS.INFO, 'Initializing session with credentials...'));
 
     const session = new Session({
       username,
       password,
       homey: this.homey,
-      eventEmitter: this._eventEmitter,
-      onTokensRefreshed: (tokens) => this.homey.settings.set('cognito_tokens', tokens),
+      eventEmitter: new EventEmitter(),
+      tokenStore: this._tokenStore,
     });
 
     try {
       await session.login();
 
-      this._session = session;
-      this._dataManager = new DataManager(this._session, this.homey, () => this.onUninit(), this._eventEmitter);
-      await this._reinitializeDevices();
-      this.log(colorize(LOG_COLORS.SUCCESS, 'Session initialized successfully'));
-      return this._session;
+      const accountId = session.getAccountId();
+      if (!accountId) {
+        throw new WhiskerLoginException('Could not determine the Whisker account of this login');
+      }
+
+      const existing = this._accounts.get(accountId);
+      if (existing && existing.session.isSessionValid() && !replace) {
+        this.log(colorize(LOG_COLORS.WARNING, `Session for ${session.getEmail()} already initialized`));
+        return existing.session;
+      }
+      this._unregisterAccount(accountId);
+
+      await this._registerAccount(accountId, session);
+      this.log(colorize(LOG_COLORS.SUCCESS, `Session for ${session.getEmail()} initialized successfully`));
+      return session;
     } catch (error) {
       if (error instanceof WhiskerLoginException) {
         this.log(colorize(LOG_COLORS.WARNING, `Authentication failed: ${error.message}`));
@@ -139,32 +344,33 @@ class WhiskerApp extends Homey.App {
   }
 
   /**
-   * Re-initializes all existing devices after session re-authentication or app startup.
-   * Pet devices register with DataManager for centralized polling, while LR3 and LR4
-   * devices set up their own WebSocket connections independently.
+   * Re-initializes the devices of an account after session re-authentication or app startup.
+   * Pet devices register with DataManager for centralized polling, LR3 and LR4
+   * devices set up their own WebSocket connections, and Feeder-Robots restart polling.
+   * @param {string} accountId - Cognito user ID of the account
    */
-  async _reinitializeDevices() {
-    this.log(colorize(LOG_COLORS.INFO, 'Re-initializing devices after session change...'));
+  async _reinitializeDevices(accountId) {
+    this.log(colorize(LOG_COLORS.INFO, `Re-initializing devices of account ${accountId} after session change...`));
 
     try {
-      const drivers = await this.homey.drivers.getDrivers();
-
-      for (const driver of Object.values(drivers)) {
-        const driverDevices = await driver.getDevices();
-
-        for (const device of driverDevices) {
-          try {
-            this.log(colorize(LOG_COLORS.INFO, `Re-initializing device ${device.getName()}...`));
-            if (typeof device._registerWithDataManager === 'function') {
-              await device._registerWithDataManager();
-              this.log(colorize(LOG_COLORS.SUCCESS, `Device ${device.getName()} re-initialized successfully`));
-            } else if (typeof device._setupWebSocket === 'function') {
-              await device._setupWebSocket();
-              this.log(colorize(LOG_COLORS.SUCCESS, `Device ${device.getName()} re-initialized successfully`));
-            }
-          } catch (error) {
-            this.error(colorize(LOG_COLORS.ERROR, `Failed to re-initialize device ${device.getName()}:`), error);
+      const accountDevices = await this._getAccountDevices(accountId);
+
+      for (const device of accountDevices) {
+        try {
+          this.log(colorize(LOG_COLORS.INFO, `Re-initializing device ${device.getName()}...`));
+          if (typeof device._registerWithDataManager === 'function') {
+            await device._registerWithDataManager();
+            this.log(colorize(LOG_COLORS.SUCCESS, `Device ${device.getName()} re-initialized successfully`));
+          } else if (typeof device._setupWebSocket === 'function') {
+            await device._setupWebSocket();
+            this.log(colorize(LOG_COLORS.SUCCESS, `Device ${device.getName()} re-initialized successfully`));
+          } else if (typeof device._startPolling === 'function') {
+            await device._startPolling();
+            this.log(colorize(LOG_COLORS.SUCCESS, `Device ${device.getName()} re-initialized successfully`));
           }
+          await device.setAvailable();
+        } catch (error) {
+          this.error(colorize(LOG_COLORS.ERROR, `Failed to re-initialize device ${device.getName()}:`), error);
         }
       }
 
@@ -174,38 +380,59 @@ class WhiskerApp extends Homey.App {
     }
   }
 
-  get session() {
-    return this._session;
+  /**
+   * @param {string} accountId - Cognito user ID of the account
+   * @returns {Session|null} Session of the account, or null when it is not signed in
+   */
+  getSession(accountId) {
+    return this._accounts.get(accountId)?.session || null;
   }
 
-  get apiSession() {
-    return this._session;
+  /**
+   * @param {string} accountId - Cognito user ID of the account
+   * @returns {DataManager|null} Data manager of the account, or null when it is not signed in
+   */
+  getDataManager(accountId) {
+    return this._accounts.get(accountId)?.dataManager || null;
   }
 
-  get dataManager() {
-    return this._dataManager;
+  /**
+   * Lists the signed-in accounts, so pairing can offer them before asking for a new login.
+   * @returns {Array<{id: string, email: string|null}>} Signed-in accounts
+   */
+  getAccounts() {
+    return [...this._accounts].map(([id, { session }]) => ({ id, email: session.getEmail() }));
   }
 
-  get cognitoSession() {
-    return this._session;
+  get snapshotStore() {
+    return this._snapshotStore;
   }
 
   /**
-   * Signs out the current user session, clearing authentication and cleaning up resources.
-   * Used during repair flows to ensure fresh authentication.
+   * Localized reason to show on devices while their account needs a new login,
+   * or null when the session is fine.
+   * @param {string} accountId - Cognito user ID of the account
+   * @returns {string|null}
    */
-  async signOut() {
-    this.log(colorize(LOG_COLORS.INFO, 'Signing out current session...'));
+  getReauthMessage(accountId) {
+    const required = this.homey.settings.get('reauth_required') || {};
+    return required[accountId] ? this.homey.__('reauth.unavailable') : null;
+  }
+
+  /**
+   * Signs out an account, clearing its authentication and cleaning up its resources.
+   * Devices of other accounts are not affected. Used during repair flows to ensure
+   * fresh authentication.
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  async signOut(accountId) {
+    const account = this._accounts.get(accountId);
+    if (!account) return;
+
+    this.log(colorize(LOG_COLORS.INFO, `Signing out ${account.session.getEmail() || accountId}...`));
     try {
-      if (this._session) {
-        this._session.signOut();
-        this._session.closeAllWebSockets();
-      }
-      this._session = null;
-      if (this._dataManager) {
-        this._dataManager.destroyDataManager();
-        this._dataManager = null;
-      }
+      account.session.signOut();
+      this._unregisterAccount(accountId);
       this.log(colorize(LOG_COLORS.SUCCESS, 'Sign out completed successfully'));
     } catch (error) {
       this.error(colorize(LOG_COLORS.ERROR, 'Error during sign out:'), error);
@@ -213,6 +440,19 @@ class WhiskerApp extends Homey.App {
     }
   }
 
+  /**
+   * Signs out an account that no device belongs to, e.g. after a pairing
+   * attempt that found nothing to add or when its last pet was removed.
+   * @param {string} accountId - Cognito user ID of the account
+   */
+  async removeUnusedAccount(accountId) {
+    if (!this._accounts.has(accountId)) return;
+    const devices = await this._getAccountDevices(accountId);
+    if (devices.length === 0) {
+      await this.signOut(accountId);
+    }
+  }
+
   /**
    * Cleanup method called when the app is being destroyed.
    * Ensures proper resource cleanup and session termination.
@@ -220,16 +460,15 @@ class WhiskerApp extends Homey.App {
   async onUninit() {
     this.log(colorize(LOG_COLORS.INFO, 'Whisker app is being destroyed, cleaning up resources...'));
     try {
-      if (this._session) {
-        this._session.signOut();
-        this._session.closeAllWebSockets();
+      for (const accountId of [...this._restoreRetryTimers.keys()]) {
+        this._clearRestoreRetry(accountId);
       }
-      if (this._dataManager) {
-        this._dataManager.destroyDataManager();
-        this._dataManager = null;
+      for (const [accountId, { session }] of this._accounts) {
+        session.signOut();
+        this._unregisterAccount(accountId);
       }
-      if (this._eventEmitter) {
-        this._eventEmitter.removeAllListeners();
+      if (this._snapshotStore) {
+        this._snapshotStore.flush();
       }
       this.log(colorize(LOG_COLORS.SUCCESS, 'Whisker app cleanup completed successfully'));
     } catch (error) {
@@ -0,0 +1,590 @@
+const Homey = require('homey');
+const FeederRobotData = require('../../lib/feederrobotdata');
+const { colorize, LOG_COLORS } = require('../../lib/utils');
+const { handleCapabilityError } = require('../../lib/notifications');
+const CommandQueue = require('../../lib/commandqueue');
+
+/**
+ * Feeder-Robot device handler that manages feeder state and capabilities.
+ * The feeder API has no WebSocket feed, so state is refreshed by polling.
+ */
+module.exports = class FeederRobotDevice extends Homey.Device {
+
+  /**
+   * Cognito user ID of the Whisker account this device belongs to.
+   * @returns {string|null}
+   */
+  get accountId() {
+    return this.getStoreValue('account_id') || null;
+  }
+
+  /**
+   * Initializes device state, fetches the feeder unit, and starts polling.
+   * Sets device availability based on initialization success.
+   */
+  async onInit() {
+    this.log(colorize(LOG_COLORS.INFO, 'Initializing Feeder-Robot device...'));
+
+    this._commandQueue = new CommandQueue(this);
+
+    try {
+      const data = this.getData();
+      this.robotSerial = data.id;
+
+      if (!this.robotSerial) {
+        throw new Error('Invalid device data. Missing feeder serial.');
+      }
+
+      this.log(colorize(LOG_COLORS.INFO, `Device initialized with feeder serial: ${this.robotSerial}`));
+
+      await this._initializeCapabilities();
+      await this._fetchRobotData();
+      await this._registerCapabilityListeners();
+      await this._startPolling();
+      this._scheduleCommandQueueExpiry();
+
+      this.log(colorize(LOG_COLORS.SUCCESS, 'Device initialization completed successfully'));
+
+      if (this.setAvailable) {
+        this.setAvailable();
+      }
+
+    } catch (err) {
+      if (err.message && err.message.includes('No API session available')) {
+        this.log(colorize(LOG_COLORS.WARNING, 'Device initialization deferred - no session available'));
+        if (this.setUnavailable) {
+          this.setUnavailable(this.homey.app.getReauthMessage(this.accountId) || err.message);
+          this.log(colorize(LOG_COLORS.INFO, 'Device marked as unavailable until authentication'));
+        }
+        return;
+      }
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to initialize device:'), err);
+      if (this.setUnavailable) {
+        this.setUnavailable(err.message);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Initializes capabilities with safe defaults to avoid undefined UI before the first update.
+   * @private
+   */
+  async _initializeCapabilities() {
+    const initialCapabilities = {
+      measure_food_level: null,
+      last_meal: 'Loading...',
+      gravity_mode_enabled: false,
+      alarm_connectivity: false,
+    };
+
+    for (const [capability, value] of Object.entries(initialCapabilities)) {
+      this.setCapabilityValue(capability, value).catch((err) => {
+        handleCapabilityError(err, capability, 'initialize', this);
+      });
+    }
+
+    this.log(colorize(LOG_COLORS.INFO, 'Capabilities initialized successfully'));
+  }
+
+  /**
+   * Fetches the feeder unit from the API session to populate device state.
+   * @private
+   */
+  async _fetchRobotData() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session || !session.isSessionValid()) {
+        throw new Error('No API session available. Please repair device.');
+      }
+
+      this.robot = await session.getFeeder(this.robotSerial);
+      this.log(colorize(LOG_COLORS.INFO, `Connected to feeder: ${this.robot.name || this.robot.serial}`));
+
+      this.robotData = new FeederRobotData({
+        robot: this.robot,
+        settings: this._getSettingsForRobotData(),
+      });
+
+      await this._updateDeviceSettings(this.robotData);
+
+    } catch (err) {
+      if (err.message && err.message.includes('No API session available')) {
+        this.log(colorize(LOG_COLORS.WARNING, 'Session not available, device will be unavailable until repaired'));
+      } else {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to fetch feeder data:'), err);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Gets settings with homeyTimezone for creating FeederRobotData instances.
+   * @returns {Object} Settings object with homeyTimezone
+   * @private
+   */
+  _getSettingsForRobotData() {
+    return {
+      ...this.getSettings(),
+      homeyTimezone: this.homey.clock.getTimezone(),
+    };
+  }
+
+  /**
+   * Updates settings with feeder metadata so device information renders in the user's preferred format.
+   * @param {FeederRobotData} robotData - Feeder data
+   * @private
+   */
+  async _updateDeviceSettings(robotData) {
+    try {
+      const mealSize = FeederRobotData.formatCups(robotData.mealInsertSizeCups);
+
+      await this.setSettings({
+        device_serial: robotData.serial || 'Unknown',
+        device_setup_date: robotData.createdAtFormatted || 'Unknown',
+        device_meal_insert_size: mealSize || 'Unknown',
+        device_active_schedule: robotData.activeScheduleName || 'None',
+      }).catch((err) => {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to update device settings:'), err);
+      });
+
+      this.log(colorize(LOG_COLORS.INFO, 'Device settings updated with feeder information'));
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update device settings:'), err);
+    }
+  }
+
+  /**
+   * Starts periodic polling of the feeder state. Also called by the app after
+   * re-authentication, so any existing interval is replaced.
+   * @private
+   */
+  async _startPolling() {
+    const session = this.homey.app.getSession(this.accountId);
+    if (!session || !session.isSessionValid()) {
+      this.log(colorize(LOG_COLORS.WARNING, 'Session not available, polling setup deferred'));
+      return;
+    }
+
+    this._stopPolling();
+
+    this.log(colorize(LOG_COLORS.INFO, 'Starting Feeder-Robot polling...'));
+    this._pollInterval = this.homey.setInterval(() => {
+      this._poll();
+    }, FeederRobotData.Defaults.POLL_INTERVAL);
+
+    await this._poll();
+    this._replayCommandQueue();
+
+    if (this.setAvailable) {
+      this.setAvailable();
+      this.log(colorize(LOG_COLORS.SUCCESS, 'Device marked as available'));
+    }
+  }
+
+  /**
+   * Stops the polling interval and any pending refresh.
+   * @private
+   */
+  _stopPolling() {
+    if (this._pollInterval) {
+      this.homey.clearInterval(this._pollInterval);
+      this._pollInterval = null;
+    }
+    if (this._refreshTimeout) {
+      this.homey.clearTimeout(this._refreshTimeout);
+      this._refreshTimeout = null;
+    }
+  }
+
+  /**
+   * Fetches the latest feeder state and applies it to the device.
+   * @private
+   */
+  async _poll() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session) return;
+
+      const feeder = await session.getFeeder(this.robotSerial);
+      await this._handleRobotUpdate(feeder);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to poll feeder state:'), err);
+    }
+  }
+
+  /**
+   * Schedules a one-off refresh shortly after a command so the result of the
+   * command is reflected without waiting for the next poll.
+   * @private
+   */
+  _scheduleRefresh() {
+    if (this._refreshTimeout) {
+      this.homey.clearTimeout(this._refreshTimeout);
+    }
+    this._refreshTimeout = this.homey.setTimeout(() => {
+      this._refreshTimeout = null;
+      this._poll();
+    }, FeederRobotData.Defaults.COMMAND_REFRESH_DELAY);
+  }
+
+  /**
+   * Registers capability listeners that translate UI actions into feeder commands.
+   * @private
+   */
+  async _registerCapabilityListeners() {
+    this.registerCapabilityListener('give_snack', async () => {
+      await this.giveSnack();
+    });
+  }
+
+  /**
+   * Dispenses a single snack portion.
+   */
+  async giveSnack() {
+    this.log(colorize(LOG_COLORS.COMMAND, 'Giving snack'));
+    await this._sendCommand(FeederRobotData.Commands.GIVE_SNACK);
+  }
+
+  /**
+   * Dispenses a meal of the given number of portions.
+   * @param {number} portions - Number of portions to dispense
+   */
+  async dispenseMeal(portions) {
+    const value = FeederRobotData.validatePortions(portions);
+    this.log(colorize(LOG_COLORS.COMMAND, `Dispensing meal of ${value} portion(s)`));
+    await this._sendCommand(FeederRobotData.Commands.DISPENSE_MEAL, value);
+  }
+
+  /**
+   * Sends a command, or queues it while the feeder is offline so it runs once
+   * the feeder is back. Setting the queue expiry to 0 disables queuing.
+   * @param {string} command - Command from FeederRobotData.Commands
+   * @param {*} [value=null] - Command value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendCommand(command, value = null) {
+    const expiryMinutes = this.getSetting('command_queue_expiry') ?? 60;
+    if (this.robotData && !this.robotData.isOnline && expiryMinutes > 0) {
+      this.log(colorize(LOG_COLORS.WARNING, `Feeder is offline, queuing ${command} for ${expiryMinutes} minutes`));
+      await this._commandQueue.enqueue(command, value, { ttl: expiryMinutes * 60 * 1000 });
+      this._scheduleCommandQueueExpiry();
+      return;
+    }
+
+    await this._executeCommand(command, value);
+  }
+
+  /**
+   * Sends a command and schedules a refresh to pick up its result.
+   * @param {string} command - Command from FeederRobotData.Commands
+   * @param {*} [value=null] - Command value
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _executeCommand(command, value = null) {
+    await this.homey.app.getSession(this.accountId).sendCommand(this.robotSerial, command, value, 'feeder_robot');
+    this._scheduleRefresh();
+  }
+
+  /**
+   * Replays commands queued while the feeder was offline, in the order they
+   * were issued, and reports the outcome of each.
+   * @private
+   */
+  async _replayCommandQueue() {
+    if (this._commandQueue.getEntries().length === 0) return;
+
+    try {
+      const results = await this._commandQueue.replay(
+        (entry) => this._executeCommand(entry.command, entry.payload),
+        { canExecute: () => this.robotData?.isOnline === true },
+      );
+      this._reportQueuedCommands(results);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to replay queued commands:'), err);
+    }
+    this._scheduleCommandQueueExpiry();
+  }
+
+  /**
+   * Schedules a check for the queued command that expires first, so expired
+   * commands are reported even while the feeder stays offline.
+   * @private
+   */
+  _scheduleCommandQueueExpiry() {
+    this._clearCommandQueueExpiry();
+
+    const nextExpiry = this._commandQueue.getNextExpiry();
+    if (nextExpiry === null) return;
+
+    this._commandQueueTimeout = this.homey.setTimeout(async () => {
+      this._commandQueueTimeout = null;
+      try {
+        const expired = await this._commandQueue.takeExpired();
+        this._reportQueuedCommands(expired.map((entry) => ({ entry, result: CommandQueue.Results.EXPIRED, error: null })));
+      } catch (err) {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to expire queued commands:'), err);
+      }
+      this._scheduleCommandQueueExpiry();
+    }, Math.max(0, nextExpiry - Date.now()) + 1000);
+  }
+
+  /**
+   * Cancels the pending queue expiry check.
+   * @private
+   */
+  _clearCommandQueueExpiry() {
+    if (this._commandQueueTimeout) {
+      this.homey.clearTimeout(this._commandQueueTimeout);
+      this._commandQueueTimeout = null;
+    }
+  }
+
+  /**
+   * Triggers the queued command card for each finished queue entry.
+   * @param {Array<Object>} results - Results ({ entry, result, error }) from the command queue
+   * @private
+   */
+  _reportQueuedCommands(results) {
+    for (const { entry, result, error } of results) {
+      const queuedMinutes = Math.round((Date.now() - entry.queuedAt) / 60000);
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [FEEDER_queued_command_finished] (${entry.command}: ${result} after ${queuedMinutes} min)`)}`);
+      this.homey.flow.getDeviceTriggerCard('FEEDER_queued_command_finished')
+        .trigger(this, {
+          command: entry.command,
+          result,
+          queued_minutes: queuedMinutes,
+          error: error?.message || '',
+        }, { result })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger FEEDER_queued_command_finished:'), err));
+    }
+  }
+
+  /**
+   * Returns the meals of the active schedule as last reported by the feeder.
+   * @returns {Array<Object>} Normalized meals
+   */
+  getMeals() {
+    return this.robotData ? this.robotData.meals : [];
+  }
+
+  /**
+   * Fetches the latest feeder state and finds a meal of the active schedule by
+   * name, so flows read the schedule as it is now rather than as last polled.
+   * @param {string} mealName - Meal name (case-insensitive)
+   * @returns {Promise<Object|null>} Normalized meal or null if not found
+   * @throws {Error} If the account of the feeder is signed out
+   */
+  async fetchMeal(mealName) {
+    const session = this.homey.app.getSession(this.accountId);
+    if (!session || !session.isSessionValid()) {
+      throw new Error(this.homey.app.getReauthMessage(this.accountId) || 'No API session available. Please repair device.');
+    }
+
+    await this._handleRobotUpdate(await session.getFeeder(this.robotSerial));
+    return this.getMeal(mealName);
+  }
+
+  /**
+   * Finds a meal of the active schedule by name.
+   * @param {string} mealName - Meal name (case-insensitive)
+   * @returns {Object|null} Normalized meal or null if not found
+   */
+  getMeal(mealName) {
+    const name = String(mealName).trim().toLowerCase();
+    return this.getMeals().find((m) => m.name.toLowerCase() === name) || null;
+  }
+
+  /**
+   * Processes incoming feeder state from polling.
+   * @param {Object} data - Feeder unit data
+   * @private
+   */
+  async _handleRobotUpdate(data) {
+    if (!data) return;
+
+    this.robot = { ...this.robot, ...data };
+
+    try {
+      await this._updateCapabilities(this.robot);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update capabilities:'), err);
+    }
+  }
+
+  /**
+   * Updates device capabilities from feeder data and triggers flow cards for
+   * changed capabilities.
+   * @param {Object} data - Feeder unit data
+   * @private
+   */
+  async _updateCapabilities(data) {
+    try {
+      this.robotData = new FeederRobotData({
+        robot: data,
+        settings: this._getSettingsForRobotData(),
+      });
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.WARNING, 'Failed to create robotData instance:'), err);
+      return;
+    }
+
+    const { robotData } = this;
+
+    const updates = [
+      ['measure_food_level', robotData.foodLevelPercentage],
+      ['last_meal', robotData.lastMealDescription || 'No meals yet'],
+      ['gravity_mode_enabled', robotData.isGravityModeEnabled],
+      ['alarm_connectivity', !robotData.isOnline],
+    ];
+
+    const changes = new Set();
+
+    for (const [capability, newValue] of updates) {
+      if (newValue === undefined || newValue === null) continue;
+
+      const oldValue = this.getCapabilityValue(capability);
+
+      if (oldValue === 'Loading...') {
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Initializing capability [${capability}]: ${newValue}`)}`);
+        this.setCapabilityValue(capability, newValue).catch((err) => {
+          handleCapabilityError(err, capability, 'initialize', this);
+        });
+        continue;
+      }
+
+      if (newValue !== oldValue) {
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [${capability}] changed: ${oldValue} → ${newValue}`)}`);
+        this.setCapabilityValue(capability, newValue).catch((err) => {
+          handleCapabilityError(err, capability, 'update', this);
+        });
+        changes.add(capability);
+      }
+    }
+
+    if (changes.size > 0) {
+      this._triggerFlowCards(changes, robotData);
+    }
+
+    if (changes.has('alarm_connectivity') && robotData.isOnline) {
+      this._replayCommandQueue();
+    }
+
+    this._checkFeedingEvents(robotData);
+  }
+
+  /**
+   * Triggers Homey flow cards based on capability changes.
+   * @param {Set<string>} changes - Set of changed capability names
+   * @param {FeederRobotData} robotData - Current feeder data instance
+   * @private
+   */
+  _triggerFlowCards(changes, robotData) {
+    if (changes.has('measure_food_level')) {
+      const foodLevel = robotData.foodLevelPercentage;
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [FEEDER_food_level_changed] (${foodLevel}%)`)}`);
+
+      this.homey.flow.getDeviceTriggerCard('FEEDER_food_level_changed')
+        .trigger(this, { food_level: foodLevel })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger FEEDER_food_level_changed:'), err));
+    }
+  }
+
+  /**
+   * Detects new meal and snack records by comparing their timestamps with the
+   * last ones seen, so feeding triggers fire once per dispensed feeding.
+   * The first observation only seeds the store to avoid replaying history.
+   * @param {FeederRobotData} robotData - Current feeder data instance
+   * @private
+   */
+  _checkFeedingEvents(robotData) {
+    const { lastMeal, lastSnack } = robotData;
+
+    if (lastMeal?.timestamp) {
+      const previous = this.getStoreValue('last_meal_timestamp');
+      if (previous && previous !== lastMeal.timestamp && lastMeal.status === FeederRobotData.FeedingStatus.DISPENSED) {
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [FEEDER_meal_dispensed] (${robotData.lastMealName})`)}`);
+        this.homey.flow.getDeviceTriggerCard('FEEDER_meal_dispensed')
+          .trigger(this, {
+            meal_name: robotData.lastMealName,
+            portions: lastMeal.meal_total_portions || 0,
+            amount: lastMeal.amount || 0,
+          })
+          .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger FEEDER_meal_dispensed:'), err));
+      }
+      if (previous !== lastMeal.timestamp) {
+        this.setStoreValue('last_meal_timestamp', lastMeal.timestamp).catch((err) => {
+          this.error(colorize(LOG_COLORS.ERROR, 'Failed to update store value for last_meal_timestamp:'), err);
+        });
+      }
+    }
+
+    if (lastSnack?.timestamp) {
+      const previous = this.getStoreValue('last_snack_timestamp');
+      if (previous && previous !== lastSnack.timestamp) {
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, 'Triggering [FEEDER_snack_dispensed]')}`);
+        this.homey.flow.getDeviceTriggerCard('FEEDER_snack_dispensed')
+          .trigger(this, { amount: lastSnack.amount || 0 })
+          .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger FEEDER_snack_dispensed:'), err));
+      }
+      if (previous !== lastSnack.timestamp) {
+        this.setStoreValue('last_snack_timestamp', lastSnack.timestamp).catch((err) => {
+          this.error(colorize(LOG_COLORS.ERROR, 'Failed to update store value for last_snack_timestamp:'), err);
+        });
+      }
+    }
+  }
+
+  /**
+   * Handles device settings changes, re-rendering time-based values when the
+   * time format changes.
+   * @param {Object} oldSettings - Previous settings object
+   * @param {Object} newSettings - New settings object
+   */
+  async onSettings({ oldSettings, newSettings }) {
+    this.log(colorize(LOG_COLORS.SYSTEM, 'Device settings updated'));
+
+    if (oldSettings?.use_12h_format === newSettings?.use_12h_format || !this.robot) {
+      return;
+    }
+
+    this.log(colorize(LOG_COLORS.SYSTEM, `Time format changed: ${oldSettings?.use_12h_format} → ${newSettings?.use_12h_format}`));
+
+    // Settings are applied after onSettings resolves, so render with the new values explicitly
+    const robotData = new FeederRobotData({
+      robot: this.robot,
+      settings: { ...newSettings, homeyTimezone: this.homey.clock.getTimezone() },
+    });
+
+    await this.setCapabilityValue('last_meal', robotData.lastMealDescription || 'No meals yet').catch((err) => {
+      handleCapabilityError(err, 'last_meal', 'update', this);
+    });
+
+    this.homey.setTimeout(async () => {
+      try {
+        await this._updateDeviceSettings(robotData);
+      } catch (err) {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to update device settings display after time format change:'), err);
+      }
+    }, 100);
+  }
+
+  /**
+   * Stops polling and queue timers when the device is removed to prevent resource leaks.
+   */
+  async onDeleted() {
+    this.log(colorize(LOG_COLORS.INFO, 'Device deleted, cleaning up...'));
+    this._stopPolling();
+    this._clearCommandQueueExpiry();
+  }
+
+  /**
+   * Stops polling and queue timers when the device is unloaded.
+   */
+  async onUninit() {
+    this._stopPolling();
+    this._clearCommandQueueExpiry();
+  }
+};
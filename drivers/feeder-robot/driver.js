@@ -0,0 +1,221 @@
+const Homey = require('homey');
+const FeederRobotData = require('../../lib/feederrobotdata');
+const { colorize, LOG_COLORS } = require('../../lib/utils');
+
+/**
+ * Feeder-Robot driver that manages device pairing, repair, and flow card
+ * registrations for automation capabilities.
+ */
+module.exports = class FeederRobotDriver extends Homey.Driver {
+
+  /**
+   * Registers all flow cards (condition, action, and trigger cards) during
+   * driver initialization.
+   */
+  async onInit() {
+    this.log(colorize(LOG_COLORS.INFO, 'Initializing FeederRobotDriver...'));
+
+    this.homey.flow.getConditionCard('FEEDER_is_gravity_mode_enabled')
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for gravity mode check'));
+          return false;
+        }
+        const isGravityMode = device.getCapabilityValue('gravity_mode_enabled');
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [gravity_mode_enabled]: result=${isGravityMode}`)}`);
+        return isGravityMode;
+      });
+
+    this.homey.flow.getConditionCard('FEEDER_is_food_level_below')
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for food level check'));
+          return false;
+        }
+        const foodLevel = device.getCapabilityValue('measure_food_level');
+        const result = typeof foodLevel === 'number' && foodLevel < args.percentage;
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [measure_food_level]: current=${foodLevel}, threshold=${args.percentage}, result=${result}`)}`);
+        return result;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('FEEDER_queued_command_finished')
+      .registerRunListener(async (args, state) => {
+        return args.result === 'any' || args.result === state.result;
+      });
+
+    this.homey.flow.getActionCard('FEEDER_give_snack')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [give_snack] executed for device: ${device.getName()}`)}`);
+        await device.giveSnack();
+      });
+
+    this.homey.flow.getActionCard('FEEDER_dispense_meal')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [dispense_meal] executed for device: ${device.getName()}, portions: ${args.portions}`)}`);
+        await device.dispenseMeal(args.portions);
+      });
+
+    const mealAutocomplete = async (query, args) => {
+      const { device } = args;
+      if (!device) return [];
+      const search = (query || '').toLowerCase();
+      return device.getMeals()
+        .filter((meal) => meal.name.toLowerCase().includes(search))
+        .map((meal) => ({
+          id: meal.name,
+          name: meal.name,
+          description: [meal.time, meal.portions !== null ? `${meal.portions}x` : null].filter(Boolean).join(' · '),
+        }));
+    };
+
+    this.homey.flow.getConditionCard('FEEDER_is_meal_enabled')
+      .registerArgumentAutocompleteListener('meal', mealAutocomplete)
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for meal enabled check'));
+          return false;
+        }
+        const meal = device.getMeal(args.meal.name);
+        const result = Boolean(meal?.enabled);
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [meal_enabled]: meal=${args.meal.name}, result=${result}`)}`);
+        return result;
+      });
+
+    this.homey.flow.getActionCard('FEEDER_get_meal')
+      .registerArgumentAutocompleteListener('meal', mealAutocomplete)
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        const meal = await device.fetchMeal(args.meal.name);
+        if (!meal) {
+          throw new Error(FeederRobotData.ErrorMessages.MEAL_NOT_FOUND);
+        }
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [get_meal] executed for device: ${device.getName()}, meal: ${meal.name}`)}`);
+        return {
+          meal_name: meal.name,
+          time: meal.time || '',
+          portions: meal.portions ?? 0,
+          enabled: meal.enabled,
+        };
+      });
+
+    this.log(colorize(LOG_COLORS.SUCCESS, 'FeederRobotDriver initialization completed'));
+  }
+
+  /**
+   * Handles device pairing flow: authenticates user credentials, fetches
+   * available Feeder-Robots from the API, and returns device list for user selection.
+   * An account that is already signed in can be picked instead of logging in again.
+   * @param {Object} session - Homey pairing session object
+   */
+  async onPair(session) {
+    let feeders = [];
+    let accountId = null;
+
+    const loadFeeders = async (apiSession) => {
+      accountId = apiSession.getAccountId();
+      feeders = await apiSession.getFeeders();
+      this.log(colorize(LOG_COLORS.SUCCESS, `Found ${feeders.length} Feeder-Robot(s) for ${apiSession.getEmail()}`));
+    };
+
+    session.setHandler('list_accounts', async () => this.homey.app.getAccounts());
+
+    session.setHandler('select_account', async (id) => {
+      const apiSession = this.homey.app.getSession(id);
+      if (!apiSession) {
+        throw new Error('This Whisker account is no longer signed in');
+      }
+      this.log(colorize(LOG_COLORS.INFO, `Using signed-in account: ${apiSession.getEmail()}`));
+      await loadFeeders(apiSession);
+      return true;
+    });
+
+    session.setHandler('login', async ({ username, password }) => {
+      if (!username || !password) {
+        throw new Error('Username and password are required for pairing');
+      }
+      this.log(colorize(LOG_COLORS.INFO, `Attempting login for user: ${username}`));
+      try {
+        const apiSession = await this.homey.app.initializeSession(username, password);
+        await loadFeeders(apiSession);
+      } catch (err) {
+        throw new Error(err.message);
+      }
+      return true;
+    });
+
+    session.setHandler('list_devices', async () => {
+      if (!feeders.length) {
+        this.log(colorize(LOG_COLORS.INFO, 'No Feeder-Robots found, cleaning up session...'));
+        try {
+          await this.homey.app.removeUnusedAccount(accountId);
+        } catch (err) {
+          this.log(colorize(LOG_COLORS.WARNING, `Failed to cleanup session: ${err.message}`));
+        }
+        throw new Error('No Feeder-Robot found for this account');
+      }
+      return feeders.map((feeder) => {
+        const name = feeder.name || 'Feeder-Robot';
+        const serial = feeder.serial || 'Unknown';
+
+        return {
+          name: `${name} (${serial})`,
+          data: {
+            id: feeder.serial,
+            unitId: feeder.id,
+          },
+          store: { account_id: accountId },
+        };
+      });
+    });
+  }
+
+  /**
+   * Handles device repair flow by re-authenticating user credentials and
+   * re-establishing connection to the specific feeder.
+   * @param {Object} session - Homey repair session object
+   * @param {Object} device - Device instance being repaired
+   */
+  async onRepair(session, device) {
+    const { id } = device.getData();
+    this.log(colorize(LOG_COLORS.INFO, `Repairing Feeder-Robot device with serial: ${id}`));
+
+    session.setHandler('login', async ({ username, password }) => {
+      if (!username || !password) {
+        throw new Error('Username and password are required for repair');
+      }
+      this.log(colorize(LOG_COLORS.INFO, `Repair login with username: ${username}`));
+      try {
+        const tempSession = await this.homey.app.validateCredentials(username, password);
+
+        const feeders = await tempSession.getFeeders();
+        if (!feeders.some((f) => String(f.serial) === String(id))) {
+          throw new Error(`Feeder-Robot with serial ${id} not found`);
+        }
+
+        const accountId = tempSession.getAccountId();
+        await device.setStoreValue('account_id', accountId);
+        await this.homey.app.initializeSession(username, password, { replace: true });
+
+        await device._fetchRobotData();
+        this.log(colorize(LOG_COLORS.SUCCESS, 'Re-authentication successful'));
+      } catch (err) {
+        throw new Error(err.message);
+      }
+      return true;
+    });
+  }
+};
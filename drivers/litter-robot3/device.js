@@ -3,6 +3,12 @@ const LitterRobot3Data = require('../../lib/litterrobot3data');
 const { colorize, LOG_COLORS } = require('../../lib/utils');
 const { handleCapabilityError } = require('../../lib/notifications');
 const { EVENTS } = require('../../lib/event');
+const { recordDrawerSample, forecastDrawerFull } = require('../../lib/drawerforecast');
+const CommandQueue = require('../../lib/commandqueue');
+const SnapshotStore = require('../../lib/snapshotstore');
+
+/** Queue entry name for robot PATCH requests, the patch is kept as payload */
+const PATCH_COMMAND = 'patch';
 
 /**
  * Litter-Robot 3 device handler that manages robot state, capabilities, and
@@ -10,6 +16,14 @@ const { EVENTS } = require('../../lib/event');
  */
 module.exports = class LitterRobot3Device extends Homey.Device {
 
+  /**
+   * Cognito user ID of the Whisker account this device belongs to.
+   * @returns {string|null}
+   */
+  get accountId() {
+    return this.getStoreValue('account_id') || null;
+  }
+
   /**
    * Initializes device state, establishes WebSocket connection, and registers
    * capability listeners. Sets device availability based on initialization success.
@@ -17,6 +31,8 @@ module.exports = class LitterRobot3Device extends Homey.Device {
   async onInit() {
     this.log(colorize(LOG_COLORS.INFO, 'Initializing Litter-Robot 3 device...'));
 
+    this._commandQueue = new CommandQueue(this);
+
     try {
       const data = this.getData();
       this.robotSerial = data.id;
@@ -28,9 +44,13 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       this.log(colorize(LOG_COLORS.INFO, `Device initialized with robot serial: ${this.robotSerial}`));
 
       await this._initializeCapabilities();
+      await this._restoreStateSnapshot();
       await this._fetchRobotData();
       await this._registerCapabilityListeners();
       await this._setupWebSocket();
+      this._startActivityPolling();
+      this._startInsightsPolling();
+      this._scheduleCommandQueueExpiry();
 
       this.log(colorize(LOG_COLORS.SUCCESS, 'Device initialization completed successfully'));
 
@@ -42,7 +62,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       if (err.message && err.message.includes('No API session available')) {
         this.log(colorize(LOG_COLORS.WARNING, 'Device initialization deferred - no session available'));
         if (this.setUnavailable) {
-          this.setUnavailable(err.message);
+          this.setUnavailable(this.homey.app.getReauthMessage(this.accountId) || err.message);
           this.log(colorize(LOG_COLORS.INFO, 'Device marked as unavailable until authentication'));
         }
         return;
@@ -67,6 +87,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       alarm_cat_detected: false,
       alarm_waste_drawer_full: false,
       measure_waste_drawer_level_percentage: null,
+      measure_drawer_days_remaining: null,
       measure_odometer_clean_cycles: null,
       measure_clean_cycles_since_empty: null,
       measure_scoops_saved_count: null,
@@ -77,12 +98,26 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       sleep_mode_end_time: 'Not set',
       alarm_problem: false,
       alarm_connectivity: false,
+      alarm_on_battery: false,
       last_seen: 'Loading...',
       key_pad_lock_out: false,
       sleep_mode_enabled: false,
       night_light_enabled: false,
+      last_cat_visit: 'Loading...',
+      measure_cycles_today: null,
+      measure_cycles_7d_average: null,
     };
 
+    // Devices paired with an older app version may lack newer capabilities
+    for (const capability of Object.keys(initialCapabilities)) {
+      if (!this.hasCapability(capability)) {
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Adding missing capability: [${capability}]`)}`);
+        await this.addCapability(capability).catch((err) => {
+          handleCapabilityError(err, capability, 'add', this);
+        });
+      }
+    }
+
     for (const [capability, value] of Object.entries(initialCapabilities)) {
       this.setCapabilityValue(capability, value).catch((err) => {
         handleCapabilityError(err, capability, 'initialize', this);
@@ -100,7 +135,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
    */
   async _fetchRobotData() {
     try {
-      const { session } = this.homey.app;
+      const session = this.homey.app.getSession(this.accountId);
       if (!session || !session.isSessionValid()) {
         throw new Error('No API session available. Please repair device.');
       }
@@ -113,6 +148,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       }
 
       this.robot = robot;
+      this.homey.app.snapshotStore?.save(SnapshotStore.Kinds.LR3, this.robotSerial, this.robot);
       this.log(colorize(LOG_COLORS.INFO, `Connected to robot: ${this.robot.litterRobotNickname || this.robot.litterRobotSerial}`));
 
       const settings = this._getSettingsForRobotData();
@@ -133,6 +169,24 @@ module.exports = class LitterRobot3Device extends Homey.Device {
     }
   }
 
+  /**
+   * Restores the last known robot state saved before the app restarted, so
+   * capabilities show sane values until the first live update arrives.
+   * @private
+   */
+  async _restoreStateSnapshot() {
+    const snapshot = this.homey.app.snapshotStore?.get(SnapshotStore.Kinds.LR3, this.robotSerial);
+    if (!snapshot) return;
+
+    this.log(colorize(LOG_COLORS.INFO, `Restoring state snapshot from ${new Date(snapshot.savedAt).toISOString()}`));
+    this.robot = snapshot.data;
+    try {
+      await this._updateCapabilities(snapshot.data, { snapshotAt: snapshot.savedAt });
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to restore state snapshot:'), err);
+    }
+  }
+
   /**
    * Gets settings with homeyTimezone for creating LitterRobot3Data instances.
    * homeyTimezone is required by LR3 data class for timezone-aware formatting.
@@ -180,7 +234,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
    */
   async _setupWebSocket() {
     try {
-      const { session } = this.homey.app;
+      const session = this.homey.app.getSession(this.accountId);
       if (!session || !session.isSessionValid()) {
         this.log(colorize(LOG_COLORS.WARNING, 'Session not available, WebSocket setup deferred'));
         return;
@@ -199,7 +253,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
 
       const eventEmitter = session.getEventEmitter();
 
-      this._websocketUnsubscribe = eventEmitter.on(EVENTS.DATA_RECEIVED, (data) => {
+      const dataHandler = (data) => {
         if (data.deviceId === this.robotSerial) {
           // LR3 API wraps data in nested structure; normalize to consistent format
           const normalizedData = data.data.data || data.data;
@@ -207,7 +261,25 @@ module.exports = class LitterRobot3Device extends Homey.Device {
             this.error(colorize(LOG_COLORS.ERROR, 'Failed to handle robot update:'), err);
           });
         }
-      });
+      };
+
+      const connectedHandler = (event) => {
+        if (event.deviceId === this.robotSerial) {
+          this._replayCommandQueue();
+        }
+      };
+
+      // Re-initialization after a new login runs this again, drop the previous listeners first
+      if (this._websocketUnsubscribe) {
+        this._websocketUnsubscribe();
+        this._websocketUnsubscribe = null;
+      }
+      eventEmitter.on(EVENTS.DATA_RECEIVED, dataHandler);
+      eventEmitter.on(EVENTS.CONNECTED, connectedHandler);
+      this._websocketUnsubscribe = () => {
+        eventEmitter.removeListener(EVENTS.DATA_RECEIVED, dataHandler);
+        eventEmitter.removeListener(EVENTS.CONNECTED, connectedHandler);
+      };
 
       this.log(colorize(LOG_COLORS.SUCCESS, 'WebSocket connection established'));
 
@@ -249,9 +321,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
    */
   async _registerCapabilityListeners() {
     this.registerCapabilityListener('start_clean_cycle', async () => {
-      if (!this.robot) await this._fetchRobotData();
-      const { robotId } = this.getData();
-      await this.homey.app.session.sendCommand(this.robot.litterRobotSerial, LitterRobot3Data.Commands.CLEAN, null, 'litter_robot_3', robotId);
+      await this._sendCommand(LitterRobot3Data.Commands.CLEAN);
     });
 
     this.registerCapabilityListener('reset_waste_drawer', async () => {
@@ -265,7 +335,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       );
 
       this.log(`[Drawer Reset] ${colorize(LOG_COLORS.INFO, `Sending PATCH to robot ${robotId} with payload: ${JSON.stringify(payload)}`)}`);
-      await this.homey.app.session.patchLR3Robot(robotId, payload);
+      if (!await this._sendCommand(PATCH_COMMAND, payload)) return;
       this.log(`[Drawer Reset] ${colorize(LOG_COLORS.SUCCESS, 'Waste drawer reset PATCH completed')}`);
 
       await this._fetchRobotData();
@@ -276,9 +346,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
 
     this.registerCapabilityListener('key_pad_lock_out', async (value) => {
       const command = value ? LitterRobot3Data.Commands.LOCK_ON : LitterRobot3Data.Commands.LOCK_OFF;
-      if (!this.robot) await this._fetchRobotData();
-      const { robotId } = this.getData();
-      await this.homey.app.session.sendCommand(this.robot.litterRobotSerial, command, null, 'litter_robot_3', robotId);
+      await this._sendCommand(command, null, 'key_pad_lock_out');
     });
 
     this.registerCapabilityListener('sleep_mode_enabled', async (value) => {
@@ -292,37 +360,164 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       );
 
       this.log(`[Sleep Mode] ${colorize(LOG_COLORS.INFO, `Sending PATCH request to robot ${robotId} with payload: ${JSON.stringify(payload)}`)}`);
-      await this.homey.app.session.patchLR3Robot(robotId, payload);
+      if (!await this._sendCommand(PATCH_COMMAND, payload, 'sleep_mode_enabled')) return;
       this.log(`[Sleep Mode] ${colorize(LOG_COLORS.SUCCESS, 'Sleep mode PATCH request completed')}`);
     });
 
     this.registerCapabilityListener('night_light_enabled', async (value) => {
       const command = value ? LitterRobot3Data.Commands.NIGHT_LIGHT_ON : LitterRobot3Data.Commands.NIGHT_LIGHT_OFF;
-      if (!this.robot) await this._fetchRobotData();
-      const { robotId } = this.getData();
-      await this.homey.app.session.sendCommand(this.robot.litterRobotSerial, command, null, 'litter_robot_3', robotId);
+      await this._sendCommand(command, null, 'night_light_enabled');
     });
 
     this.registerCapabilityListener('cycle_delay', async (value) => {
-      if (!this.robot) await this._fetchRobotData();
-      const { robotId } = this.getData();
       const minutes = parseInt(String(value), 10);
       if (!LitterRobot3Data.Defaults.VALID_WAIT_TIMES.includes(minutes)) {
         throw new Error('Invalid wait time value');
       }
       const hex = minutes.toString(16).toUpperCase();
       const command = `${LitterRobot3Data.Commands.WAIT_TIME}${hex}`;
-      await this.homey.app.session.sendCommand(this.robot.litterRobotSerial, command, null, 'litter_robot_3', robotId);
+      await this._sendCommand(command, null, 'cycle_delay');
     });
 
     this.registerCapabilityListener('onoff', async (value) => {
       const command = value ? LitterRobot3Data.Commands.POWER_ON : LitterRobot3Data.Commands.POWER_OFF;
-      if (!this.robot) await this._fetchRobotData();
-      const { robotId } = this.getData();
-      await this.homey.app.session.sendCommand(this.robot.litterRobotSerial, command, null, 'litter_robot_3', robotId);
+      await this._sendCommand(command, null, 'onoff');
     });
   }
 
+  /**
+   * Sends a command, or queues it while the robot is offline so it runs once
+   * the robot is back. Setting the queue expiry to 0 disables queuing. A
+   * queued command keeps the capability's current value, which is restored
+   * if the command expires or fails.
+   * @param {string} command - Command from LitterRobot3Data.Commands, or PATCH_COMMAND
+   * @param {Object|null} [payload=null] - Robot patch for PATCH_COMMAND
+   * @param {string|null} [capability=null] - Capability the command changes
+   * @returns {Promise<boolean>} True if the command was sent, false if it was queued
+   * @private
+   */
+  async _sendCommand(command, payload = null, capability = null) {
+    if (!this.robot) await this._fetchRobotData();
+
+    const expiryMinutes = this.getSetting('command_queue_expiry') ?? 60;
+    if (this.robotData && !this.robotData.isOnline && expiryMinutes > 0) {
+      this.log(colorize(LOG_COLORS.WARNING, `Robot is offline, queuing ${command} for ${expiryMinutes} minutes`));
+      await this._commandQueue.enqueue(command, payload, {
+        ttl: expiryMinutes * 60 * 1000,
+        capability,
+        previousValue: capability ? this.getCapabilityValue(capability) : null,
+      });
+      this._scheduleCommandQueueExpiry();
+      return false;
+    }
+
+    await this._executeCommand(command, payload);
+    return true;
+  }
+
+  /**
+   * Sends a dispatch command, or a PATCH of the robot record for PATCH_COMMAND.
+   * @param {string} command - Command from LitterRobot3Data.Commands, or PATCH_COMMAND
+   * @param {Object|null} [payload=null] - Robot patch for PATCH_COMMAND
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _executeCommand(command, payload = null) {
+    if (!this.robot) await this._fetchRobotData();
+    const { robotId } = this.getData();
+    const session = this.homey.app.getSession(this.accountId);
+
+    if (command === PATCH_COMMAND) {
+      await session.patchLR3Robot(robotId, payload);
+      return;
+    }
+    await session.sendCommand(this.robot.litterRobotSerial, command, null, 'litter_robot_3', robotId);
+  }
+
+  /**
+   * Replays commands queued while the robot was offline, in the order they
+   * were issued, and reports the outcome of each.
+   * @private
+   */
+  async _replayCommandQueue() {
+    if (this._commandQueue.getEntries().length === 0) return;
+
+    try {
+      const results = await this._commandQueue.replay(
+        (entry) => this._executeCommand(entry.command, entry.payload),
+        { canExecute: () => this.robotData?.isOnline === true },
+      );
+      this._restoreQueuedCapabilities(results);
+      this._reportQueuedCommands(results);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to replay queued commands:'), err);
+    }
+    this._scheduleCommandQueueExpiry();
+  }
+
+  /**
+   * Schedules a check for the queued command that expires first, so expired
+   * commands are reported even while the robot stays offline.
+   * @private
+   */
+  _scheduleCommandQueueExpiry() {
+    if (this._commandQueueTimeout) {
+      this.homey.clearTimeout(this._commandQueueTimeout);
+      this._commandQueueTimeout = null;
+    }
+
+    const nextExpiry = this._commandQueue.getNextExpiry();
+    if (nextExpiry === null) return;
+
+    this._commandQueueTimeout = this.homey.setTimeout(async () => {
+      this._commandQueueTimeout = null;
+      try {
+        const expired = await this._commandQueue.takeExpired();
+        const results = expired.map((entry) => ({ entry, result: CommandQueue.Results.EXPIRED, error: null }));
+        this._restoreQueuedCapabilities(results);
+        this._reportQueuedCommands(results);
+      } catch (err) {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to expire queued commands:'), err);
+      }
+      this._scheduleCommandQueueExpiry();
+    }, Math.max(0, nextExpiry - Date.now()) + 1000);
+  }
+
+  /**
+   * Puts capabilities back to their value from before a queued command that
+   * expired or failed, so the UI does not show a state the robot never reached.
+   * @param {Array<Object>} results - Results ({ entry, result, error }) from the command queue
+   * @private
+   */
+  _restoreQueuedCapabilities(results) {
+    for (const { capability, value } of this._commandQueue.getRestores(results)) {
+      this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Restoring [${capability}] to ${value}, its queued command did not run`)}`);
+      this.setCapabilityValue(capability, value).catch((err) => {
+        handleCapabilityError(err, capability, 'update', this);
+      });
+    }
+  }
+
+  /**
+   * Triggers the queued command card for each finished queue entry.
+   * @param {Array<Object>} results - Results ({ entry, result, error }) from the command queue
+   * @private
+   */
+  _reportQueuedCommands(results) {
+    for (const { entry, result, error } of results) {
+      const queuedMinutes = Math.round((Date.now() - entry.queuedAt) / 60000);
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [queued_command_finished] (${entry.command}: ${result} after ${queuedMinutes} min)`)}`);
+      this.homey.flow.getDeviceTriggerCard('LR3_queued_command_finished')
+        .trigger(this, {
+          command: entry.command,
+          result,
+          queued_minutes: queuedMinutes,
+          error: error?.message || '',
+        }, { result })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger queued_command_finished:'), err));
+    }
+  }
+
   /**
    * Processes incoming robot state updates from WebSocket or API calls.
    * Merges partial updates with existing robot data to preserve fields not
@@ -333,8 +528,16 @@ module.exports = class LitterRobot3Device extends Homey.Device {
   async _handleRobotUpdate(data) {
     this.log(colorize(LOG_COLORS.INFO, 'Received robot update:'), JSON.stringify(data, null, 2));
 
+    const previousStatus = this.robot?.unitStatus;
+
     // Merge partial updates to preserve fields not included in this update
     this.robot = { ...this.robot, ...data };
+    this.homey.app.snapshotStore?.save(SnapshotStore.Kinds.LR3, this.robotSerial, this.robot);
+
+    // The activity endpoint has no push feed, so fetch new entries shortly after a status change
+    if (data.unitStatus && previousStatus && data.unitStatus !== previousStatus) {
+      this._scheduleActivityRefresh();
+    }
 
     try {
       await this._updateCapabilities(this.robot);
@@ -348,9 +551,11 @@ module.exports = class LitterRobot3Device extends Homey.Device {
    * changed capabilities. Handles both full and partial updates, computing
    * derived values like sleep schedule and alarm states.
    * @param {Object} data - Robot data (may be partial update from WebSocket)
+   * @param {Object} [options]
+   * @param {number|null} [options.snapshotAt=null] - Snapshot time when restoring saved data; skips flows and follow-up checks
    * @private
    */
-  async _updateCapabilities(data) {
+  async _updateCapabilities(data, { snapshotAt = null } = {}) {
     if (!data) return;
 
     const settings = this._getSettingsForRobotData();
@@ -361,6 +566,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       this.robotData = new LitterRobot3Data({
         robot: data,
         settings,
+        snapshotAt,
       });
     } catch (err) {
       this.error(colorize(LOG_COLORS.WARNING, 'Failed to create robotData instance:'), err);
@@ -393,6 +599,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       ['sleep_mode_end_time', sleepSchedule?.endString || 'Not set'],
       ['alarm_problem', robotData.hasProblems],
       ['alarm_connectivity', !robotData.isOnline],
+      ['alarm_on_battery', robotData.isOnBattery],
       ['last_seen', robotData.isOnline ? 'Currently connected' : (robotData.lastSeenFormatted || 'Unknown')],
       ['key_pad_lock_out', robotData.isKeypadLocked],
       ['sleep_mode_enabled', robotData.isSleepModeEnabled],
@@ -423,9 +630,316 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       }
     }
 
+    // Restored values only fill the UI; flows and checks wait for live data
+    if (robotData.isStale) return;
+
     if (changes.size > 0) {
       this._triggerFlowCards(changes, robotData);
     }
+
+    if (changes.has('alarm_connectivity') && robotData.isOnline) {
+      this._replayCommandQueue();
+    }
+
+    await this._handlePowerSource(robotData).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to handle power source change:'), err);
+    });
+
+    await this._updateDrawerForecast(robotData).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update drawer forecast:'), err);
+    });
+  }
+
+  /**
+   * Triggers the battery cards when the robot switches between mains power
+   * and its backup battery. The switch time is kept in the store so the
+   * restored card can report how long the robot ran on battery, even across
+   * app restarts.
+   * @param {LitterRobot3Data} robotData - Current robot data instance
+   * @private
+   */
+  async _handlePowerSource(robotData) {
+    const { isOnBattery } = robotData;
+    if (isOnBattery === null) return;
+
+    const batterySince = this.getStoreValue('battery_since') ?? null;
+
+    if (isOnBattery && batterySince === null) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, 'Triggering [LR3_switched_to_battery]')}`);
+      this.homey.flow.getDeviceTriggerCard('LR3_switched_to_battery')
+        .trigger(this)
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger LR3_switched_to_battery:'), err));
+      await this.setStoreValue('battery_since', Date.now());
+    } else if (!isOnBattery && batterySince !== null) {
+      const batteryMinutes = Math.round((Date.now() - batterySince) / 60000);
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [LR3_mains_power_restored] (on battery for ${batteryMinutes} min)`)}`);
+      this.homey.flow.getDeviceTriggerCard('LR3_mains_power_restored')
+        .trigger(this, { battery_minutes: batteryMinutes })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger LR3_mains_power_restored:'), err));
+      await this.setStoreValue('battery_since', null);
+    }
+  }
+
+  /**
+   * Records the current drawer level, refreshes the days-until-full forecast
+   * and triggers the "full within N days" card when the forecast changes.
+   * @param {LitterRobot3Data} robotData - Current robot data instance
+   * @param {number} [threshold] - Drawer full threshold; defaults to the current setting
+   * @private
+   */
+  async _updateDrawerForecast(robotData, threshold = this.getSettings().waste_drawer_threshold) {
+    const level = robotData.wasteDrawerLevel;
+    if (typeof level !== 'number') return;
+
+    const history = this.getStoreValue('drawer_fill_history') || [];
+    const updatedHistory = recordDrawerSample(history, {
+      timestamp: Date.now(),
+      level,
+      cycles: robotData.cycleCount,
+    });
+    if (updatedHistory !== history) {
+      await this.setStoreValue('drawer_fill_history', updatedHistory);
+    }
+
+    const forecast = forecastDrawerFull(updatedHistory, threshold);
+    const daysRemaining = forecast ? forecast.daysRemaining : null;
+    const previousDaysRemaining = this.getStoreValue('drawer_days_remaining') ?? null;
+    if (daysRemaining === previousDaysRemaining) return;
+
+    await this.setStoreValue('drawer_days_remaining', daysRemaining);
+    if (daysRemaining === null) return;
+
+    this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [measure_drawer_days_remaining] changed: ${previousDaysRemaining} → ${daysRemaining}`)}`);
+    this.setCapabilityValue('measure_drawer_days_remaining', daysRemaining).catch((err) => {
+      handleCapabilityError(err, 'measure_drawer_days_remaining', 'update', this);
+    });
+
+    this.homey.flow.getDeviceTriggerCard('LR3_drawer_full_within_days')
+      .trigger(this, {
+        days_remaining: daysRemaining,
+        drawer_level: Math.round(level),
+      }, { daysRemaining, previousDaysRemaining })
+      .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger drawer_full_within_days:'), err));
+  }
+
+  /**
+   * Starts periodic retrieval of the robot's activity history.
+   * @private
+   */
+  _startActivityPolling() {
+    this._stopActivityPolling();
+
+    this._activityInterval = this.homey.setInterval(() => {
+      this._refreshActivity();
+    }, LitterRobot3Data.Defaults.ACTIVITY_POLL_INTERVAL);
+
+    this._refreshActivity();
+  }
+
+  /**
+   * Stops activity polling and any pending activity refresh.
+   * @private
+   */
+  _stopActivityPolling() {
+    if (this._activityInterval) {
+      this.homey.clearInterval(this._activityInterval);
+      this._activityInterval = null;
+    }
+    if (this._activityRefreshTimeout) {
+      this.homey.clearTimeout(this._activityRefreshTimeout);
+      this._activityRefreshTimeout = null;
+    }
+  }
+
+  /**
+   * Schedules a one-off activity and insights refresh so events that just
+   * happened show up without waiting for the next poll.
+   * @private
+   */
+  _scheduleActivityRefresh() {
+    if (this._activityRefreshTimeout) {
+      this.homey.clearTimeout(this._activityRefreshTimeout);
+    }
+    this._activityRefreshTimeout = this.homey.setTimeout(() => {
+      this._activityRefreshTimeout = null;
+      this._refreshActivity();
+      this._refreshInsights();
+    }, LitterRobot3Data.Defaults.ACTIVITY_REFRESH_DELAY);
+  }
+
+  /**
+   * Fetches the latest activity, merges it into the stored rolling log and
+   * triggers flow cards for new entries. The LR3 endpoint has no start filter,
+   * so entries are compared with the newest logged entry. The first fetch only
+   * seeds the log so historic activity does not trigger flows.
+   * @private
+   */
+  async _refreshActivity() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session || !session.isSessionValid() || !this.robot?.litterRobotId) return;
+
+      const log = this.getStoreValue('activity_log') || [];
+      const isSeeded = this.getStoreValue('activity_log_seeded') === true;
+      const lastTimestamp = log.length ? log[0].timestamp : null;
+
+      const rows = await session.getLR3Activity(this.robot.litterRobotId, {
+        limit: LitterRobot3Data.Defaults.ACTIVITY_FETCH_LIMIT,
+      });
+
+      const entries = rows
+        .map((row) => LitterRobot3Data.parseActivity(row))
+        .filter((entry) => entry && (!lastTimestamp || new Date(entry.timestamp) > new Date(lastTimestamp)));
+
+      const updatedLog = LitterRobot3Data.mergeActivityLog(log, entries);
+      await this.setStoreValue('activity_log', updatedLog);
+
+      if (!isSeeded) {
+        await this.setStoreValue('activity_log_seeded', true);
+      } else if (entries.length > 0) {
+        this._triggerActivityFlowCards(entries);
+      }
+
+      await this._updateActivityDisplay(updatedLog);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh activity history:'), err);
+    }
+  }
+
+  /**
+   * Triggers the activity flow card for each new entry, oldest first.
+   * @param {Array<Object>} entries - New parsed activity entries
+   * @private
+   */
+  _triggerActivityFlowCards(entries) {
+    const settings = this.getSettings();
+    const use12hFormat = settings.use_12h_format === '12h';
+    const timezone = this.homey.clock.getTimezone();
+
+    const ordered = [...entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    for (const entry of ordered) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [activity_logged] (${entry.category}: ${entry.description})`)}`);
+      this.homey.flow.getDeviceTriggerCard('LR3_activity_logged')
+        .trigger(this, {
+          activity_type: entry.category,
+          description: entry.description,
+          time: LitterRobot3Data.formatTime(entry.timestamp, { use12hFormat, timezone }) || entry.timestamp,
+        }, { category: entry.category })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger activity_logged:'), err));
+    }
+  }
+
+  /**
+   * Renders the activity log into the last cat visit capability and the
+   * activity settings so it can be browsed from the device settings.
+   * @param {Array<Object>} log - Activity log (newest first)
+   * @private
+   */
+  async _updateActivityDisplay(log = this.getStoreValue('activity_log') || []) {
+    const settings = this.getSettings();
+    const formatOptions = {
+      use12hFormat: settings.use_12h_format === '12h',
+      timezone: this.homey.clock.getTimezone(),
+    };
+    const { ActivityCategory } = LitterRobot3Data;
+
+    const lastOf = (category) => {
+      const entry = log.find((e) => e.category === category);
+      return entry ? LitterRobot3Data.formatActivityEntry(entry, formatOptions) : 'None recorded';
+    };
+
+    const lastVisit = log.find((e) => e.category === ActivityCategory.CAT_VISIT);
+    const lastVisitString = lastVisit
+      ? (LitterRobot3Data.formatTime(lastVisit.timestamp, formatOptions) || lastVisit.timestamp)
+      : 'None recorded';
+
+    if (this.getCapabilityValue('last_cat_visit') !== lastVisitString) {
+      this.setCapabilityValue('last_cat_visit', lastVisitString).catch((err) => {
+        handleCapabilityError(err, 'last_cat_visit', 'update', this);
+      });
+    }
+
+    await this.setSettings({
+      activity_last_cat_visit: lastOf(ActivityCategory.CAT_VISIT),
+      activity_last_clean_cycle: lastOf(ActivityCategory.CLEAN_CYCLE),
+      activity_last_fault: lastOf(ActivityCategory.FAULT),
+      activity_recent: log.length
+        ? log.map((entry) => LitterRobot3Data.formatActivityEntry(entry, formatOptions)).join('\n')
+        : 'None recorded',
+    }).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update activity settings:'), err);
+    });
+  }
+
+  /**
+   * Starts periodic retrieval of daily usage insights.
+   * @private
+   */
+  _startInsightsPolling() {
+    this._stopInsightsPolling();
+
+    this._insightsInterval = this.homey.setInterval(() => {
+      this._refreshInsights();
+    }, LitterRobot3Data.Defaults.INSIGHTS_POLL_INTERVAL);
+
+    this._refreshInsights();
+  }
+
+  /**
+   * Stops insights polling.
+   * @private
+   */
+  _stopInsightsPolling() {
+    if (this._insightsInterval) {
+      this.homey.clearInterval(this._insightsInterval);
+      this._insightsInterval = null;
+    }
+  }
+
+  /**
+   * Fetches the last week's insights and updates the usage capabilities.
+   * Days are counted in Homey's timezone since the LR3 API has no robot timezone.
+   * @private
+   */
+  async _refreshInsights() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session || !session.isSessionValid() || !this.robot?.litterRobotId) return;
+
+      const timezone = this.homey.clock.getTimezone();
+      const insights = await session.getLR3Insights(this.robot.litterRobotId, {
+        days: LitterRobot3Data.Defaults.INSIGHTS_AVERAGE_DAYS,
+        timezoneOffset: LitterRobot3Data.getTimezoneOffsetMinutes(timezone),
+      });
+
+      const summary = LitterRobot3Data.summarizeInsights(insights, timezone);
+      const updates = [
+        ['measure_cycles_today', summary.cyclesToday],
+        ['measure_cycles_7d_average', summary.cycles7dAverage],
+      ];
+
+      for (const [capability, newValue] of updates) {
+        const oldValue = this.getCapabilityValue(capability);
+        if (newValue === null || newValue === oldValue) continue;
+
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [${capability}] changed: ${oldValue} → ${newValue}`)}`);
+        this.setCapabilityValue(capability, newValue).catch((err) => {
+          handleCapabilityError(err, capability, 'update', this);
+        });
+      }
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh usage insights:'), err);
+    }
+  }
+
+  /**
+   * Returns the most recent logged activity, optionally limited to a category.
+   * @param {string} [category] - Activity category from LitterRobot3Data.ActivityCategory
+   * @returns {Object|null} Most recent activity entry or null
+   */
+  getLastActivity(category = null) {
+    const log = this.getStoreValue('activity_log') || [];
+    return log.find((entry) => !category || entry.category === category) || null;
   }
 
   /**
@@ -602,6 +1116,12 @@ module.exports = class LitterRobot3Device extends Homey.Device {
           await this._updateSleepTimeCapabilities();
 
           this.homey.setTimeout(async () => {
+            try {
+              await this._updateActivityDisplay();
+            } catch (err) {
+              this.error(colorize(LOG_COLORS.ERROR, 'Failed to update activity display after time format change:'), err);
+            }
+
             try {
               await this._updateDeviceSettings(this.robot);
             } catch (err) {
@@ -620,6 +1140,7 @@ module.exports = class LitterRobot3Device extends Homey.Device {
       if (this.robot) {
         try {
           await this._updateWasteDrawerAlarm();
+          await this._updateDrawerForecast(this.robotData, newSettings.waste_drawer_threshold);
         } catch (err) {
           this.error(colorize(LOG_COLORS.ERROR, 'Failed to update capabilities after threshold change:'), err);
         }
@@ -634,8 +1155,17 @@ module.exports = class LitterRobot3Device extends Homey.Device {
   async onDeleted() {
     this.log(colorize(LOG_COLORS.INFO, 'Device deleted, cleaning up...'));
 
+    this._stopActivityPolling();
+    this._stopInsightsPolling();
+    this.homey.app.snapshotStore?.remove(SnapshotStore.Kinds.LR3, this.robotSerial);
+
+    if (this._commandQueueTimeout) {
+      this.homey.clearTimeout(this._commandQueueTimeout);
+      this._commandQueueTimeout = null;
+    }
+
     try {
-      const { session } = this.homey.app;
+      const session = this.homey.app.getSession(this.accountId);
       if (session && this.robotSerial) {
         session.closeWebSocket(this.robotSerial);
       }
@@ -1,4 +1,6 @@
 const Homey = require('homey');
+const LitterRobot3Data = require('../../lib/litterrobot3data');
+const { isDrawerFullWithin } = require('../../lib/drawerforecast');
 const { colorize, LOG_COLORS } = require('../../lib/utils');
 const { handleCapabilityError } = require('../../lib/notifications');
 
@@ -16,6 +18,18 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
   async onInit() {
     this.log(colorize(LOG_COLORS.INFO, 'Initializing LitterRobot3Driver...'));
 
+    this.homey.flow.getConditionCard('LR3_is_on_battery')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for battery check'));
+          return false;
+        }
+        const isOnBattery = device.getCapabilityValue('alarm_on_battery');
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [alarm_on_battery]: result=${isOnBattery}`)}`);
+        return isOnBattery;
+      });
+
     this.homey.flow.getConditionCard('LR3_is_sleep_mode_active')
       .registerRunListener(async (args, state) => {
         const { device } = args;
@@ -92,6 +106,37 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
         return isDrawerFull;
       });
 
+    this.homey.flow.getConditionCard('LR3_cat_visited_within')
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for cat visit check'));
+          return false;
+        }
+        const lastVisit = device.getLastActivity(LitterRobot3Data.ActivityCategory.CAT_VISIT);
+        const minutesAgo = lastVisit ? (Date.now() - new Date(lastVisit.timestamp).getTime()) / 60000 : null;
+        const result = minutesAgo !== null && minutesAgo <= args.minutes;
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [cat_visited_within]: last=${lastVisit?.timestamp || 'none'}, minutes=${args.minutes}, result=${result}`)}`);
+        return result;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('LR3_activity_logged')
+      .registerRunListener(async (args, state) => {
+        return args.activity_type === 'any' || args.activity_type === state.category;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('LR3_drawer_full_within_days')
+      .registerRunListener(async (args, state) => {
+        const result = isDrawerFullWithin(args.days, state.daysRemaining, state.previousDaysRemaining);
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [drawer_full_within_days]: days=${args.days}, forecast=${state.daysRemaining}, result=${result}`)}`);
+        return result;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('LR3_queued_command_finished')
+      .registerRunListener(async (args, state) => {
+        return args.result === 'any' || args.result === state.result;
+      });
+
     this.homey.flow.getActionCard('LR3_lock_keypad')
       .registerRunListener(async (args) => {
         const { device } = args;
@@ -204,11 +249,32 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
   /**
    * Handles device pairing flow: authenticates user credentials, fetches
    * available LR3 robots from the API, and returns device list for user selection.
+   * An account that is already signed in can be picked instead of logging in again.
    * Cleans up session if no robots are found.
    * @param {Object} session - Homey pairing session object
    */
   async onPair(session) {
     let robots = [];
+    let accountId = null;
+
+    const loadRobots = async (apiSession) => {
+      accountId = apiSession.getAccountId();
+      const robotsData = await apiSession.getRobots();
+      robots = robotsData.lr3;
+      this.log(colorize(LOG_COLORS.SUCCESS, `Found ${robots.length} LR3 robot(s) for ${apiSession.getEmail()}`));
+    };
+
+    session.setHandler('list_accounts', async () => this.homey.app.getAccounts());
+
+    session.setHandler('select_account', async (id) => {
+      const apiSession = this.homey.app.getSession(id);
+      if (!apiSession) {
+        throw new Error('This Whisker account is no longer signed in');
+      }
+      this.log(colorize(LOG_COLORS.INFO, `Using signed-in account: ${apiSession.getEmail()}`));
+      await loadRobots(apiSession);
+      return true;
+    });
 
     session.setHandler('login', async ({ username, password }) => {
       if (!username || !password) {
@@ -217,9 +283,7 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
       this.log(colorize(LOG_COLORS.INFO, `Attempting login for user: ${username}`));
       try {
         const apiSession = await this.homey.app.initializeSession(username, password);
-        const robotsData = await apiSession.getRobots();
-        robots = robotsData.lr3;
-        this.log(colorize(LOG_COLORS.SUCCESS, `Found ${robots.length} LR3 robot(s) for account`));
+        await loadRobots(apiSession);
       } catch (err) {
         throw new Error(err.message);
       }
@@ -230,7 +294,7 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
       if (!robots.length) {
         this.log(colorize(LOG_COLORS.INFO, 'No LR3 robots found, cleaning up session...'));
         try {
-          await this.homey.app.onUninit();
+          await this.homey.app.removeUnusedAccount(accountId);
         } catch (err) {
           this.log(colorize(LOG_COLORS.WARNING, `Failed to cleanup session: ${err.message}`));
         }
@@ -247,6 +311,7 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
             id: robotData.litterRobotSerial,
             robotId: robotData.litterRobotId,
           },
+          store: { account_id: accountId },
         };
       });
     });
@@ -255,7 +320,7 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
   /**
    * Handles device repair flow by re-authenticating user credentials and
    * re-establishing connection to the specific robot. Validates credentials
-   * and device access before destroying the existing session.
+   * and device access before replacing the session of the account.
    * @param {Object} session - Homey repair session object
    * @param {Object} device - Device instance being repaired
    */
@@ -277,8 +342,9 @@ module.exports = class LitterRobot3Driver extends Homey.Driver {
           throw new Error(`LR3 Robot with serial ${id} not found`);
         }
 
-        await this.homey.app.signOut();
-        await this.homey.app.initializeSession(username, password);
+        const accountId = tempSession.getAccountId();
+        await device.setStoreValue('account_id', accountId);
+        await this.homey.app.initializeSession(username, password, { replace: true });
         
         await device._fetchRobotData();
         this.log(colorize(LOG_COLORS.SUCCESS, 'Re-authentication successful'));
@@ -1,8 +1,22 @@
 const Homey = require('homey');
 const LitterRobot4Data = require('../../lib/litterrobot4data');
+const PetData = require('../../lib/petdata');
 const { colorize, LOG_COLORS } = require('../../lib/utils');
-const { createCatVisitNotification, handleCapabilityError } = require('../../lib/notifications');
+const {
+  createCatVisitNotification, createFirmwareUpdateNotification, createSafetyNotification, handleCapabilityError,
+} = require('../../lib/notifications');
 const { EVENTS } = require('../../lib/event');
+const { USAGE_DEFAULTS, mergeUsageDay } = require('../../lib/usageanalysis');
+const { recordDrawerSample, forecastDrawerFull } = require('../../lib/drawerforecast');
+const {
+  recordLitterSample, forecastLitterRefill, recordHopperRun, forecastHopperRefill,
+} = require('../../lib/litterforecast');
+const {
+  MAINTENANCE_DEFAULTS, MAINTENANCE_TASKS, MAINTENANCE_TASK_NAMES, evaluateMaintenanceTask,
+} = require('../../lib/maintenance');
+const CommandTracker = require('../../lib/commandtracker');
+const CommandQueue = require('../../lib/commandqueue');
+const SnapshotStore = require('../../lib/snapshotstore');
 
 /**
  * Litter-Robot 4 device handler that manages robot state, capabilities, and
@@ -10,6 +24,14 @@ const { EVENTS } = require('../../lib/event');
  */
 module.exports = class LitterRobotDevice extends Homey.Device {
 
+  /**
+   * Cognito user ID of the Whisker account this device belongs to.
+   * @returns {string|null}
+   */
+  get accountId() {
+    return this.getStoreValue('account_id') || null;
+  }
+
   /**
    * Initializes device state, establishes WebSocket connection, and registers
    * capability listeners. Sets device availability based on initialization success.
@@ -17,6 +39,9 @@ module.exports = class LitterRobotDevice extends Homey.Device {
   async onInit() {
     this.log(colorize(LOG_COLORS.INFO, 'Initializing Litter-Robot device...'));
 
+    this._commandTracker = new CommandTracker(this.homey);
+    this._commandQueue = new CommandQueue(this);
+
     try {
       const data = this.getData();
       this.robotSerial = data.id;
@@ -28,10 +53,18 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       this.log(colorize(LOG_COLORS.INFO, `Device initialized with robot serial: ${this.robotSerial}`));
 
       await this._initializeCapabilities();
+      await this._restoreStateSnapshot();
       await this._fetchRobotData();
       await this._manageHopperCapabilities();
       await this._registerCapabilityListeners();
       await this._setupWebSocket();
+      this._startActivityPolling();
+      this._startConnectivityPolling();
+      this._startInsightsPolling();
+      this._startDiagnosticsPolling();
+      this._startFirmwareChecks();
+      this._startMaintenanceChecks();
+      this._scheduleCommandQueueExpiry();
 
       this.log(colorize(LOG_COLORS.SUCCESS, 'Device initialization completed successfully'));
 
@@ -44,7 +77,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       if (err.message && err.message.includes('No API session available')) {
         this.log(colorize(LOG_COLORS.WARNING, 'Device initialization deferred - no session available'));
         if (this.setUnavailable) {
-          this.setUnavailable(err.message);
+          this.setUnavailable(this.homey.app.getReauthMessage(this.accountId) || err.message);
           this.log(colorize(LOG_COLORS.INFO, 'Device marked as unavailable until authentication'));
         }
         return;
@@ -74,8 +107,14 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       alarm_sleep_mode_scheduled: false,
       alarm_problem: false,
       alarm_connectivity: false,
+      alarm_on_battery: false,
+      measure_signal_strength: null,
+      alarm_weak_signal: false,
       measure_litter_level_percentage: null,
+      litter_level_state: null,
+      measure_litter_days_until_refill: null,
       measure_waste_drawer_level_percentage: null,
+      measure_drawer_days_remaining: null,
       measure_odometer_clean_cycles: null,
       measure_scoops_saved_count: null,
       measure_weight: null,
@@ -85,8 +124,32 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       sleep_mode_start_time: 'Loading...',
       sleep_mode_end_time: 'Loading...',
       last_seen: 'Loading...',
+      last_cat_visit: 'Loading...',
+      measure_cycles_today: null,
+      measure_cycles_7d_average: null,
+      measure_cat_detections_today: null,
+      measure_globe_motor_current: null,
+      measure_hopper_motor_current: null,
+      alarm_firmware_update_available: false,
+      alarm_cat_sensor_stuck: false,
+      alarm_pinch_detected: false,
+      alarm_maintenance_due: false,
+      measure_filter_days_remaining: null,
+      measure_filter_cycles_remaining: null,
+      measure_laser_clean_days_remaining: null,
+      measure_deep_clean_days_remaining: null,
     };
 
+    // Devices paired with an older app version may lack newer capabilities
+    for (const capability of Object.keys(initialCapabilities)) {
+      if (!this.hasCapability(capability)) {
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Adding missing capability: [${capability}]`)}`);
+        await this.addCapability(capability).catch((err) => {
+          handleCapabilityError(err, capability, 'add', this);
+        });
+      }
+    }
+
     for (const [capability, value] of Object.entries(initialCapabilities)) {
       this.setCapabilityValue(capability, value).catch((err) => {
         handleCapabilityError(err, capability, 'initialize', this);
@@ -219,7 +282,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
    */
   async _fetchRobotData() {
     try {
-      const { session } = this.homey.app;
+      const session = this.homey.app.getSession(this.accountId);
       if (!session || !session.isSessionValid()) {
         throw new Error('No API session available. Please repair device.');
       }
@@ -232,6 +295,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       }
 
       this.robot = robot;
+      this.homey.app.snapshotStore?.save(SnapshotStore.Kinds.LR4, this.robotSerial, this.robot);
       this.log(colorize(LOG_COLORS.INFO, `Connected to robot: ${this.robot.nickname || this.robot.serial}`));
 
       const settings = this.getSettings();
@@ -252,6 +316,24 @@ module.exports = class LitterRobotDevice extends Homey.Device {
     }
   }
 
+  /**
+   * Restores the last known robot state saved before the app restarted, so
+   * capabilities show sane values until the first live update arrives.
+   * @private
+   */
+  async _restoreStateSnapshot() {
+    const snapshot = this.homey.app.snapshotStore?.get(SnapshotStore.Kinds.LR4, this.robotSerial);
+    if (!snapshot) return;
+
+    this.log(colorize(LOG_COLORS.INFO, `Restoring state snapshot from ${new Date(snapshot.savedAt).toISOString()}`));
+    this.robot = snapshot.data;
+    try {
+      await this._updateCapabilities(snapshot.data, { snapshotAt: snapshot.savedAt });
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to restore state snapshot:'), err);
+    }
+  }
+
   /**
    * Updates device settings with robot metadata so device information renders
    * in the user's preferred format.
@@ -271,6 +353,10 @@ module.exports = class LitterRobotDevice extends Homey.Device {
           ? LitterRobot4Data.formatTime(robot.setupDateTime, { use12hFormat })
           : 'Loading...',
         device_timezone: robot.unitTimezone || 'Loading...',
+        ...LitterRobot4Data.DAYS_OF_WEEK.reduce((days, day) => ({
+          ...days,
+          [`sleep_schedule_${day.toLowerCase()}`]: LitterRobot4Data.formatSleepDay(robot.weekdaySleepModeEnabled?.[day]),
+        }), {}),
       }).catch((err) => {
         this.error(colorize(LOG_COLORS.ERROR, 'Failed to update device settings:'), err);
       });
@@ -288,7 +374,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
    */
   async _setupWebSocket() {
     try {
-      const { session } = this.homey.app;
+      const session = this.homey.app.getSession(this.accountId);
       if (!session || !session.isSessionValid()) {
         this.log(colorize(LOG_COLORS.WARNING, 'Session not available, WebSocket setup deferred'));
         return;
@@ -305,48 +391,1043 @@ module.exports = class LitterRobotDevice extends Homey.Device {
         deviceType: 'litter_robot_4',
       });
 
-      const eventEmitter = session.getEventEmitter();
+      const eventEmitter = session.getEventEmitter();
+
+      const dataHandler = (data) => {
+        if (data.deviceId === this.robotSerial) {
+          this._handleRobotUpdate(data.data).catch((err) => {
+            this.error(colorize(LOG_COLORS.ERROR, 'Failed to handle robot update:'), err);
+          });
+        }
+      };
+
+      const connectedHandler = (event) => {
+        if (event.deviceId === this.robotSerial) {
+          this._replayCommandQueue();
+        }
+      };
+
+      // Re-initialization after a new login runs this again, drop the previous listeners first
+      if (this._websocketUnsubscribe) {
+        this._websocketUnsubscribe();
+        this._websocketUnsubscribe = null;
+      }
+      eventEmitter.on(EVENTS.DATA_RECEIVED, dataHandler);
+      eventEmitter.on(EVENTS.CONNECTED, connectedHandler);
+      this._websocketUnsubscribe = () => {
+        eventEmitter.removeListener(EVENTS.DATA_RECEIVED, dataHandler);
+        eventEmitter.removeListener(EVENTS.CONNECTED, connectedHandler);
+      };
+
+      this.log(colorize(LOG_COLORS.SUCCESS, 'WebSocket connection established'));
+
+      if (this.setAvailable) {
+        this.setAvailable();
+        this.log(colorize(LOG_COLORS.SUCCESS, 'Device marked as available'));
+      }
+
+      this.homey.setTimeout(() => {
+        this._requestInitialState();
+      }, 5000);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to setup WebSocket:'), err);
+    }
+  }
+
+  /**
+   * Requests current robot state after WebSocket connection to synchronize
+   * device capabilities with robot state.
+   * @private
+   */
+  async _requestInitialState() {
+    try {
+      if (!this.robot) await this._fetchRobotData();
+      await this.homey.app.getSession(this.accountId).sendCommand(this.robot.serial, LitterRobot4Data.Commands.REQUEST_STATE, null, 'litter_robot_4');
+      this.log(colorize(LOG_COLORS.INFO, 'Successfully requested initial state from robot'));
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to request initial state:'), err);
+    }
+  }
+
+  /**
+   * Starts periodic retrieval of the robot's activity history. The API has no
+   * push feed for activity, so the log is refreshed on an interval and shortly
+   * after clean cycles.
+   * @private
+   */
+  _startActivityPolling() {
+    this._stopActivityPolling();
+
+    this._activityInterval = this.homey.setInterval(() => {
+      this._refreshActivity();
+    }, LitterRobot4Data.Defaults.ACTIVITY_POLL_INTERVAL);
+
+    this._refreshActivity();
+  }
+
+  /**
+   * Stops activity polling and any pending activity refresh.
+   * @private
+   */
+  _stopActivityPolling() {
+    if (this._activityInterval) {
+      this.homey.clearInterval(this._activityInterval);
+      this._activityInterval = null;
+    }
+    if (this._activityRefreshTimeout) {
+      this.homey.clearTimeout(this._activityRefreshTimeout);
+      this._activityRefreshTimeout = null;
+    }
+  }
+
+  /**
+   * Schedules a one-off activity and insights refresh so events that just
+   * happened show up without waiting for the next poll.
+   * @private
+   */
+  _scheduleActivityRefresh() {
+    if (this._activityRefreshTimeout) {
+      this.homey.clearTimeout(this._activityRefreshTimeout);
+    }
+    this._activityRefreshTimeout = this.homey.setTimeout(() => {
+      this._activityRefreshTimeout = null;
+      this._refreshActivity();
+      this._refreshInsights();
+    }, LitterRobot4Data.Defaults.ACTIVITY_REFRESH_DELAY);
+  }
+
+  /**
+   * Fetches activity newer than the last logged entry, merges it into the
+   * stored rolling log and triggers flow cards for new entries. The first
+   * fetch only seeds the log so historic activity does not trigger flows.
+   * @private
+   */
+  async _refreshActivity() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session || !session.isSessionValid()) return;
+
+      const log = this.getStoreValue('activity_log') || [];
+      const isSeeded = this.getStoreValue('activity_log_seeded') === true;
+      const lastTimestamp = log.length ? log[0].timestamp : null;
+      const startTimestamp = lastTimestamp
+        || new Date(Date.now() - LitterRobot4Data.Defaults.ACTIVITY_INITIAL_LOOKBACK).toISOString();
+
+      const rows = await session.getLR4Activity(this.robotSerial, {
+        startTimestamp,
+        limit: LitterRobot4Data.Defaults.ACTIVITY_FETCH_LIMIT,
+      });
+
+      const entries = rows
+        .map((row) => LitterRobot4Data.parseActivity(row))
+        .filter((entry) => entry && (!lastTimestamp || new Date(entry.timestamp) > new Date(lastTimestamp)));
+
+      const updatedLog = LitterRobot4Data.mergeActivityLog(log, entries);
+      await this.setStoreValue('activity_log', updatedLog);
+
+      if (!isSeeded) {
+        await this.setStoreValue('activity_log_seeded', true);
+      } else if (entries.length > 0) {
+        this._triggerActivityFlowCards(entries);
+      }
+
+      await this._updateActivityDisplay(updatedLog);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh activity history:'), err);
+    }
+  }
+
+  /**
+   * Triggers the activity flow card for each new entry, oldest first.
+   * @param {Array<Object>} entries - New parsed activity entries
+   * @private
+   */
+  _triggerActivityFlowCards(entries) {
+    const settings = this.getSettings();
+    const use12hFormat = settings.use_12h_format === '12h';
+    const timezone = this.robot?.unitTimezone || null;
+
+    const ordered = [...entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    for (const entry of ordered) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [activity_logged] (${entry.category}: ${entry.description})`)}`);
+      this.homey.flow.getDeviceTriggerCard('activity_logged')
+        .trigger(this, {
+          activity_type: entry.category,
+          description: entry.description,
+          time: LitterRobot4Data.formatTime(entry.timestamp, { use12hFormat, timezone }) || entry.timestamp,
+        }, { category: entry.category })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger activity_logged:'), err));
+    }
+  }
+
+  /**
+   * Renders the activity log into the last cat visit capability and the
+   * activity settings so it can be browsed from the device settings.
+   * @param {Array<Object>} log - Activity log (newest first)
+   * @private
+   */
+  async _updateActivityDisplay(log = this.getStoreValue('activity_log') || []) {
+    const settings = this.getSettings();
+    const formatOptions = {
+      use12hFormat: settings.use_12h_format === '12h',
+      timezone: this.robot?.unitTimezone || null,
+    };
+    const { ActivityCategory } = LitterRobot4Data;
+
+    const lastOf = (category) => {
+      const entry = log.find((e) => e.category === category);
+      return entry ? LitterRobot4Data.formatActivityEntry(entry, formatOptions) : 'None recorded';
+    };
+
+    const lastVisit = log.find((e) => e.category === ActivityCategory.CAT_VISIT);
+    const lastVisitString = lastVisit
+      ? (LitterRobot4Data.formatTime(lastVisit.timestamp, formatOptions) || lastVisit.timestamp)
+      : 'None recorded';
+
+    if (this.getCapabilityValue('last_cat_visit') !== lastVisitString) {
+      this.setCapabilityValue('last_cat_visit', lastVisitString).catch((err) => {
+        handleCapabilityError(err, 'last_cat_visit', 'update', this);
+      });
+    }
+
+    await this.setSettings({
+      activity_last_cat_visit: lastOf(ActivityCategory.CAT_VISIT),
+      activity_last_clean_cycle: lastOf(ActivityCategory.CLEAN_CYCLE),
+      activity_last_drawer_reset: lastOf(ActivityCategory.DRAWER_RESET),
+      activity_last_fault: lastOf(ActivityCategory.FAULT),
+      activity_recent: log.length
+        ? log.map((entry) => LitterRobot4Data.formatActivityEntry(entry, formatOptions)).join('\n')
+        : 'None recorded',
+    }).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update activity settings:'), err);
+    });
+  }
+
+  /**
+   * Starts periodic retrieval of the robot's cloud connectivity history.
+   * @private
+   */
+  _startConnectivityPolling() {
+    this._stopConnectivityPolling();
+
+    this._connectivityInterval = this.homey.setInterval(() => {
+      this._refreshConnectivity();
+    }, LitterRobot4Data.Defaults.CONNECTIVITY_POLL_INTERVAL);
+
+    this._refreshConnectivity();
+  }
+
+  /**
+   * Stops connectivity polling.
+   * @private
+   */
+  _stopConnectivityPolling() {
+    if (this._connectivityInterval) {
+      this.homey.clearInterval(this._connectivityInterval);
+      this._connectivityInterval = null;
+    }
+  }
+
+  /**
+   * Fetches lifecycle events newer than the last logged entry, merges them
+   * into the stored connectivity log and triggers the disconnect card for new
+   * cloud disconnects. The first fetch only seeds the log.
+   * @private
+   */
+  async _refreshConnectivity() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session || !session.isSessionValid()) return;
+
+      const log = this.getStoreValue('connectivity_log') || [];
+      const isSeeded = this.getStoreValue('connectivity_log_seeded') === true;
+      const lastTimestamp = log.length ? log[0].timestamp : null;
+      const startTimestamp = lastTimestamp
+        || new Date(Date.now() - LitterRobot4Data.Defaults.CONNECTIVITY_INITIAL_LOOKBACK).toISOString();
+
+      const rows = await session.getLR4Lifecycle(this.robotSerial, {
+        startTimestamp,
+        limit: LitterRobot4Data.Defaults.CONNECTIVITY_FETCH_LIMIT,
+      });
+
+      const entries = rows
+        .map((row) => LitterRobot4Data.parseConnectivityEvent(row))
+        .filter((entry) => entry && (!lastTimestamp || new Date(entry.timestamp) > new Date(lastTimestamp)));
+
+      const updatedLog = LitterRobot4Data.mergeConnectivityLog(log, entries);
+      await this.setStoreValue('connectivity_log', updatedLog);
+
+      if (!isSeeded) {
+        await this.setStoreValue('connectivity_log_seeded', true);
+      } else {
+        this._triggerDisconnectFlowCards(entries);
+      }
+
+      await this._updateConnectivityDisplay(updatedLog);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh connectivity history:'), err);
+    }
+  }
+
+  /**
+   * Triggers the cloud disconnect card for each new disconnect, oldest first.
+   * @param {Array<Object>} entries - New parsed connectivity entries
+   * @private
+   */
+  _triggerDisconnectFlowCards(entries) {
+    const settings = this.getSettings();
+    const use12hFormat = settings.use_12h_format === '12h';
+    const timezone = this.robot?.unitTimezone || null;
+
+    const disconnects = entries
+      .filter((entry) => entry.type === LitterRobot4Data.ConnectivityEventType.DISCONNECTED)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const entry of disconnects) {
+      const reason = LitterRobot4Data.describeDisconnectReason(entry);
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [cloud_disconnect_logged] (${reason})`)}`);
+      this.homey.flow.getDeviceTriggerCard('cloud_disconnect_logged')
+        .trigger(this, {
+          reason,
+          client_initiated: entry.clientInitiated,
+          time: LitterRobot4Data.formatTime(entry.timestamp, { use12hFormat, timezone }) || entry.timestamp,
+        })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger cloud_disconnect_logged:'), err));
+    }
+  }
+
+  /**
+   * Renders the connectivity log into the connectivity settings.
+   * @param {Array<Object>} log - Connectivity log (newest first)
+   * @private
+   */
+  async _updateConnectivityDisplay(log = this.getStoreValue('connectivity_log') || []) {
+    const settings = this.getSettings();
+    const formatOptions = {
+      use12hFormat: settings.use_12h_format === '12h',
+      timezone: this.robot?.unitTimezone || null,
+    };
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const disconnects = log.filter((entry) => entry.type === LitterRobot4Data.ConnectivityEventType.DISCONNECTED);
+
+    await this.setSettings({
+      connectivity_last_disconnect: disconnects.length
+        ? LitterRobot4Data.formatConnectivityEntry(disconnects[0], formatOptions)
+        : 'None recorded',
+      connectivity_disconnects_7d: String(disconnects.filter((entry) => new Date(entry.timestamp) >= weekAgo).length),
+      connectivity_recent: log.length
+        ? log.map((entry) => LitterRobot4Data.formatConnectivityEntry(entry, formatOptions)).join('\n')
+        : 'None recorded',
+    }).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update connectivity settings:'), err);
+    });
+  }
+
+  /**
+   * Updates the weak signal alarm from the Wi-Fi signal strength and triggers
+   * the weak signal card when the signal drops below the threshold. The state
+   * is kept in the store so a robot that stays weak does not trigger on every
+   * restart.
+   * @param {LitterRobot4Data} robotData - Current robot data instance
+   * @param {number} [threshold] - Weak signal threshold in dBm; defaults to the current setting
+   * @private
+   */
+  async _updateWeakSignalAlarm(robotData, threshold = this.getSettings().weak_signal_threshold) {
+    const rssi = robotData?.wifiRssi ?? null;
+    if (rssi === null) return;
+
+    const limit = threshold ?? LitterRobot4Data.Defaults.DEFAULT_WEAK_SIGNAL_THRESHOLD;
+    const isWeak = rssi < limit;
+
+    if (this.getCapabilityValue('alarm_weak_signal') !== isWeak) {
+      this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [alarm_weak_signal] changed: ${!isWeak} → ${isWeak} (${rssi} dBm)`)}`);
+      this.setCapabilityValue('alarm_weak_signal', isWeak).catch((err) => {
+        handleCapabilityError(err, 'alarm_weak_signal', 'update', this);
+      });
+    }
+
+    const wasWeak = this.getStoreValue('weak_signal_active') === true;
+    if (isWeak === wasWeak) return;
+
+    if (isWeak) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [weak_signal_detected] (${rssi} dBm < ${limit} dBm)`)}`);
+      this.homey.flow.getDeviceTriggerCard('weak_signal_detected')
+        .trigger(this, { signal_strength: rssi, threshold: limit })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger weak_signal_detected:'), err));
+    }
+    await this.setStoreValue('weak_signal_active', isWeak);
+  }
+
+  /**
+   * Starts periodic retrieval of daily usage insights.
+   * @private
+   */
+  _startInsightsPolling() {
+    this._stopInsightsPolling();
+
+    this._insightsInterval = this.homey.setInterval(() => {
+      this._refreshInsights();
+    }, LitterRobot4Data.Defaults.INSIGHTS_POLL_INTERVAL);
+
+    this._refreshInsights();
+  }
+
+  /**
+   * Stops insights polling.
+   * @private
+   */
+  _stopInsightsPolling() {
+    if (this._insightsInterval) {
+      this.homey.clearInterval(this._insightsInterval);
+      this._insightsInterval = null;
+    }
+  }
+
+  /**
+   * Fetches today's and the last week's insights and updates the usage
+   * capabilities. Days are counted in the robot's timezone so "today" matches
+   * the Whisker app.
+   * @private
+   */
+  async _refreshInsights() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session || !session.isSessionValid()) return;
+
+      const timezone = this.robotData?.timezone || this.homey.clock.getTimezone();
+      const timezoneOffset = LitterRobot4Data.getTimezoneOffsetSeconds(timezone);
+      const todayStart = LitterRobot4Data.getLocalDate(timezone);
+      const weekStart = LitterRobot4Data.getLocalDate(timezone, {
+        daysAgo: LitterRobot4Data.Defaults.INSIGHTS_AVERAGE_DAYS - 1,
+      });
+
+      const [today, insights] = await Promise.all([
+        session.getLR4Insights(this.robotSerial, { startTimestamp: todayStart, timezoneOffset }),
+        session.getLR4Insights(this.robotSerial, { startTimestamp: weekStart, timezoneOffset }),
+      ]);
+
+      const week = insights || await session.getLR4WeeklyInsights(this.robotSerial, {
+        startDate: weekStart,
+        timezoneOffsetSec: timezoneOffset,
+      });
+
+      const summary = LitterRobot4Data.summarizeInsights({ today, week, timezone });
+      const updates = [
+        ['measure_cycles_today', summary.cyclesToday],
+        ['measure_cycles_7d_average', summary.cycles7dAverage],
+        ['measure_cat_detections_today', summary.catDetectionsToday],
+      ];
+
+      for (const [capability, newValue] of updates) {
+        const oldValue = this.getCapabilityValue(capability);
+        if (newValue === null || newValue === oldValue) continue;
+
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [${capability}] changed: ${oldValue} → ${newValue}`)}`);
+        this.setCapabilityValue(capability, newValue).catch((err) => {
+          handleCapabilityError(err, capability, 'update', this);
+        });
+      }
+
+      await this._checkUsageAnomalies(summary, week, timezone);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh usage insights:'), err);
+    }
+  }
+
+  /**
+   * Starts periodic retrieval of unit diagnostics.
+   * @private
+   */
+  _startDiagnosticsPolling() {
+    this._stopDiagnosticsPolling();
+
+    this._diagnosticsInterval = this.homey.setInterval(() => {
+      this.refreshDiagnostics().catch((err) => {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh unit diagnostics:'), err);
+      });
+    }, LitterRobot4Data.Defaults.DIAGNOSTICS_POLL_INTERVAL);
+
+    this.refreshDiagnostics().catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh unit diagnostics:'), err);
+    });
+  }
+
+  /**
+   * Stops diagnostics polling.
+   * @private
+   */
+  _stopDiagnosticsPolling() {
+    if (this._diagnosticsInterval) {
+      this.homey.clearInterval(this._diagnosticsInterval);
+      this._diagnosticsInterval = null;
+    }
+  }
+
+  /**
+   * Fetches the unit diagnostics, updates the motor current capabilities and
+   * diagnostics settings, and checks the globe motor current trend.
+   * Also used by the refresh diagnostics flow action.
+   * @returns {Promise<Object|null>} Parsed diagnostics, or null when unavailable
+   */
+  async refreshDiagnostics() {
+    const session = this.homey.app.getSession(this.accountId);
+    if (!session || !session.isSessionValid()) return null;
+
+    const diagnostics = LitterRobot4Data.parseDiagnostics(await session.getUnitDiagnostics(this.robotSerial));
+    if (!diagnostics) {
+      this.log(colorize(LOG_COLORS.WARNING, 'No unit diagnostics available for this robot'));
+      return null;
+    }
+
+    const updates = [
+      ['measure_globe_motor_current', diagnostics.globeMotorAvgAmps],
+      ['measure_hopper_motor_current', diagnostics.hopperMotorAmps],
+    ];
+    for (const [capability, newValue] of updates) {
+      const oldValue = this.getCapabilityValue(capability);
+      if (newValue === null || newValue === oldValue) continue;
+
+      this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [${capability}] changed: ${oldValue} → ${newValue}`)}`);
+      this.setCapabilityValue(capability, newValue).catch((err) => {
+        handleCapabilityError(err, capability, 'update', this);
+      });
+    }
+
+    await this._updateDiagnosticsDisplay(diagnostics);
+
+    let history = this.getStoreValue('diagnostics_history') || [];
+    if (history[history.length - 1]?.sampleKey !== diagnostics.sampleKey) {
+      history = [...history, {
+        sampleKey: diagnostics.sampleKey,
+        timestamp: diagnostics.timestamp,
+        globeMotorAvgAmps: diagnostics.globeMotorAvgAmps,
+      }].slice(-LitterRobot4Data.Defaults.DIAGNOSTICS_HISTORY_SIZE);
+      await this.setStoreValue('diagnostics_history', history);
+      await this._checkMotorTrend(history);
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Triggers the motor health flow when the globe motor current has risen by
+   * more than the configured percentage. Triggers once until the trend recovers.
+   * @param {Array<Object>} history - Diagnostics history, oldest first
+   * @private
+   */
+  async _checkMotorTrend(history) {
+    const trend = LitterRobot4Data.calculateMotorTrend(history);
+    if (!trend) return;
+
+    const threshold = this.getSetting('motor_trend_threshold') ?? LitterRobot4Data.Defaults.MOTOR_TREND_THRESHOLD_PERCENT;
+    const degrading = trend.increasePercent >= threshold;
+    const alerted = this.getStoreValue('motor_trend_alerted') === true;
+
+    if (degrading && !alerted) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [motor_health_degrading] (${trend.baselineAmps} A → ${trend.recentAmps} A, +${trend.increasePercent}%)`)}`);
+      this.homey.flow.getDeviceTriggerCard('motor_health_degrading')
+        .trigger(this, {
+          increase_percent: trend.increasePercent,
+          recent_amps: trend.recentAmps,
+          baseline_amps: trend.baselineAmps,
+        })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger motor_health_degrading:'), err));
+    }
+
+    if (degrading !== alerted) {
+      await this.setStoreValue('motor_trend_alerted', degrading);
+    }
+  }
+
+  /**
+   * Renders the latest diagnostics into the device settings.
+   * @param {Object} diagnostics - Parsed diagnostics
+   * @private
+   */
+  async _updateDiagnosticsDisplay(diagnostics) {
+    const formatOptions = {
+      use12hFormat: this.getSetting('use_12h_format') === '12h',
+      timezone: this.robot?.unitTimezone || null,
+    };
+    const format = (value, unit) => (value === null ? 'Unknown' : `${value} ${unit}`);
+    const timers = [
+      ['cycle', diagnostics.cycleTime],
+      ['dump', diagnostics.dumpTime],
+      ['home', diagnostics.homeTime],
+    ].filter(([, value]) => value !== null).map(([label, value]) => `${label} ${value} s`);
+
+    let motorFault = 'None';
+    if (diagnostics.motorFault) {
+      const {
+        amperage, voltage, speed, slope, cycleTime,
+      } = diagnostics.motorFault;
+      motorFault = [
+        ['current', amperage, 'A'],
+        ['voltage', voltage, 'V'],
+        ['speed', speed, 'RPM'],
+        ['slope', slope, ''],
+        ['at', cycleTime, 's'],
+      ].filter(([, value]) => value !== null).map(([label, value, unit]) => `${label} ${value}${unit ? ` ${unit}` : ''}`).join(', ');
+    }
+
+    await this.setSettings({
+      diagnostics_globe_motor: `${format(diagnostics.globeMotorAmps, 'A')} (average ${format(diagnostics.globeMotorAvgAmps, 'A')})`,
+      diagnostics_hopper_motor: format(diagnostics.hopperMotorAmps, 'A'),
+      diagnostics_tof_distance: `left ${format(diagnostics.tofLeftDistance, 'mm')}, middle ${format(diagnostics.tofMiddleDistance, 'mm')}, right ${format(diagnostics.tofRightDistance, 'mm')}`,
+      diagnostics_globe_speed: format(diagnostics.globeRotationSpeed, 'RPM'),
+      diagnostics_cycle_timers: timers.length ? timers.join(', ') : 'Unknown',
+      diagnostics_motor_fault: motorFault,
+      diagnostics_updated: LitterRobot4Data.formatTime(diagnostics.timestamp, formatOptions) || diagnostics.timestamp,
+    }).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update diagnostics settings:'), err);
+    });
+  }
+
+  /**
+   * Starts periodic firmware update checks.
+   * @private
+   */
+  _startFirmwareChecks() {
+    this._stopFirmwareChecks();
+
+    this._firmwareInterval = this.homey.setInterval(() => {
+      this._checkFirmware();
+    }, LitterRobot4Data.Defaults.FIRMWARE_CHECK_INTERVAL);
+
+    this._checkFirmware();
+  }
+
+  /**
+   * Stops firmware update checks.
+   * @private
+   */
+  _stopFirmwareChecks() {
+    if (this._firmwareInterval) {
+      this.homey.clearInterval(this._firmwareInterval);
+      this._firmwareInterval = null;
+    }
+  }
+
+  /**
+   * Checks whether the robot's firmware is current. A new update raises the
+   * alarm, posts a timeline notification and triggers a flow; with automatic
+   * updates enabled it is installed once the quiet window starts.
+   * @private
+   */
+  async _checkFirmware() {
+    try {
+      const session = this.homey.app.getSession(this.accountId);
+      if (!session || !session.isSessionValid()) return;
+
+      const firmware = LitterRobot4Data.parseFirmwareStatus(await session.getLR4FirmwareStatus(this.robotSerial));
+      if (!firmware) return;
+
+      const wasAvailable = this.getCapabilityValue('alarm_firmware_update_available') === true;
+      if (firmware.updateAvailable !== wasAvailable) {
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [alarm_firmware_update_available] changed: ${wasAvailable} → ${firmware.updateAvailable}`)}`);
+        this.setCapabilityValue('alarm_firmware_update_available', firmware.updateAvailable).catch((err) => {
+          handleCapabilityError(err, 'alarm_firmware_update_available', 'update', this);
+        });
+      }
+
+      if (!firmware.updateAvailable) return;
+
+      const currentVersion = LitterRobot4Data.formatFirmwareVersion(this.robot || {});
+      if (!wasAvailable) {
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [firmware_update_available] (${currentVersion} → ${firmware.latestVersion || 'unknown'})`)}`);
+        this.homey.flow.getDeviceTriggerCard('firmware_update_available')
+          .trigger(this, {
+            current_version: currentVersion,
+            latest_version: firmware.latestVersion || '',
+            components: firmware.components.join(', '),
+          })
+          .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger firmware_update_available:'), err));
+      }
+
+      await createFirmwareUpdateNotification(this, this.homey, firmware);
+      await this._autoInstallFirmware(firmware);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to check firmware version:'), err);
+    }
+  }
+
+  /**
+   * Installs an available firmware update when automatic updates are enabled,
+   * the current time is within the quiet window and no cat is in the robot.
+   * Each firmware version is only installed automatically once.
+   * @param {Object} firmware - Parsed firmware status
+   * @private
+   */
+  async _autoInstallFirmware(firmware) {
+    const settings = this.getSettings();
+    if (!settings.firmware_auto_update) return;
+
+    const version = firmware.latestVersion || firmware.components.join(',');
+    if (this.getStoreValue('firmware_update_installed_version') === version) return;
+
+    const timezone = this.robot?.unitTimezone || this.homey.clock.getTimezone();
+    if (!LitterRobot4Data.isWithinHourWindow(settings.firmware_quiet_start, settings.firmware_quiet_end, timezone)) return;
+
+    if (this.getCapabilityValue('alarm_cat_detected')) {
+      this.log(colorize(LOG_COLORS.INFO, 'Cat detected, postponing automatic firmware update'));
+      return;
+    }
+
+    await this.installFirmwareUpdate(firmware);
+    await this.setStoreValue('firmware_update_installed_version', version);
+  }
+
+  /**
+   * Starts installing the latest firmware on the robot. Without a firmware
+   * status the current one is fetched first, as the alarm can be up to a
+   * firmware check interval old.
+   * @param {Object|null} [firmware=null] - Parsed firmware status that was just fetched
+   * @returns {Promise<void>}
+   * @throws {Error} If no update is available or the robot rejects it
+   */
+  async installFirmwareUpdate(firmware = null) {
+    const session = this.homey.app.getSession(this.accountId);
+    if (!session || !session.isSessionValid()) {
+      throw new Error(this.homey.app.getReauthMessage(this.accountId) || 'No API session available. Please repair device.');
+    }
+
+    const status = firmware || LitterRobot4Data.parseFirmwareStatus(await session.getLR4FirmwareStatus(this.robotSerial));
+    if (!status?.updateAvailable) {
+      throw new Error(LitterRobot4Data.ErrorMessages.NO_FIRMWARE_UPDATE);
+    }
+
+    const triggered = await session.triggerLR4FirmwareUpdate(this.robotSerial);
+    if (!triggered) {
+      throw new Error(LitterRobot4Data.ErrorMessages.FIRMWARE_UPDATE_REJECTED);
+    }
+    this.log(colorize(LOG_COLORS.SUCCESS, 'Firmware update started'));
+  }
+
+  /**
+   * Starts periodic maintenance checks so day-based reminders become due
+   * even when the robot sends no updates.
+   * @private
+   */
+  _startMaintenanceChecks() {
+    this._stopMaintenanceChecks();
+
+    this._maintenanceInterval = this.homey.setInterval(() => {
+      this._checkMaintenance({ updateSettings: true }).catch((err) => {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to check maintenance:'), err);
+      });
+    }, MAINTENANCE_DEFAULTS.CHECK_INTERVAL);
+
+    this._checkMaintenance({ updateSettings: true }).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to check maintenance:'), err);
+    });
+  }
+
+  /**
+   * Stops maintenance checks.
+   * @private
+   */
+  _stopMaintenanceChecks() {
+    if (this._maintenanceInterval) {
+      this.homey.clearInterval(this._maintenanceInterval);
+      this._maintenanceInterval = null;
+    }
+  }
+
+  /**
+   * Returns the stored maintenance log, starting the counters of tasks that
+   * have never been marked done at the current time and filter odometer.
+   * @param {LitterRobot4Data} robotData - Current robot data instance
+   * @returns {Promise<Object>} Log keyed by task ({ doneAt, filterCycles })
+   * @private
+   */
+  async _getMaintenanceLog(robotData) {
+    const log = { ...(this.getStoreValue('maintenance_log') || {}) };
+    const missing = Object.values(MAINTENANCE_TASKS).filter((task) => !log[task]);
+    if (missing.length === 0) return log;
+
+    for (const task of missing) {
+      log[task] = { doneAt: Date.now(), filterCycles: robotData.filterCycles ?? 0 };
+    }
+    await this.setStoreValue('maintenance_log', log);
+    return log;
+  }
+
+  /**
+   * Evaluates all maintenance tasks, updates the maintenance capabilities and
+   * triggers the maintenance due card once for each task that becomes due.
+   * @param {Object} [options]
+   * @param {LitterRobot4Data} [options.robotData] - Robot data; defaults to the current state
+   * @param {Object} [options.settings] - Device settings; defaults to the saved settings
+   * @param {boolean} [options.updateSettings=false] - Also refresh the maintenance labels in the settings
+   * @private
+   */
+  async _checkMaintenance({ robotData = this.robotData, settings = this.getSettings(), updateSettings = false } = {}) {
+    if (!robotData) return;
+
+    const log = await this._getMaintenanceLog(robotData);
+    const { filterCycles } = robotData;
+    const filterBaseline = log[MAINTENANCE_TASKS.FILTER].filterCycles || 0;
+    let filterCyclesSince = null;
+    if (typeof filterCycles === 'number') {
+      // A counter below the baseline means the filter was reset on the robot itself
+      filterCyclesSince = filterCycles >= filterBaseline ? filterCycles - filterBaseline : filterCycles;
+    }
+
+    const statuses = {
+      [MAINTENANCE_TASKS.FILTER]: evaluateMaintenanceTask({
+        intervalDays: settings.maintenance_filter_days ?? MAINTENANCE_DEFAULTS.FILTER_DAYS,
+        intervalCycles: settings.maintenance_filter_cycles ?? MAINTENANCE_DEFAULTS.FILTER_CYCLES,
+        doneAt: log[MAINTENANCE_TASKS.FILTER].doneAt,
+        cyclesSince: filterCyclesSince,
+      }),
+      [MAINTENANCE_TASKS.LASER]: evaluateMaintenanceTask({
+        intervalDays: settings.maintenance_laser_days ?? MAINTENANCE_DEFAULTS.LASER_DAYS,
+        doneAt: log[MAINTENANCE_TASKS.LASER].doneAt,
+        forceDue: robotData.isLaserDirty,
+      }),
+      [MAINTENANCE_TASKS.DEEP_CLEAN]: evaluateMaintenanceTask({
+        intervalDays: settings.maintenance_deep_clean_days ?? MAINTENANCE_DEFAULTS.DEEP_CLEAN_DAYS,
+        doneAt: log[MAINTENANCE_TASKS.DEEP_CLEAN].doneAt,
+      }),
+    };
+
+    const dueTasks = Object.keys(statuses).filter((task) => statuses[task].isDue);
+    const updates = [
+      ['measure_filter_days_remaining', statuses[MAINTENANCE_TASKS.FILTER].daysRemaining],
+      ['measure_filter_cycles_remaining', statuses[MAINTENANCE_TASKS.FILTER].cyclesRemaining],
+      ['measure_laser_clean_days_remaining', statuses[MAINTENANCE_TASKS.LASER].daysRemaining],
+      ['measure_deep_clean_days_remaining', statuses[MAINTENANCE_TASKS.DEEP_CLEAN].daysRemaining],
+      ['alarm_maintenance_due', dueTasks.length > 0],
+    ];
+
+    for (const [capability, newValue] of updates) {
+      const oldValue = this.getCapabilityValue(capability);
+      if (newValue === null || newValue === oldValue) continue;
+
+      this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [${capability}] changed: ${oldValue} → ${newValue}`)}`);
+      this.setCapabilityValue(capability, newValue).catch((err) => {
+        handleCapabilityError(err, capability, 'update', this);
+      });
+    }
+
+    const previouslyDue = this.getStoreValue('maintenance_due') || [];
+    for (const task of dueTasks.filter((t) => !previouslyDue.includes(t))) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [maintenance_due] (${task}: ${statuses[task].reason})`)}`);
+      this.homey.flow.getDeviceTriggerCard('maintenance_due')
+        .trigger(this, {
+          task,
+          task_name: MAINTENANCE_TASK_NAMES[task],
+          reason: statuses[task].reason,
+        }, { task })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger maintenance_due:'), err));
+    }
+
+    if (dueTasks.length !== previouslyDue.length || dueTasks.some((task) => !previouslyDue.includes(task))) {
+      await this.setStoreValue('maintenance_due', dueTasks);
+    }
+
+    if (updateSettings) {
+      await this._updateMaintenanceSettings(log, robotData);
+    }
+  }
+
+  /**
+   * Renders when each task was last done and the robot's odometers into the
+   * maintenance settings.
+   * @param {Object} log - Maintenance log from _getMaintenanceLog
+   * @param {LitterRobot4Data} robotData - Current robot data instance
+   * @private
+   */
+  async _updateMaintenanceSettings(log, robotData) {
+    const settings = this.getSettings();
+    const formatOptions = {
+      use12hFormat: settings.use_12h_format === '12h',
+      timezone: this.robot?.unitTimezone || null,
+    };
+    const lastDone = (task) => LitterRobot4Data.formatTime(new Date(log[task].doneAt).toISOString(), formatOptions) || 'Unknown';
+    const count = (value) => (typeof value === 'number' ? String(value) : 'Unknown');
+
+    await this.setSettings({
+      maintenance_filter_last_done: lastDone(MAINTENANCE_TASKS.FILTER),
+      maintenance_laser_last_done: lastDone(MAINTENANCE_TASKS.LASER),
+      maintenance_deep_clean_last_done: lastDone(MAINTENANCE_TASKS.DEEP_CLEAN),
+      maintenance_empty_cycles: count(robotData.emptyCycles),
+      maintenance_power_cycles: count(robotData.powerCycles),
+    }).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update maintenance settings:'), err);
+    });
+  }
+
+  /**
+   * Marks a maintenance task as done, restarting its day and cycle counters.
+   * @param {string} task - Task from MAINTENANCE_TASKS
+   * @returns {Promise<void>}
+   * @throws {Error} If the task is unknown
+   */
+  async markMaintenanceDone(task) {
+    if (!Object.values(MAINTENANCE_TASKS).includes(task)) {
+      throw new Error(LitterRobot4Data.ErrorMessages.INVALID_MAINTENANCE_TASK);
+    }
+
+    const log = { ...(this.getStoreValue('maintenance_log') || {}) };
+    log[task] = { doneAt: Date.now(), filterCycles: this.robotData?.filterCycles ?? 0 };
+    await this.setStoreValue('maintenance_log', log);
 
-      const dataHandler = (data) => {
-        if (data.deviceId === this.robotSerial) {
-          this._handleRobotUpdate(data.data).catch((err) => {
-            this.error(colorize(LOG_COLORS.ERROR, 'Failed to handle robot update:'), err);
-          });
-        }
-      };
+    const previouslyDue = this.getStoreValue('maintenance_due') || [];
+    await this.setStoreValue('maintenance_due', previouslyDue.filter((t) => t !== task));
 
-      eventEmitter.on(EVENTS.DATA_RECEIVED, dataHandler);
-      this._websocketUnsubscribe = () => {
-        eventEmitter.removeListener(EVENTS.DATA_RECEIVED, dataHandler);
-      };
+    this.log(colorize(LOG_COLORS.SUCCESS, `Maintenance task marked as done: ${MAINTENANCE_TASK_NAMES[task]}`));
+    await this._checkMaintenance({ updateSettings: true });
+  }
 
-      this.log(colorize(LOG_COLORS.SUCCESS, 'WebSocket connection established'));
+  /**
+   * Checks whether a maintenance task is currently due.
+   * @param {string} task - Task from MAINTENANCE_TASKS, or 'any'
+   * @returns {boolean} True if the task (or any task) is due
+   */
+  isMaintenanceDue(task) {
+    const dueTasks = this.getStoreValue('maintenance_due') || [];
+    return task === 'any' ? dueTasks.length > 0 : dueTasks.includes(task);
+  }
 
-      if (this.setAvailable) {
-        this.setAvailable();
-        this.log(colorize(LOG_COLORS.SUCCESS, 'Device marked as available'));
+  /**
+   * Records today's usage in the daily history and asks the DataManager to
+   * compare it with this robot's baseline. Each anomaly type triggers at most
+   * once per day.
+   * @param {Object} summary - Summary from LitterRobot4Data.summarizeInsights
+   * @param {Object|null} week - Insights covering the last week
+   * @param {string} timezone - Robot timezone
+   * @private
+   */
+  async _checkUsageAnomalies(summary, week, timezone) {
+    const dataManager = this.homey.app.getDataManager(this.accountId);
+    const today = LitterRobot4Data.getLocalDate(timezone);
+
+    let history = this.getStoreValue('usage_history') || [];
+    for (const entry of week?.cycleHistory || []) {
+      const date = String(entry.date).slice(0, 10);
+      if (date < today) {
+        history = mergeUsageDay(history, { date, cycles: Number(entry.numberOfCycles) });
       }
+    }
+    history = mergeUsageDay(history, {
+      date: today,
+      visits: summary.catDetectionsToday,
+      visitsSampledAt: Date.now(),
+      cycles: summary.cyclesToday,
+    });
+    await this.setStoreValue('usage_history', history);
 
-      this.homey.setTimeout(() => {
-        this._requestInitialState();
-      }, 5000);
-    } catch (err) {
-      this.error(colorize(LOG_COLORS.ERROR, 'Failed to setup WebSocket:'), err);
+    if (!dataManager) return;
+
+    // Only cycles are reported per day; a past day's visits are the count at its
+    // last refresh, so leave out days that were last sampled well before midnight
+    const baselineHistory = history.map((entry) => {
+      const sampledToEnd = entry.visitsSampledAt
+        && LitterRobot4Data.getLocalDate(timezone, { date: new Date(entry.visitsSampledAt + USAGE_DEFAULTS.VISIT_SAMPLE_MARGIN) }) !== entry.date;
+      return entry.date < today && !sampledToEnd ? { ...entry, visits: null } : entry;
+    });
+
+    const settings = this.getSettings();
+    const lastVisit = this.getLastActivity(LitterRobot4Data.ActivityCategory.CAT_VISIT);
+    const anomalies = dataManager.analyzeUsage(this.robotSerial, {
+      history: baselineHistory,
+      today,
+      usage: { visits: summary.catDetectionsToday, cycles: summary.cyclesToday },
+      lastVisitAt: lastVisit?.timestamp || null,
+      thresholdPercent: settings.usage_anomaly_threshold ?? USAGE_DEFAULTS.THRESHOLD_PERCENT,
+      noVisitHours: settings.usage_no_visit_hours ?? USAGE_DEFAULTS.NO_VISIT_HOURS,
+    });
+
+    const reported = this.getStoreValue('usage_anomalies_reported') || {};
+    const reportedToday = reported.date === today ? reported.types : [];
+    const newAnomalies = anomalies.filter((anomaly) => !reportedToday.includes(anomaly.type));
+    if (newAnomalies.length === 0) return;
+
+    for (const anomaly of newAnomalies) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [usage_anomaly_detected] (${anomaly.type}: ${anomaly.description})`)}`);
+      this.homey.flow.getDeviceTriggerCard('usage_anomaly_detected')
+        .trigger(this, {
+          anomaly_type: anomaly.type,
+          description: anomaly.description,
+          today_value: anomaly.todayValue,
+          baseline_value: anomaly.baselineValue,
+          deviation_percent: anomaly.deviationPercent,
+        })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger usage_anomaly_detected:'), err));
     }
+
+    await this.setStoreValue('usage_anomalies_reported', {
+      date: today,
+      types: [...reportedToday, ...newAnomalies.map((anomaly) => anomaly.type)],
+    });
   }
 
   /**
-   * Requests current robot state after WebSocket connection to synchronize
-   * device capabilities with robot state.
-   * @private
+   * Returns the most recent logged activity, optionally limited to a category.
+   * @param {string} [category] - Activity category from LitterRobot4Data.ActivityCategory
+   * @returns {Object|null} Most recent activity entry or null
    */
-  async _requestInitialState() {
-    try {
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, LitterRobot4Data.Commands.REQUEST_STATE, null, 'litter_robot_4');
-      this.log(colorize(LOG_COLORS.INFO, 'Successfully requested initial state from robot'));
-    } catch (err) {
-      this.error(colorize(LOG_COLORS.ERROR, 'Failed to request initial state:'), err);
+  getLastActivity(category = null) {
+    const log = this.getStoreValue('activity_log') || [];
+    return log.find((entry) => !category || entry.category === category) || null;
+  }
+
+  /**
+   * Returns the logged cat visits that recorded a weight, newest first.
+   * Only weighed visits are attributed to a pet and can be reassigned.
+   * @returns {Array<Object>} Activity entries of weighed cat visits
+   */
+  getRecentCatVisits() {
+    const log = this.getStoreValue('activity_log') || [];
+    return log.filter((entry) => entry.category === LitterRobot4Data.ActivityCategory.CAT_VISIT
+      && parseFloat(entry.value) > 0);
+  }
+
+  /**
+   * Reassigns a cat visit to another pet. The pet the visit is currently
+   * assigned to is looked up in the pets' weight history so Whisker can move
+   * the reading instead of duplicating it.
+   * @param {string} petId - Pet the visit belongs to
+   * @param {string} [timestamp] - Timestamp of the visit; defaults to the latest visit
+   * @returns {Promise<void>}
+   * @throws {Error} If no matching visit is found or the reassignment fails
+   */
+  async reassignVisit(petId, timestamp = null) {
+    const session = this.homey.app.getSession(this.accountId);
+    if (!session || !session.isSessionValid()) {
+      throw new Error(this.homey.app.getReauthMessage(this.accountId) || 'No API session available. Please repair device.');
+    }
+
+    const visits = this.getRecentCatVisits();
+    const visit = timestamp ? visits.find((entry) => entry.timestamp === timestamp) : visits[0];
+    if (!visit) {
+      throw new Error(PetData.ErrorMessages.VISIT_NOT_FOUND);
+    }
+
+    const pets = await session.getPets();
+    const histories = await Promise.all(pets.map((pet) => session.getWeightHistory(pet.petId, PetData.VisitMatch.HISTORY_LIMIT)));
+    const fromIndex = histories.findIndex((history) => PetData.findVisitReading(history, this.robotSerial, visit.timestamp));
+    const fromPetId = fromIndex === -1 ? null : pets[fromIndex].petId;
+
+    if (fromPetId === petId) {
+      this.log(colorize(LOG_COLORS.INFO, `Visit ${visit.timestamp} is already assigned to pet ${petId}`));
+      return;
+    }
+
+    await session.reassignPetVisit({
+      robotSerial: this.robotSerial,
+      timestamp: visit.timestamp,
+      toPetId: petId,
+      fromPetId,
+    });
+    this.log(colorize(LOG_COLORS.SUCCESS, `Reassigned visit ${visit.timestamp} to pet ${petId}`));
+
+    // Both pets' weight trends change when a reading moves between them
+    const petDevices = this.homey.drivers.getDriver('pet').getDevices()
+      .filter((device) => device.petId === petId || (fromPetId && device.petId === fromPetId));
+    for (const device of petDevices) {
+      device.refreshWeightTrend();
     }
   }
 
@@ -356,27 +1437,23 @@ module.exports = class LitterRobotDevice extends Homey.Device {
    */
   async _registerCapabilityListeners() {
     this.registerCapabilityListener('start_clean_cycle', async () => {
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, LitterRobot4Data.Commands.CLEAN_CYCLE, null, 'litter_robot_4');
+      await this._sendCommand(LitterRobot4Data.Commands.CLEAN_CYCLE);
     });
 
     this.registerCapabilityListener('start_empty_cycle', async () => {
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, LitterRobot4Data.Commands.EMPTY_CYCLE, null, 'litter_robot_4');
+      await this._sendCommand(LitterRobot4Data.Commands.EMPTY_CYCLE);
     });
 
     this.registerCapabilityListener('short_reset_press', async () => {
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, LitterRobot4Data.Commands.SHORT_RESET_PRESS, null, 'litter_robot_4');
+      await this._sendCommand(LitterRobot4Data.Commands.SHORT_RESET_PRESS);
     });
 
     this.registerCapabilityListener('clean_cycle_wait_time', async (value) => {
       const clumpTime = parseInt(value, 10);
       if (Number.isNaN(clumpTime)) throw new Error(LitterRobot4Data.ErrorMessages.INVALID_WAIT_TIME);
-      const payload = JSON.stringify({ clumpTime });
-      this.log(colorize(LOG_COLORS.COMMAND, `Sending ${LitterRobot4Data.Commands.SET_CLUMP_TIME} with payload: ${payload}`));
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, LitterRobot4Data.Commands.SET_CLUMP_TIME, payload, 'litter_robot_4');
+      const payload = { clumpTime };
+      this.log(colorize(LOG_COLORS.COMMAND, `Sending ${LitterRobot4Data.Commands.SET_CLUMP_TIME} with payload: ${JSON.stringify(payload)}`));
+      await this._sendCommand(LitterRobot4Data.Commands.SET_CLUMP_TIME, payload, 'clean_cycle_wait_time');
     });
 
     this.registerCapabilityListener('night_light_mode', async (value) => {
@@ -387,8 +1464,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
         case 'auto': command = LitterRobot4Data.Commands.NIGHT_LIGHT_MODE_AUTO; break;
         default: throw new Error(LitterRobot4Data.ErrorMessages.INVALID_NIGHT_LIGHT_MODE);
       }
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, command, null, 'litter_robot_4');
+      await this._sendCommand(command, null, 'night_light_mode');
     });
 
     this.registerCapabilityListener('panel_brightness', async (value) => {
@@ -399,8 +1475,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
         case 'high': command = LitterRobot4Data.Commands.PANEL_BRIGHTNESS_HIGH; break;
         default: throw new Error(LitterRobot4Data.ErrorMessages.INVALID_PANEL_BRIGHTNESS);
       }
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, command, null, 'litter_robot_4');
+      await this._sendCommand(command, null, 'panel_brightness');
     });
 
     this.registerCapabilityListener('night_light_brightness', async (value) => {
@@ -411,40 +1486,214 @@ module.exports = class LitterRobotDevice extends Homey.Device {
         case 'high': brightness = 100; break;
         default: throw new Error(LitterRobot4Data.ErrorMessages.INVALID_NIGHT_LIGHT_BRIGHTNESS);
       }
-      if (!this.robot) await this._fetchRobotData();
 
-      const payload = JSON.stringify({ nightLightPower: brightness });
-      this.log(colorize(LOG_COLORS.COMMAND, `Sending ${LitterRobot4Data.Commands.SET_NIGHT_LIGHT_VALUE} with payload: ${payload}`));
-      await this.homey.app.session.sendCommand(this.robot.serial, LitterRobot4Data.Commands.SET_NIGHT_LIGHT_VALUE, payload, 'litter_robot_4');
+      const payload = { nightLightPower: brightness };
+      this.log(colorize(LOG_COLORS.COMMAND, `Sending ${LitterRobot4Data.Commands.SET_NIGHT_LIGHT_VALUE} with payload: ${JSON.stringify(payload)}`));
+      await this._sendCommand(LitterRobot4Data.Commands.SET_NIGHT_LIGHT_VALUE, payload, 'night_light_brightness');
     });
 
     this.registerCapabilityListener('key_pad_lock_out', async (value) => {
       const command = value ? LitterRobot4Data.Commands.KEY_PAD_LOCK_OUT_ON : LitterRobot4Data.Commands.KEY_PAD_LOCK_OUT_OFF;
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, command, null, 'litter_robot_4');
+      await this._sendCommand(command, null, 'key_pad_lock_out');
     });
 
     this.registerCapabilityListener('litter_hopper_enabled', async (value) => {
       this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `LitterHopper enabled capability changed to: ${value}`)}`);
       const command = value ? LitterRobot4Data.Commands.ENABLE_HOPPER : LitterRobot4Data.Commands.DISABLE_HOPPER;
       this.log(colorize(LOG_COLORS.COMMAND, `Sending command: ${command}`));
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, command, null, 'litter_robot_4');
+      await this._sendCommand(command, null, 'litter_hopper_enabled');
     });
 
     this.registerCapabilityListener('onoff', async (value) => {
       const command = value ? LitterRobot4Data.Commands.POWER_ON : LitterRobot4Data.Commands.POWER_OFF;
-      if (!this.robot) await this._fetchRobotData();
-      await this.homey.app.session.sendCommand(this.robot.serial, command, null, 'litter_robot_4');
+      await this._sendCommand(command, null, 'onoff');
     });
 
     this.log(colorize(LOG_COLORS.INFO, 'Capability listeners registered'));
   }
 
+  /**
+   * Sends a command, or queues it while the robot is offline so it runs once
+   * the robot is back. Setting the queue expiry to 0 disables queuing. A
+   * queued command keeps the capability's current value, which is restored
+   * if the command expires or fails.
+   * @param {string} command - Command from LitterRobot4Data.Commands
+   * @param {Object|null} [payload=null] - Command payload
+   * @param {string|null} [capability=null] - Capability the command changes
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendCommand(command, payload = null, capability = null) {
+    if (!this.robot) await this._fetchRobotData();
+
+    const expiryMinutes = this.getSetting('command_queue_expiry') ?? 60;
+    if (this.robotData && !this.robotData.isOnline && expiryMinutes > 0) {
+      this.log(colorize(LOG_COLORS.WARNING, `Robot is offline, queuing ${command} for ${expiryMinutes} minutes`));
+      await this._commandQueue.enqueue(command, payload, {
+        ttl: expiryMinutes * 60 * 1000,
+        capability,
+        previousValue: capability ? this.getCapabilityValue(capability) : null,
+      });
+      this._scheduleCommandQueueExpiry();
+      return;
+    }
+
+    await this._sendConfirmedCommand(command, payload);
+  }
+
+  /**
+   * Replays commands queued while the robot was offline, in the order they
+   * were issued, and reports the outcome of each.
+   * @private
+   */
+  async _replayCommandQueue() {
+    if (this._commandQueue.getEntries().length === 0) return;
+
+    try {
+      const results = await this._commandQueue.replay(
+        (entry) => this._sendConfirmedCommand(entry.command, entry.payload),
+        { canExecute: () => this.robotData?.isOnline === true },
+      );
+      this._restoreQueuedCapabilities(results);
+      this._reportQueuedCommands(results);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to replay queued commands:'), err);
+    }
+    this._scheduleCommandQueueExpiry();
+  }
+
+  /**
+   * Schedules a check for the queued command that expires first, so expired
+   * commands are reported even while the robot stays offline.
+   * @private
+   */
+  _scheduleCommandQueueExpiry() {
+    if (this._commandQueueTimeout) {
+      this.homey.clearTimeout(this._commandQueueTimeout);
+      this._commandQueueTimeout = null;
+    }
+
+    const nextExpiry = this._commandQueue.getNextExpiry();
+    if (nextExpiry === null) return;
+
+    this._commandQueueTimeout = this.homey.setTimeout(async () => {
+      this._commandQueueTimeout = null;
+      try {
+        const expired = await this._commandQueue.takeExpired();
+        const results = expired.map((entry) => ({ entry, result: CommandQueue.Results.EXPIRED, error: null }));
+        this._restoreQueuedCapabilities(results);
+        this._reportQueuedCommands(results);
+      } catch (err) {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to expire queued commands:'), err);
+      }
+      this._scheduleCommandQueueExpiry();
+    }, Math.max(0, nextExpiry - Date.now()) + 1000);
+  }
+
+  /**
+   * Puts capabilities back to their value from before a queued command that
+   * expired or failed, so the UI does not show a state the robot never reached.
+   * @param {Array<Object>} results - Results ({ entry, result, error }) from the command queue
+   * @private
+   */
+  _restoreQueuedCapabilities(results) {
+    for (const { capability, value } of this._commandQueue.getRestores(results)) {
+      this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Restoring [${capability}] to ${value}, its queued command did not run`)}`);
+      this.setCapabilityValue(capability, value).catch((err) => {
+        handleCapabilityError(err, capability, 'update', this);
+      });
+    }
+  }
+
+  /**
+   * Triggers the queued command card for each finished queue entry.
+   * @param {Array<Object>} results - Results ({ entry, result, error }) from the command queue
+   * @private
+   */
+  _reportQueuedCommands(results) {
+    for (const { entry, result, error } of results) {
+      const queuedMinutes = Math.round((Date.now() - entry.queuedAt) / 60000);
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [queued_command_finished] (${entry.command}: ${result} after ${queuedMinutes} min)`)}`);
+      this.homey.flow.getDeviceTriggerCard('queued_command_finished')
+        .trigger(this, {
+          command: entry.command,
+          result,
+          queued_minutes: queuedMinutes,
+          error: error?.message || '',
+        }, { result })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger queued_command_finished:'), err));
+    }
+  }
+
+  /**
+   * Sends a command and waits until a state update over the WebSocket shows
+   * it took effect, so capability listeners and flows see real failures.
+   * When no update arrives in time the robot is fetched once before giving up,
+   * as the WebSocket may have been down while the robot carried it out.
+   * Commands without a known confirmation resolve once the API accepts them.
+   * @param {string} command - Command from LitterRobot4Data.Commands
+   * @param {Object|null} [payload=null] - Command payload
+   * @returns {Promise<void>}
+   * @throws {WhiskerCommandException} If the robot does not confirm the command in time
+   * @private
+   */
+  async _sendConfirmedCommand(command, payload = null) {
+    if (!this.robot) await this._fetchRobotData();
+
+    const isConfirmed = LitterRobot4Data.CommandConfirmations[command];
+
+    // Start tracking before sending; the state update can arrive before the API response
+    const tracked = isConfirmed && !isConfirmed(this.robot, payload)
+      ? this._commandTracker.track(command, (robot) => isConfirmed(robot, payload), {
+        timeout: LitterRobot4Data.Defaults.COMMAND_CONFIRM_TIMEOUT,
+      })
+      : null;
+
+    try {
+      try {
+        await this.homey.app.getSession(this.accountId).sendCommand(this.robot.serial, command, payload, 'litter_robot_4');
+      } catch (err) {
+        if (tracked) tracked.cancel();
+        throw err;
+      }
+      if (tracked) {
+        await tracked.promise.catch((err) => this._checkConfirmationByFetch(command, payload, err));
+      }
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, `Command ${command} failed:`), err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Fetches the robot after a command was not confirmed over the WebSocket and
+   * checks the fetched state instead.
+   * @param {string} command - Command from LitterRobot4Data.Commands
+   * @param {Object|null} payload - Command payload
+   * @param {Error} err - Error the confirmation wait failed with
+   * @returns {Promise<void>} Resolves if the fetched state confirms the command
+   * @throws {Error} The original error if the command is still not confirmed
+   * @private
+   */
+  async _checkConfirmationByFetch(command, payload, err) {
+    const session = this.homey.app.getSession(this.accountId);
+    if (!session || !session.isSessionValid()) throw err;
+
+    try {
+      await this._handleRobotUpdate(await session.getRobot(this.robotSerial));
+    } catch (fetchErr) {
+      this.error(colorize(LOG_COLORS.ERROR, `Failed to fetch robot to confirm ${command}:`), fetchErr);
+      throw err;
+    }
+
+    if (!LitterRobot4Data.CommandConfirmations[command](this.robot, payload)) throw err;
+    this.log(colorize(LOG_COLORS.SUCCESS, `Command ${command} confirmed by fetched robot state`));
+  }
+
   /**
    * Processes incoming robot state updates from WebSocket. Merges updates with
    * existing robot data, notifies DataManager of weight changes for pet device
-   * synchronization, and updates device settings on firmware changes.
+   * synchronization, and updates device settings on firmware and sleep schedule changes.
    * @param {Object} update - Robot state data (may be partial)
    * @private
    */
@@ -462,9 +1711,12 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       picFirmwareVersion: this.robot?.picFirmwareVersion,
       laserBoardFirmwareVersion: this.robot?.laserBoardFirmwareVersion,
     };
+    const previousSleepSchedule = JSON.stringify(this.robot?.weekdaySleepModeEnabled || null);
 
     // Merge partial updates to preserve fields not included in this update
     this.robot = { ...this.robot, ...update };
+    this._commandTracker.handleState(this.robot);
+    this.homey.app.snapshotStore?.save(SnapshotStore.Kinds.LR4, this.robotSerial, this.robot);
 
     try {
       await this._updateCapabilities(this.robot);
@@ -475,7 +1727,8 @@ module.exports = class LitterRobotDevice extends Homey.Device {
 
     // Notify DataManager when weight changes to trigger pet device updates
     if (update.catWeight && update.catWeight > 0 && update.catWeight !== previousWeight) {
-      const { dataManager, session } = this.homey.app;
+      const dataManager = this.homey.app.getDataManager(this.accountId);
+      const session = this.homey.app.getSession(this.accountId);
       if (dataManager) {
         const robotName = this.robot?.nickname || this.robot?.serial || 'Litter-Robot';
 
@@ -503,7 +1756,10 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       || (update.laserBoardFirmwareVersion && update.laserBoardFirmwareVersion !== previousFirmware.laserBoardFirmwareVersion)
     );
 
-    if (hasFirmwareUpdate) {
+    const hasSleepScheduleChange = update.weekdaySleepModeEnabled
+      && JSON.stringify(update.weekdaySleepModeEnabled) !== previousSleepSchedule;
+
+    if (hasFirmwareUpdate || hasSleepScheduleChange) {
       this._updateDeviceSettings(this.robot);
     }
   }
@@ -513,9 +1769,11 @@ module.exports = class LitterRobotDevice extends Homey.Device {
    * changed capabilities. Handles both full and partial updates, computing
    * derived values like sleep schedule and alarm states.
    * @param {Object} data - Robot data (may be partial update from WebSocket)
+   * @param {Object} [options]
+   * @param {number|null} [options.snapshotAt=null] - Snapshot time when restoring saved data; skips flows and follow-up checks
    * @private
    */
-  async _updateCapabilities(data) {
+  async _updateCapabilities(data, { snapshotAt = null } = {}) {
     if (!data) return;
 
     const settings = this.getSettings();
@@ -526,6 +1784,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       this.robotData = new LitterRobot4Data({
         robot: data,
         settings,
+        snapshotAt,
       });
     } catch (err) {
       this.error(colorize(LOG_COLORS.WARNING, 'Failed to create robotData instance:'), err);
@@ -543,6 +1802,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
 
     // Compute sleep schedule using current user preferences for consistent formatting
     const sleepSchedule = LitterRobot4Data.computeSleepSchedule(data, { use12hFormat });
+    const { safetyAlerts } = robotData;
 
     const updates = [
       ['onoff', robotData.isOnOff],
@@ -551,6 +1811,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       ['alarm_cat_detected', robotData.isCatDetected],
       ['alarm_waste_drawer_full', robotData.wasteDrawerLevelPercentage >= settings.waste_drawer_threshold],
       ['measure_litter_level_percentage', robotData.litterLevelPercentage],
+      ['litter_level_state', robotData.litterLevelState],
       ['measure_waste_drawer_level_percentage', robotData.wasteDrawerLevelPercentage],
       ['measure_odometer_clean_cycles', robotData.totalCleanCycles],
       ['measure_scoops_saved_count', robotData.scoopsSavedCount],
@@ -560,12 +1821,16 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       ['sleep_mode_end_time', sleepSchedule?.endString || 'Not set'],
       ['measure_weight', robotData.weightInGrams],
       ['alarm_problem', robotData.hasProblems],
+      ['alarm_cat_sensor_stuck', !!safetyAlerts.catSensorStuck],
+      ['alarm_pinch_detected', !!safetyAlerts.pinch],
       ['clean_cycle_wait_time', robotData.cleanCycleWaitTimeString],
       ['key_pad_lock_out', robotData.isKeypadLocked],
       ['night_light_mode', robotData.nightLightMode],
       ['night_light_brightness', robotData.nightLightBrightnessLevel],
       ['panel_brightness', robotData.panelBrightness],
       ['alarm_connectivity', !robotData.isOnline],
+      ['alarm_on_battery', robotData.isOnBattery],
+      ['measure_signal_strength', robotData.wifiRssi],
       ['last_seen', robotData.isOnline ? 'Currently connected' : (robotData.lastSeenFormatted || 'Unknown')],
     ];
 
@@ -614,9 +1879,188 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       }
     }
 
+    // Restored values only fill the UI; flows and checks wait for live data
+    if (robotData.isStale) return;
+
     if (changes.size > 0) {
       this._triggerFlowCards(changes, robotData);
     }
+
+    // Pick up the disconnect reason as soon as the robot drops off or comes back
+    if (changes.has('alarm_connectivity')) {
+      this._refreshConnectivity();
+      if (robotData.isOnline) {
+        this._replayCommandQueue();
+      }
+    }
+
+    await this._updateWeakSignalAlarm(robotData).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update weak signal alarm:'), err);
+    });
+
+    await this._checkMaintenance({ robotData }).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to check maintenance:'), err);
+    });
+
+    await this._handleSafetyAlerts(safetyAlerts).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to handle safety alerts:'), err);
+    });
+
+    await this._handlePowerSource(robotData).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to handle power source change:'), err);
+    });
+
+    await this._updateDrawerForecast(robotData).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update drawer forecast:'), err);
+    });
+
+    await this._updateLitterForecast(robotData).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to update litter refill forecast:'), err);
+    });
+  }
+
+  /**
+   * Triggers flow cards and critical notifications when a safety alert
+   * becomes active or clears. Active alerts are kept in the store so an alert
+   * that is still active after a restart does not notify again.
+   * @param {Object} safetyAlerts - Alerts from LitterRobot4Data.analyzeSafety()
+   * @private
+   */
+  async _handleSafetyAlerts(safetyAlerts) {
+    const active = this.getStoreValue('safety_alerts_active') || {};
+    const updated = { ...active };
+    const alerts = [
+      [LitterRobot4Data.SafetyAlertType.CAT_SENSOR_STUCK, safetyAlerts.catSensorStuck, 'cat_sensor_stuck'],
+      [LitterRobot4Data.SafetyAlertType.PINCH, safetyAlerts.pinch, 'pinch_detected'],
+    ];
+
+    for (const [type, alert, cardId] of alerts) {
+      if (alert && !active[type]) {
+        updated[type] = alert.severity;
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [${cardId}] (${alert.severity}: ${alert.description})`)}`);
+        this.homey.flow.getDeviceTriggerCard(cardId)
+          .trigger(this, {
+            description: alert.description,
+            severity: alert.severity,
+            cat_present: alert.catPresent,
+          })
+          .catch((err) => this.error(colorize(LOG_COLORS.ERROR, `Failed to trigger ${cardId}:`), err));
+        await createSafetyNotification(this, this.homey, alert);
+      } else if (!alert && active[type]) {
+        delete updated[type];
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [safety_alert_cleared] (${type})`)}`);
+        this.homey.flow.getDeviceTriggerCard('safety_alert_cleared')
+          .trigger(this, { alert_type: type }, { type })
+          .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger safety_alert_cleared:'), err));
+      }
+    }
+
+    if (JSON.stringify(updated) !== JSON.stringify(active)) {
+      await this.setStoreValue('safety_alerts_active', updated);
+    }
+  }
+
+  /**
+   * Triggers the battery cards when the robot switches between mains power
+   * and its backup battery. The switch time is kept in the store so the
+   * restored card can report how long the robot ran on battery, even across
+   * app restarts.
+   * @param {LitterRobot4Data} robotData - Current robot data instance
+   * @private
+   */
+  async _handlePowerSource(robotData) {
+    const { isOnBattery } = robotData;
+    if (isOnBattery === null) return;
+
+    const batterySince = this.getStoreValue('battery_since') ?? null;
+
+    if (isOnBattery && batterySince === null) {
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, 'Triggering [switched_to_battery]')}`);
+      this.homey.flow.getDeviceTriggerCard('switched_to_battery')
+        .trigger(this)
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger switched_to_battery:'), err));
+      await this.setStoreValue('battery_since', Date.now());
+    } else if (!isOnBattery && batterySince !== null) {
+      const batteryMinutes = Math.round((Date.now() - batterySince) / 60000);
+      this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [mains_power_restored] (on battery for ${batteryMinutes} min)`)}`);
+      this.homey.flow.getDeviceTriggerCard('mains_power_restored')
+        .trigger(this, { battery_minutes: batteryMinutes })
+        .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger mains_power_restored:'), err));
+      await this.setStoreValue('battery_since', null);
+    }
+  }
+
+  /**
+   * Records the current drawer level, refreshes the days-until-full forecast
+   * and triggers the "full within N days" card when the forecast changes.
+   * @param {LitterRobot4Data} robotData - Current robot data instance
+   * @param {number} [threshold] - Drawer full threshold; defaults to the current setting
+   * @private
+   */
+  async _updateDrawerForecast(robotData, threshold = this.getSettings().waste_drawer_threshold) {
+    const level = robotData.wasteDrawerLevelPercentage;
+    if (typeof level !== 'number') return;
+
+    const history = this.getStoreValue('drawer_fill_history') || [];
+    const updatedHistory = recordDrawerSample(history, {
+      timestamp: Date.now(),
+      level,
+      cycles: robotData.drawerCycleCount,
+    });
+    if (updatedHistory !== history) {
+      await this.setStoreValue('drawer_fill_history', updatedHistory);
+    }
+
+    const forecast = forecastDrawerFull(updatedHistory, threshold);
+    const daysRemaining = forecast ? forecast.daysRemaining : null;
+    const previousDaysRemaining = this.getStoreValue('drawer_days_remaining') ?? null;
+    if (daysRemaining === previousDaysRemaining) return;
+
+    await this.setStoreValue('drawer_days_remaining', daysRemaining);
+    if (daysRemaining === null) return;
+
+    this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [measure_drawer_days_remaining] changed: ${previousDaysRemaining} → ${daysRemaining}`)}`);
+    this.setCapabilityValue('measure_drawer_days_remaining', daysRemaining).catch((err) => {
+      handleCapabilityError(err, 'measure_drawer_days_remaining', 'update', this);
+    });
+
+    this.homey.flow.getDeviceTriggerCard('drawer_full_within_days')
+      .trigger(this, {
+        days_remaining: daysRemaining,
+        drawer_level: Math.round(level),
+      }, { daysRemaining, previousDaysRemaining })
+      .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger drawer_full_within_days:'), err));
+  }
+
+  /**
+   * Records the current litter level and refreshes the days-until-refill
+   * forecast. While the LitterHopper is enabled it keeps the globe topped up,
+   * so the forecast follows the hopper instead of the globe level.
+   * @param {LitterRobot4Data} robotData - Current robot data instance
+   * @private
+   */
+  async _updateLitterForecast(robotData) {
+    const level = robotData.litterLevelPercentage;
+    if (typeof level !== 'number') return;
+
+    const history = this.getStoreValue('litter_level_history') || [];
+    const updatedHistory = recordLitterSample(history, { timestamp: Date.now(), level });
+    if (updatedHistory !== history) {
+      await this.setStoreValue('litter_level_history', updatedHistory);
+    }
+
+    const forecast = robotData.isHopperEnabled
+      ? forecastHopperRefill(this.getStoreValue('hopper_runs'), this.getStoreValue('hopper_refilled_at'))
+      : forecastLitterRefill(updatedHistory, this.getStoreValue('litter_refill_level') ?? undefined);
+    if (!forecast) return;
+
+    const oldValue = this.getCapabilityValue('measure_litter_days_until_refill');
+    if (forecast.daysRemaining === oldValue) return;
+
+    this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [measure_litter_days_until_refill] changed: ${oldValue} → ${forecast.daysRemaining}`)}`);
+    this.setCapabilityValue('measure_litter_days_until_refill', forecast.daysRemaining).catch((err) => {
+      handleCapabilityError(err, 'measure_litter_days_until_refill', 'update', this);
+    });
   }
 
   /**
@@ -635,6 +2079,48 @@ module.exports = class LitterRobotDevice extends Homey.Device {
     await this.setCapabilityValue('sleep_mode_end_time', sleepSchedule?.endString || 'Not set');
   }
 
+  /**
+   * Changes the sleep schedule of the given days. The robot expects the whole
+   * week in every update, so untouched days are sent with their current values.
+   * @param {Array<string>} days - Weekday names (see LitterRobot4Data.DAYS_OF_WEEK)
+   * @param {Object} changes - { enabled, sleepTime, wakeTime } with times in minutes after midnight
+   * @returns {Promise<void>}
+   */
+  async updateSleepSchedule(days, changes) {
+    if (!this.robot) await this._fetchRobotData();
+
+    const schedule = LitterRobot4Data.buildSleepSchedule(this.robot.weekdaySleepModeEnabled, days, changes);
+    await this.homey.app.getSession(this.accountId).updateLR4State(this.robot.serial, { weekdaySleepModeEnabled: schedule });
+
+    // Apply locally so capabilities and settings reflect the change before the robot reports it
+    await this._handleRobotUpdate({ serial: this.robot.serial, weekdaySleepModeEnabled: schedule });
+    this.log(colorize(LOG_COLORS.SUCCESS, `Sleep schedule updated for ${days.join(', ')}`));
+  }
+
+  /**
+   * Enables or disables sleep mode for the whole week. Disabling remembers
+   * which days were enabled so enabling again restores the previous schedule.
+   * @param {boolean} enabled - Whether sleep mode should be enabled
+   * @returns {Promise<void>}
+   */
+  async setSleepModeEnabled(enabled) {
+    if (!this.robot) await this._fetchRobotData();
+
+    const current = this.robot.weekdaySleepModeEnabled || {};
+    if (!enabled) {
+      const enabledDays = LitterRobot4Data.DAYS_OF_WEEK.filter((day) => current[day]?.isEnabled);
+      if (enabledDays.length > 0) {
+        await this.setStoreValue('sleep_schedule_enabled_days', enabledDays);
+      }
+      await this.updateSleepSchedule([...LitterRobot4Data.DAYS_OF_WEEK], { enabled: false });
+      return;
+    }
+
+    const storedDays = this.getStoreValue('sleep_schedule_enabled_days');
+    const days = Array.isArray(storedDays) && storedDays.length > 0 ? storedDays : [...LitterRobot4Data.DAYS_OF_WEEK];
+    await this.updateSleepSchedule(days, { enabled: true });
+  }
+
   /**
    * Updates waste drawer alarm capability directly when threshold changes.
    * Computes alarm state with current threshold and updates capability.
@@ -678,6 +2164,8 @@ module.exports = class LitterRobotDevice extends Homey.Device {
           this.homey.flow.getDeviceTriggerCard('clean_cycle_finished')
             .trigger(this, { total_clean_cycles: totalCycles })
             .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger clean_cycle_finished:'), err));
+
+          this._scheduleActivityRefresh();
         }
 
         this.setStoreValue('previous_clean_cycles', totalCycles).catch((err) => {
@@ -686,8 +2174,49 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       }
     }
 
+    if (changes.has('litter_level_state')) {
+      const state = this.getCapabilityValue('litter_level_state');
+      const level = robotData.litterLevelPercentage;
+
+      // Remember where this robot starts asking for a refill to tune the forecast
+      if (state === 'refill' && typeof level === 'number') {
+        this.setStoreValue('litter_refill_level', level).catch((err) => {
+          this.error(colorize(LOG_COLORS.ERROR, 'Failed to update store value for litter_refill_level:'), err);
+        });
+      }
+
+      // The capability starts empty on every init, so compare with the last known state
+      const previousState = this.getStoreValue('previous_litter_level_state');
+      if (previousState && previousState !== state) {
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [litter_level_state_changed] (${previousState} → ${state})`)}`);
+        this.homey.flow.getDeviceTriggerCard('litter_level_state_changed')
+          .trigger(this, {
+            litter_level_state: state,
+            litter_level_percentage: typeof level === 'number' ? level : 0,
+          }, { state })
+          .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger litter_level_state_changed:'), err));
+      }
+
+      this.setStoreValue('previous_litter_level_state', state).catch((err) => {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to update store value for previous_litter_level_state:'), err);
+      });
+    }
+
     if (changes.has('alarm_litter_hopper_empty')) {
       const hopperEmpty = this.getCapabilityValue('alarm_litter_hopper_empty');
+
+      // Track how long each hopper fill lasts for the refill forecast
+      if (hopperEmpty) {
+        const runs = recordHopperRun(this.getStoreValue('hopper_runs'), this.getStoreValue('hopper_refilled_at'));
+        this.setStoreValue('hopper_runs', runs).catch((err) => {
+          this.error(colorize(LOG_COLORS.ERROR, 'Failed to update store value for hopper_runs:'), err);
+        });
+      } else {
+        this.setStoreValue('hopper_refilled_at', Date.now()).catch((err) => {
+          this.error(colorize(LOG_COLORS.ERROR, 'Failed to update store value for hopper_refilled_at:'), err);
+        });
+      }
+
       if (hopperEmpty) {
         this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, 'Triggering [litter_hopper_empty]')}`);
         this.homey.flow.getDeviceTriggerCard('litter_hopper_empty')
@@ -722,17 +2251,59 @@ module.exports = class LitterRobotDevice extends Homey.Device {
    * @param {Object} oldSettings - Previous settings object
    * @param {Object} newSettings - New settings object
    */
-  async onSettings({ oldSettings, newSettings }) {
+  async onSettings({ oldSettings, newSettings, changedKeys = [] }) {
     this.log(colorize(LOG_COLORS.SYSTEM, 'Device settings updated'));
 
     const hopperModeChanged = oldSettings?.litter_hopper_mode !== newSettings?.litter_hopper_mode;
     const timeFormatChanged = oldSettings?.use_12h_format !== newSettings?.use_12h_format;
     const thresholdChanged = oldSettings?.waste_drawer_threshold !== newSettings?.waste_drawer_threshold;
+    const sleepScheduleKeys = changedKeys.filter((key) => key.startsWith('sleep_schedule_'));
+    const maintenanceChanged = changedKeys.some((key) => key.startsWith('maintenance_'));
+    const signalThresholdChanged = changedKeys.includes('weak_signal_threshold');
 
-    if (!hopperModeChanged && !timeFormatChanged && !thresholdChanged) {
+    if (!hopperModeChanged && !timeFormatChanged && !thresholdChanged && sleepScheduleKeys.length === 0
+        && !maintenanceChanged && !signalThresholdChanged) {
       return;
     }
 
+    if (signalThresholdChanged) {
+      this.log(colorize(LOG_COLORS.SYSTEM, `Weak signal threshold changed: ${oldSettings?.weak_signal_threshold} → ${newSettings?.weak_signal_threshold} dBm`));
+      await this._updateWeakSignalAlarm(this.robotData, newSettings.weak_signal_threshold).catch((err) => {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to update weak signal alarm after threshold change:'), err);
+      });
+    }
+
+    if (maintenanceChanged) {
+      this.log(colorize(LOG_COLORS.SYSTEM, 'Maintenance intervals changed'));
+      await this._checkMaintenance({ settings: newSettings }).catch((err) => {
+        this.error(colorize(LOG_COLORS.ERROR, 'Failed to check maintenance after interval change:'), err);
+      });
+    }
+
+    if (sleepScheduleKeys.length > 0) {
+      // Validate all days before sending anything, so an invalid value rejects the whole save
+      const changes = sleepScheduleKeys.map((key) => {
+        const day = LitterRobot4Data.resolveSleepDays(key.replace('sleep_schedule_', ''))[0];
+        return { day, ...LitterRobot4Data.parseSleepDay(newSettings[key]) };
+      });
+
+      if (!this.robot) await this._fetchRobotData();
+      let schedule = this.robot.weekdaySleepModeEnabled;
+      for (const { day, ...change } of changes) {
+        schedule = LitterRobot4Data.buildSleepSchedule(schedule, [day], change);
+      }
+
+      this.log(colorize(LOG_COLORS.SYSTEM, `Sleep schedule changed in settings: ${sleepScheduleKeys.join(', ')}`));
+      await this.homey.app.getSession(this.accountId).updateLR4State(this.robot.serial, { weekdaySleepModeEnabled: schedule });
+
+      // Settings cannot be changed while they are being saved, so normalize the display afterwards
+      this.homey.setTimeout(() => {
+        this._handleRobotUpdate({ serial: this.robot.serial, weekdaySleepModeEnabled: schedule }).catch((err) => {
+          this.error(colorize(LOG_COLORS.ERROR, 'Failed to apply sleep schedule change:'), err);
+        });
+      }, 100);
+    }
+
     if (hopperModeChanged) {
       this.log(colorize(LOG_COLORS.SYSTEM, `Hopper mode changed: ${oldSettings?.litter_hopper_mode} → ${newSettings?.litter_hopper_mode}`));
       await this._manageHopperCapabilitiesWithMode(newSettings.litter_hopper_mode);
@@ -740,7 +2311,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       try {
         this.log(colorize(LOG_COLORS.INFO, 'Requesting fresh device state after hopper mode change...'));
         if (!this.robot) await this._fetchRobotData();
-        await this.homey.app.session.sendCommand(this.robot.serial, LitterRobot4Data.Commands.REQUEST_STATE, null, 'litter_robot_4');
+        await this.homey.app.getSession(this.accountId).sendCommand(this.robot.serial, LitterRobot4Data.Commands.REQUEST_STATE, null, 'litter_robot_4');
       } catch (err) {
         this.error(colorize(LOG_COLORS.ERROR, 'Failed to request state after hopper mode change:'), err);
       }
@@ -752,6 +2323,8 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       if (this.robot) {
         try {
           await this._updateSleepTimeCapabilities();
+          await this._updateActivityDisplay();
+          await this._updateConnectivityDisplay();
 
           this.homey.setTimeout(async () => {
             try {
@@ -772,6 +2345,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       if (this.robot) {
         try {
           await this._updateWasteDrawerAlarm();
+          await this._updateDrawerForecast(this.robotData, newSettings.waste_drawer_threshold);
         } catch (err) {
           this.error(colorize(LOG_COLORS.ERROR, 'Failed to update capabilities after threshold change:'), err);
         }
@@ -787,7 +2361,7 @@ module.exports = class LitterRobotDevice extends Homey.Device {
     this.log(colorize(LOG_COLORS.INFO, 'Device deleted, cleaning up...'));
 
     try {
-      const { session } = this.homey.app;
+      const session = this.homey.app.getSession(this.accountId);
       if (session && this.robotSerial) {
         session.closeWebSocket(this.robotSerial);
       }
@@ -799,6 +2373,19 @@ module.exports = class LitterRobotDevice extends Homey.Device {
       this.error(colorize(LOG_COLORS.ERROR, 'Error during WebSocket cleanup:'), err);
     }
 
+    this._stopActivityPolling();
+    this._stopInsightsPolling();
+    this._stopDiagnosticsPolling();
+    this._stopFirmwareChecks();
+    this._stopMaintenanceChecks();
+    this._stopConnectivityPolling();
+    this._commandTracker?.cancelAll('Device was removed');
+    this.homey.app.snapshotStore?.remove(SnapshotStore.Kinds.LR4, this.robotSerial);
+    if (this._commandQueueTimeout) {
+      this.homey.clearTimeout(this._commandQueueTimeout);
+      this._commandQueueTimeout = null;
+    }
+
     this.log(colorize(LOG_COLORS.SUCCESS, 'Device cleanup completed'));
   }
 };
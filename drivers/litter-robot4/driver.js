@@ -1,4 +1,6 @@
 const Homey = require('homey');
+const LitterRobot4Data = require('../../lib/litterrobot4data');
+const { isDrawerFullWithin } = require('../../lib/drawerforecast');
 const { colorize, LOG_COLORS } = require('../../lib/utils');
 
 /**
@@ -27,6 +29,30 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
         return isCatDetected;
       });
 
+    this.homey.flow.getConditionCard('is_weak_signal')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for weak signal check'));
+          return false;
+        }
+        const isWeak = device.getCapabilityValue('alarm_weak_signal');
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [alarm_weak_signal]: result=${isWeak}`)}`);
+        return isWeak;
+      });
+
+    this.homey.flow.getConditionCard('is_on_battery')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for battery check'));
+          return false;
+        }
+        const isOnBattery = device.getCapabilityValue('alarm_on_battery');
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [alarm_on_battery]: result=${isOnBattery}`)}`);
+        return isOnBattery;
+      });
+
     this.homey.flow.getConditionCard('is_sleep_mode_active')
       .registerRunListener(async (args, state) => {
         const { device } = args;
@@ -77,6 +103,19 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
         return result;
       });
 
+    this.homey.flow.getConditionCard('is_litter_level_state')
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for litter level state check'));
+          return false;
+        }
+        const currentState = device.getCapabilityValue('litter_level_state');
+        const result = currentState === args.state;
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [litter_level_state]: current=${currentState}, expected=${args.state}, result=${result}`)}`);
+        return result;
+      });
+
     this.homey.flow.getConditionCard('is_litter_hopper_empty')
       .registerRunListener(async (args) => {
         const { device } = args;
@@ -117,6 +156,64 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
         return result;
       });
 
+    this.homey.flow.getConditionCard('cat_visited_within')
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for cat visit check'));
+          return false;
+        }
+        const lastVisit = device.getLastActivity(LitterRobot4Data.ActivityCategory.CAT_VISIT);
+        const minutesAgo = lastVisit ? (Date.now() - new Date(lastVisit.timestamp).getTime()) / 60000 : null;
+        const result = minutesAgo !== null && minutesAgo <= args.minutes;
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [cat_visited_within]: last=${lastVisit?.timestamp || 'none'}, minutes=${args.minutes}, result=${result}`)}`);
+        return result;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('activity_logged')
+      .registerRunListener(async (args, state) => {
+        return args.activity_type === 'any' || args.activity_type === state.category;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('litter_level_state_changed')
+      .registerRunListener(async (args, state) => {
+        return args.state === 'any' || args.state === state.state;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('safety_alert_cleared')
+      .registerRunListener(async (args, state) => {
+        return args.alert_type === 'any' || args.alert_type === state.type;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('queued_command_finished')
+      .registerRunListener(async (args, state) => {
+        return args.result === 'any' || args.result === state.result;
+      });
+
+    this.homey.flow.getConditionCard('is_maintenance_due')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          this.error(colorize(LOG_COLORS.ERROR, 'Device not available for maintenance check'));
+          return false;
+        }
+        const result = device.isMaintenanceDue(args.task);
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [maintenance_due]: task=${args.task}, result=${result}`)}`);
+        return result;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('maintenance_due')
+      .registerRunListener(async (args, state) => {
+        return args.task === 'any' || args.task === state.task;
+      });
+
+    this.homey.flow.getDeviceTriggerCard('drawer_full_within_days')
+      .registerRunListener(async (args, state) => {
+        const result = isDrawerFullWithin(args.days, state.daysRemaining, state.previousDaysRemaining);
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Condition check [drawer_full_within_days]: days=${args.days}, forecast=${state.daysRemaining}, result=${result}`)}`);
+        return result;
+      });
+
     this.homey.flow.getActionCard('lock_keypad')
       .registerRunListener(async (args) => {
         const { device } = args;
@@ -207,6 +304,109 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
         await device.triggerCapabilityListener('night_light_brightness', args.brightness);
       });
 
+    this.homey.flow.getActionCard('reassign_visit')
+      .registerArgumentAutocompleteListener('visit', async (query, args) => {
+        const { device } = args;
+        if (!device) return [];
+        const formatOptions = {
+          use12hFormat: device.getSetting('use_12h_format') === '12h',
+          timezone: device.robot?.unitTimezone || null,
+        };
+        return [
+          { id: 'latest', name: 'Latest visit' },
+          ...device.getRecentCatVisits().map((visit) => ({
+            id: visit.timestamp,
+            name: LitterRobot4Data.formatActivityEntry(visit, formatOptions),
+          })),
+        ].filter((item) => item.name.toLowerCase().includes((query || '').toLowerCase()));
+      })
+      .registerArgumentAutocompleteListener('pet', async (query, args) => {
+        const { device } = args;
+        if (!device) return [];
+        const search = (query || '').toLowerCase();
+        // Visits can only be moved between pets of the robot's own account
+        return this.homey.drivers.getDriver('pet').getDevices()
+          .filter((petDevice) => petDevice.accountId === device.accountId)
+          .filter((petDevice) => petDevice.getName().toLowerCase().includes(search))
+          .map((petDevice) => ({ id: petDevice.petId, name: petDevice.getName() }));
+      })
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        const timestamp = args.visit.id === 'latest' ? null : args.visit.id;
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [reassign_visit] executed for device: ${device.getName()}, visit: ${timestamp || 'latest'}, pet: ${args.pet.name}`)}`);
+        await device.reassignVisit(args.pet.id, timestamp);
+      });
+
+    this.homey.flow.getActionCard('refresh_diagnostics')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [refresh_diagnostics] executed for device: ${device.getName()}`)}`);
+        await device.refreshDiagnostics();
+      });
+
+    this.homey.flow.getActionCard('mark_maintenance_done')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [mark_maintenance_done] executed for device: ${device.getName()}, task: ${args.task}`)}`);
+        await device.markMaintenanceDone(args.task);
+      });
+
+    this.homey.flow.getActionCard('install_firmware_update')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [install_firmware_update] executed for device: ${device.getName()}`)}`);
+        await device.installFirmwareUpdate();
+      });
+
+    this.homey.flow.getActionCard('set_sleep_schedule')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        const sleepTime = LitterRobot4Data.parseTimeOfDay(args.sleep_time);
+        const wakeTime = LitterRobot4Data.parseTimeOfDay(args.wake_time);
+        if (sleepTime === null || wakeTime === null) {
+          throw new Error(LitterRobot4Data.ErrorMessages.INVALID_SLEEP_TIME);
+        }
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [set_sleep_schedule] executed for device: ${device.getName()}, days: ${args.day}, sleep: ${args.sleep_time}, wake: ${args.wake_time}`)}`);
+        await device.updateSleepSchedule(LitterRobot4Data.resolveSleepDays(args.day), { enabled: true, sleepTime, wakeTime });
+      });
+
+    this.homey.flow.getActionCard('set_sleep_day_enabled')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        const enabled = args.state === 'enabled';
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [set_sleep_day_enabled] executed for device: ${device.getName()}, days: ${args.day}, enabled: ${enabled}`)}`);
+        await device.updateSleepSchedule(LitterRobot4Data.resolveSleepDays(args.day), { enabled });
+      });
+
+    this.homey.flow.getActionCard('set_sleep_mode')
+      .registerRunListener(async (args) => {
+        const { device } = args;
+        if (!device) {
+          throw new Error('Device not found');
+        }
+        const enabled = args.state === 'enabled';
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Action [set_sleep_mode] executed for device: ${device.getName()}, enabled: ${enabled}`)}`);
+        await device.setSleepModeEnabled(enabled);
+      });
+
     this.homey.flow.getDeviceTriggerCard('clean_cycle_multiple')
       .registerRunListener(async (args, state) => {
         const { device } = args;
@@ -234,11 +434,32 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
   /**
    * Handles device pairing flow: authenticates user credentials, fetches
    * available LR4 robots from the API, and returns device list for user selection.
+   * An account that is already signed in can be picked instead of logging in again.
    * Cleans up session if no robots are found.
    * @param {Object} session - Homey pairing session object
    */
   async onPair(session) {
     let robots = [];
+    let accountId = null;
+
+    const loadRobots = async (apiSession) => {
+      accountId = apiSession.getAccountId();
+      const robotsData = await apiSession.getRobots();
+      robots = robotsData.lr4;
+      this.log(colorize(LOG_COLORS.SUCCESS, `Found ${robots.length} LR4 robot(s) for ${apiSession.getEmail()}`));
+    };
+
+    session.setHandler('list_accounts', async () => this.homey.app.getAccounts());
+
+    session.setHandler('select_account', async (id) => {
+      const apiSession = this.homey.app.getSession(id);
+      if (!apiSession) {
+        throw new Error('This Whisker account is no longer signed in');
+      }
+      this.log(colorize(LOG_COLORS.INFO, `Using signed-in account: ${apiSession.getEmail()}`));
+      await loadRobots(apiSession);
+      return true;
+    });
 
     session.setHandler('login', async ({ username, password }) => {
       if (!username || !password) {
@@ -247,9 +468,7 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
       this.log(colorize(LOG_COLORS.INFO, `Attempting login for user: ${username}`));
       try {
         const apiSession = await this.homey.app.initializeSession(username, password);
-        const robotsData = await apiSession.getRobots();
-        robots = robotsData.lr4;
-        this.log(colorize(LOG_COLORS.SUCCESS, `Found ${robots.length} LR4 robot(s) for account`));
+        await loadRobots(apiSession);
       } catch (err) {
         throw new Error(err.message);
       }
@@ -260,7 +479,7 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
       if (!robots.length) {
         this.log(colorize(LOG_COLORS.INFO, 'No robots found, cleaning up session...'));
         try {
-          await this.homey.app.onUninit();
+          await this.homey.app.removeUnusedAccount(accountId);
         } catch (err) {
           this.log(colorize(LOG_COLORS.WARNING, `Failed to cleanup session: ${err.message}`));
         }
@@ -274,6 +493,7 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
         return {
           name: deviceName,
           data: { id: robotData.serial },
+          store: { account_id: accountId },
         };
       });
     });
@@ -282,7 +502,7 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
   /**
    * Handles device repair flow by re-authenticating user credentials and
    * re-establishing connection to the specific robot. Validates credentials
-   * and device access before destroying the existing session.
+   * and device access before replacing the session of the account.
    * @param {Object} session - Homey repair session object
    * @param {Object} device - Device instance being repaired
    */
@@ -304,8 +524,9 @@ module.exports = class LitterRobotDriver extends Homey.Driver {
           throw new Error(`Robot with ID ${id} not found`);
         }
 
-        await this.homey.app.signOut();
-        await this.homey.app.initializeSession(username, password);
+        const accountId = tempSession.getAccountId();
+        await device.setStoreValue('account_id', accountId);
+        await this.homey.app.initializeSession(username, password, { replace: true });
         
         await device._fetchRobotData();
         this.log(colorize(LOG_COLORS.SUCCESS, 'Re-authentication successful'));
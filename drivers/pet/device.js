@@ -2,9 +2,18 @@ const Homey = require('homey');
 const PetData = require('../../lib/petdata');
 const { colorize, LOG_COLORS } = require('../../lib/utils');
 const { handleCapabilityError } = require('../../lib/notifications');
+const SnapshotStore = require('../../lib/snapshotstore');
 
 module.exports = class PetDevice extends Homey.Device {
 
+  /**
+   * Cognito user ID of the Whisker account this device belongs to.
+   * @returns {string|null}
+   */
+  get accountId() {
+    return this.getStoreValue('account_id') || null;
+  }
+
   /**
    * Initializes the pet device by setting up capabilities and registering with DataManager.
    * Establishes the device's connection to centralized data management for real-time updates.
@@ -21,12 +30,14 @@ module.exports = class PetDevice extends Homey.Device {
       }
 
       await this._initializeCapabilities();
+      this._restoreStateSnapshot();
 
-      const { session, dataManager } = this.homey.app;
+      const session = this.homey.app.getSession(this.accountId);
+      const dataManager = this.homey.app.getDataManager(this.accountId);
       if (!session || !session.isSessionValid() || !dataManager) {
         this.log(colorize(LOG_COLORS.WARNING, 'Session or DataManager not available, device will be unavailable until authenticated'));
         if (this.setUnavailable) {
-          this.setUnavailable('No API session available. Please repair device.');
+          this.setUnavailable(this.homey.app.getReauthMessage(this.accountId) || 'No API session available. Please repair device.');
         }
         return;
       }
@@ -49,6 +60,10 @@ module.exports = class PetDevice extends Homey.Device {
     const initialCapabilities = {
       // Measurement capabilities
       measure_weight: null,
+      measure_weight_change_7d: null,
+      measure_weight_change_7d_percent: null,
+      measure_weight_change_30d: null,
+      measure_weight_change_30d_percent: null,
 
       // Label capabilities
       label_gender: 'Loading...',
@@ -62,6 +77,16 @@ module.exports = class PetDevice extends Homey.Device {
       alarm_health_concern: false,
     };
 
+    // Devices paired with an older app version may lack newer capabilities
+    for (const capability of Object.keys(initialCapabilities)) {
+      if (!this.hasCapability(capability)) {
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Adding missing capability: [${capability}]`)}`);
+        await this.addCapability(capability).catch((err) => {
+          handleCapabilityError(err, capability, 'add', this);
+        });
+      }
+    }
+
     for (const [capability, value] of Object.entries(initialCapabilities)) {
       this.setCapabilityValue(capability, value).catch((err) => {
         handleCapabilityError(err, capability, 'initialize', this);
@@ -71,6 +96,24 @@ module.exports = class PetDevice extends Homey.Device {
     this.log(colorize(LOG_COLORS.INFO, 'Capabilities initialized successfully'));
   }
 
+  /**
+   * Restores the last known pet data saved before the app restarted, so
+   * capabilities show sane values until the first DataManager poll.
+   * @private
+   */
+  _restoreStateSnapshot() {
+    const snapshot = this.homey.app.snapshotStore?.get(SnapshotStore.Kinds.PET, this.petId);
+    if (!snapshot) return;
+
+    this.log(colorize(LOG_COLORS.INFO, `Restoring state snapshot from ${new Date(snapshot.savedAt).toISOString()}`));
+    try {
+      this.petData = new PetData({ pet: snapshot.data, snapshotAt: snapshot.savedAt });
+      this._updateCapabilities(this.petData);
+    } catch (err) {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to restore state snapshot:'), err);
+    }
+  }
+
   /**
    * Registers the device with DataManager for centralized pet polling.
    * Establishes the callback for receiving pet data updates from polling.
@@ -78,7 +121,7 @@ module.exports = class PetDevice extends Homey.Device {
    */
   async _registerWithDataManager() {
     try {
-      const { dataManager } = this.homey.app;
+      const dataManager = this.homey.app.getDataManager(this.accountId);
       if (dataManager) {
         this.log(colorize(LOG_COLORS.INFO, 'Registering with DataManager for pet polling'));
 
@@ -98,7 +141,9 @@ module.exports = class PetDevice extends Homey.Device {
               this.petData = new PetData({ pet: data });
             }
 
+            this.homey.app.snapshotStore?.save(SnapshotStore.Kinds.PET, this.petId, this.petData.pet);
             this._updateCapabilities(this.petData);
+            this._refreshWeightTrendIfNeeded();
             this.log(colorize(LOG_COLORS.SUCCESS, `Pet data updated successfully for ${this.petData.pet?.name || 'Unknown Pet'}`));
           }
         });
@@ -161,11 +206,93 @@ module.exports = class PetDevice extends Homey.Device {
       }
     }
 
+    // Restored values only fill the UI; flows wait for live data
+    if (petData.isStale) return;
+
     if (changes.size > 0) {
       this._triggerFlowCards(changes, petData);
     }
   }
 
+  /**
+   * Refreshes the weight trend when a new weight reading was recorded, or when
+   * the last refresh is old enough that the trend periods have shifted.
+   * @private
+   */
+  _refreshWeightTrendIfNeeded() {
+    const lastReading = this.petData?.pet?.weightLastUpdated || null;
+    const lastRefresh = this.getStoreValue('weight_trend_refreshed_at') || 0;
+    const isStale = Date.now() - lastRefresh > PetData.WeightTrend.REFRESH_INTERVAL;
+
+    if (!isStale && lastReading === this.getStoreValue('weight_trend_last_reading')) return;
+
+    this._refreshWeightTrend(lastReading).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh weight trend:'), err);
+    });
+  }
+
+  /**
+   * Refreshes the weight trend immediately, e.g. after a visit was reassigned
+   * to or from this pet.
+   */
+  refreshWeightTrend() {
+    this._refreshWeightTrend(this.petData?.pet?.weightLastUpdated || null).catch((err) => {
+      this.error(colorize(LOG_COLORS.ERROR, 'Failed to refresh weight trend:'), err);
+    });
+  }
+
+  /**
+   * Fetches the pet's weight history, updates the trend capabilities and
+   * triggers a flow when a trend crosses the configured threshold.
+   * @param {string|null} lastReading - Timestamp of the latest weight reading
+   * @private
+   */
+  async _refreshWeightTrend(lastReading) {
+    const session = this.homey.app.getSession(this.accountId);
+    if (!session) return;
+
+    const history = await session.getWeightHistory(this.petId, PetData.WeightTrend.HISTORY_LIMIT);
+    const threshold = this.getSetting('weight_change_threshold') ?? PetData.WeightTrend.DEFAULT_THRESHOLD_PERCENT;
+    const alerts = this.getStoreValue('weight_trend_alerts') || {};
+
+    for (const days of PetData.WeightTrend.PERIODS) {
+      const trend = PetData.calculateWeightTrend(history, days);
+      if (!trend) continue;
+
+      const updates = [
+        [`measure_weight_change_${days}d`, trend.grams],
+        [`measure_weight_change_${days}d_percent`, trend.percent],
+      ];
+      for (const [capability, newValue] of updates) {
+        if (this.getCapabilityValue(capability) === newValue) continue;
+        this.log(`[Capability] ${colorize(LOG_COLORS.CAPABILITY, `Capability [${capability}] changed: ${this.getCapabilityValue(capability)} → ${newValue}`)}`);
+        this.setCapabilityValue(capability, newValue).catch((err) => {
+          handleCapabilityError(err, capability, 'update', this);
+        });
+      }
+
+      // Only trigger when the trend crosses the threshold, not on every refresh while above it
+      const exceeded = Math.abs(trend.percent) >= threshold;
+      if (exceeded && !alerts[days]) {
+        const direction = trend.percent > 0 ? 'gain' : 'loss';
+        this.log(`[Flow] ${colorize(LOG_COLORS.FLOW, `Triggering [weight_change_exceeded] (${days} days: ${trend.percent}%, ${trend.grams} g)`)}`);
+        this.homey.flow.getDeviceTriggerCard('weight_change_exceeded')
+          .trigger(this, {
+            period_days: days,
+            direction,
+            change_grams: trend.grams,
+            change_percent: trend.percent,
+          })
+          .catch((err) => this.error(colorize(LOG_COLORS.ERROR, 'Failed to trigger weight_change_exceeded:'), err));
+      }
+      alerts[days] = exceeded;
+    }
+
+    await this.setStoreValue('weight_trend_alerts', alerts);
+    await this.setStoreValue('weight_trend_last_reading', lastReading);
+    await this.setStoreValue('weight_trend_refreshed_at', Date.now());
+  }
+
   /**
    * Triggers appropriate Flow cards based on detected capability changes.
    * Enables automation when pet information is updated.
@@ -187,15 +314,30 @@ module.exports = class PetDevice extends Homey.Device {
     }
   }
 
+  /**
+   * Re-evaluates the weight trend with the new threshold so alerts follow
+   * the setting without waiting for the next weight reading.
+   * @param {Object} oldSettings - Previous settings object
+   * @param {Object} newSettings - New settings object
+   * @param {string[]} changedKeys - Keys of changed settings
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('weight_change_threshold')) {
+      this.log(colorize(LOG_COLORS.SYSTEM, `Weight change threshold changed: ${oldSettings.weight_change_threshold}% → ${newSettings.weight_change_threshold}%`));
+      await this.setStoreValue('weight_trend_refreshed_at', 0);
+    }
+  }
+
   /**
    * Performs cleanup when the device is deleted.
    * Ensures proper unregistration from DataManager to prevent memory leaks.
    */
   onDeleted() {
     this.log(colorize(LOG_COLORS.WARNING, 'Device deleted, performing cleanup'));
+    this.homey.app.snapshotStore?.remove(SnapshotStore.Kinds.PET, this.petId);
 
     try {
-      const { dataManager } = this.homey.app;
+      const dataManager = this.homey.app.getDataManager(this.accountId);
       if (dataManager) {
         dataManager.unregisterPetDevice(this.getId());
         this.log(colorize(LOG_COLORS.SUCCESS, 'Successfully unregistered from DataManager'));
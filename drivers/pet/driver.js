@@ -56,18 +56,39 @@ module.exports = class PetDriver extends Homey.Driver {
     this.homey.flow.getDeviceTriggerCard('age_changed');
     this.homey.flow.getDeviceTriggerCard('environment_changed');
     this.homey.flow.getDeviceTriggerCard('diet_changed');
+    this.homey.flow.getDeviceTriggerCard('weight_change_exceeded');
 
     this.log(colorize(LOG_COLORS.SUCCESS, 'Pet driver initialization completed successfully'));
   }
 
   /**
    * Handle device pairing flow for pet information devices.
-   * Authenticates user credentials and discovers available pets from the Whisker account.
+   * Authenticates user credentials, or uses an account that is already signed in,
+   * and discovers available pets from the Whisker account.
    * Uses centralized session management to avoid storing tokens in device settings.
    * @param {object} session Homey pairing session
    */
   async onPair(session) {
     let pets = [];
+    let accountId = null;
+
+    const loadPets = async (apiSession) => {
+      accountId = apiSession.getAccountId();
+      pets = await apiSession.getPets();
+      this.log(colorize(LOG_COLORS.SUCCESS, `Found ${pets.length} pet(s) for ${apiSession.getEmail()}`));
+    };
+
+    session.setHandler('list_accounts', async () => this.homey.app.getAccounts());
+
+    session.setHandler('select_account', async (id) => {
+      const apiSession = this.homey.app.getSession(id);
+      if (!apiSession) {
+        throw new Error('This Whisker account is no longer signed in');
+      }
+      this.log(colorize(LOG_COLORS.INFO, `Using signed-in account: ${apiSession.getEmail()}`));
+      await loadPets(apiSession);
+      return true;
+    });
 
     session.setHandler('login', async ({ username, password }) => {
       if (!username || !password) {
@@ -76,8 +97,7 @@ module.exports = class PetDriver extends Homey.Driver {
       this.log(colorize(LOG_COLORS.INFO, `Attempting login for user: ${username}`));
       try {
         const apiSession = await this.homey.app.initializeSession(username, password);
-        pets = await apiSession.getPets();
-        this.log(colorize(LOG_COLORS.SUCCESS, `Found ${pets.length} pet(s) for account`));
+        await loadPets(apiSession);
       } catch (err) {
         throw new Error(err.message);
       }
@@ -92,6 +112,7 @@ module.exports = class PetDriver extends Homey.Driver {
         return {
           name: petData.name || `Pet ${petData.petId}`,
           data: { id: String(petData.petId) },
+          store: { account_id: accountId },
         };
       });
     });
@@ -104,7 +125,7 @@ module.exports = class PetDriver extends Homey.Driver {
   /**
    * Handle device repair flow for pet information devices.
    * Validates credentials and verifies that the pet still exists in the account
-   * before destroying the existing session. Uses centralized session management
+   * before replacing the session of the account. Uses centralized session management
    * to ensure secure re-authentication.
    * @param {object} session Homey pairing session
    * @param {object} device Homey device instance
@@ -127,8 +148,9 @@ module.exports = class PetDriver extends Homey.Driver {
           throw new Error(`Pet with ID ${id} not found`);
         }
 
-        await this.homey.app.signOut();
-        const apiSession = await this.homey.app.initializeSession(username, password);
+        const accountId = tempSession.getAccountId();
+        await device.setStoreValue('account_id', accountId);
+        await this.homey.app.initializeSession(username, password, { replace: true });
         
         device.petData = new PetData({ pet });
         this.log(colorize(LOG_COLORS.SUCCESS, 'Re-authentication successful'));
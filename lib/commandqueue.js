@@ -0,0 +1,174 @@
+const { colorize, LOG_COLORS } = require('./utils');
+
+/**
+ * Persistent per-device queue for commands issued while a robot is offline.
+ * Entries are kept in the device store so they survive app restarts, and are
+ * replayed in the order they were issued once the robot is back online.
+ *
+ * @class
+ */
+class CommandQueue {
+  /** Default time a queued command stays valid */
+  static DEFAULT_TTL = 60 * 60 * 1000;
+
+  /** Result values reported for each queued command */
+  static Results = Object.freeze({
+    EXECUTED: 'executed',
+    FAILED: 'failed',
+    EXPIRED: 'expired',
+  });
+
+  /**
+   * @param {Object} device - Homey device whose store holds the queue
+   * @param {Object} [options]
+   * @param {string} [options.storeKey='command_queue'] - Store key for the queue
+   */
+  constructor(device, { storeKey = 'command_queue' } = {}) {
+    if (!device) {
+      throw new Error('Device is required for CommandQueue.');
+    }
+    this.device = device;
+    this.storeKey = storeKey;
+    this._replaying = false;
+  }
+
+  /**
+   * @returns {Array<Object>} Queued entries, oldest first
+   */
+  getEntries() {
+    return this.device.getStoreValue(this.storeKey) || [];
+  }
+
+  /**
+   * @returns {number|null} Earliest expiry time of the queued entries in milliseconds
+   */
+  getNextExpiry() {
+    const entries = this.getEntries();
+    return entries.length ? Math.min(...entries.map((entry) => entry.expiresAt)) : null;
+  }
+
+  /**
+   * Adds a command to the end of the queue. When the command changes a
+   * capability, the value it had before is kept with the entry so it can be
+   * restored if the command never reaches the robot. Several queued commands
+   * for one capability all keep the value from before the first of them.
+   * @param {string} command - Command name
+   * @param {Object|null} [payload=null] - Command payload
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Time the command stays valid in milliseconds
+   * @param {string|null} [options.capability=null] - Capability the command changes
+   * @param {*} [options.previousValue=null] - Value of the capability before the command
+   * @returns {Promise<Object>} Queued entry ({ id, command, payload, capability, previousValue, queuedAt, expiresAt })
+   */
+  async enqueue(command, payload = null, { ttl = CommandQueue.DEFAULT_TTL, capability = null, previousValue = null } = {}) {
+    const entries = this.getEntries();
+    const queuedAt = Date.now();
+    const earlier = capability ? entries.find((entry) => entry.capability === capability) : null;
+    const entry = {
+      id: `${queuedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      command,
+      payload,
+      capability,
+      previousValue: earlier ? earlier.previousValue : previousValue,
+      queuedAt,
+      expiresAt: queuedAt + ttl,
+    };
+
+    await this.device.setStoreValue(this.storeKey, [...entries, entry]);
+    this.device.log(`[CommandQueue] ${colorize(LOG_COLORS.COMMAND, `Queued ${command} until ${new Date(entry.expiresAt).toISOString()}`)}`);
+    return entry;
+  }
+
+  /**
+   * Removes and returns the entries that expired.
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Promise<Array<Object>>} Expired entries, oldest first
+   */
+  async takeExpired(now = Date.now()) {
+    const entries = this.getEntries();
+    const expired = entries.filter((entry) => entry.expiresAt <= now);
+    if (expired.length > 0) {
+      await this.device.setStoreValue(this.storeKey, entries.filter((entry) => entry.expiresAt > now));
+    }
+    return expired;
+  }
+
+  /**
+   * Replays queued commands in order. Expired entries are dropped, and
+   * entries are removed from the queue before they run so a crash during
+   * replay never sends a command twice. Replay stops as soon as canExecute
+   * returns false, leaving the remaining entries queued.
+   * @param {Function} execute - Async function receiving an entry and sending it
+   * @param {Object} [options]
+   * @param {Function} [options.canExecute] - Returns false when replay should pause (e.g. robot went offline)
+   * @returns {Promise<Array<Object>>} Results ({ entry, result, error }) in replay order
+   */
+  async replay(execute, { canExecute = () => true } = {}) {
+    if (this._replaying) return [];
+    this._replaying = true;
+
+    const results = [];
+    try {
+      let entries = this.getEntries();
+      while (entries.length > 0) {
+        const [entry, ...rest] = entries;
+
+        if (entry.expiresAt <= Date.now()) {
+          await this.device.setStoreValue(this.storeKey, rest);
+          results.push({ entry, result: CommandQueue.Results.EXPIRED, error: null });
+        } else {
+          if (!canExecute()) break;
+
+          await this.device.setStoreValue(this.storeKey, rest);
+          try {
+            await execute(entry);
+            results.push({ entry, result: CommandQueue.Results.EXECUTED, error: null });
+          } catch (err) {
+            results.push({ entry, result: CommandQueue.Results.FAILED, error: err });
+          }
+        }
+
+        // Re-read so commands queued during replay keep their order
+        entries = this.getEntries();
+      }
+    } finally {
+      this._replaying = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Works out which capability values to restore after queued commands
+   * finished. A capability is restored to its value from before it was queued
+   * when one of its commands expired or failed, unless a later command for it
+   * was executed or is still queued.
+   * @param {Array<Object>} results - Results ({ entry, result, error }) in replay order
+   * @returns {Array<{capability: string, value: *}>} Capabilities to restore
+   */
+  getRestores(results) {
+    const pending = new Set(this.getEntries().map((entry) => entry.capability).filter(Boolean));
+    const restores = new Map();
+
+    for (const { entry, result } of results) {
+      if (!entry.capability || pending.has(entry.capability)) continue;
+      if (result === CommandQueue.Results.EXECUTED) {
+        restores.delete(entry.capability);
+      } else if (entry.previousValue !== null && entry.previousValue !== undefined) {
+        restores.set(entry.capability, entry.previousValue);
+      }
+    }
+
+    return [...restores].map(([capability, value]) => ({ capability, value }));
+  }
+
+  /**
+   * Empties the queue.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.device.setStoreValue(this.storeKey, []);
+  }
+}
+
+module.exports = CommandQueue;
@@ -0,0 +1,117 @@
+const { colorize, LOG_COLORS } = require('./utils');
+const { WhiskerCommandException } = require('./exceptions');
+
+/**
+ * Default time to wait for a robot to report the state a command should lead to.
+ */
+const DEFAULT_CONFIRM_TIMEOUT = 20 * 1000;
+
+/**
+ * Correlates commands sent to a robot with the state changes that confirm
+ * them. Commands are only acknowledged by the API when they are queued, so
+ * each tracked command waits until a state update satisfies its
+ * confirmation check, or rejects after a timeout.
+ *
+ * @class
+ */
+class CommandTracker {
+  /**
+   * @param {Object} homey - Homey instance for timers and logging
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Default confirmation timeout in milliseconds
+   */
+  constructor(homey, { timeout = DEFAULT_CONFIRM_TIMEOUT } = {}) {
+    if (!homey) {
+      throw new Error('Homey instance is required for CommandTracker.');
+    }
+    this.homey = homey;
+    this.timeout = timeout;
+    this._pending = new Set();
+  }
+
+  /**
+   * Starts waiting for a command to be confirmed. Call this before sending
+   * the command so a state update that arrives before the API response is
+   * not missed.
+   * @param {string} command - Command name, used in logs and errors
+   * @param {Function} isConfirmed - Receives the robot state and returns true once the command took effect
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Confirmation timeout in milliseconds
+   * @returns {{promise: Promise<Object>, cancel: Function}} Promise resolving with the confirming state, and a cancel function
+   */
+  track(command, isConfirmed, { timeout = this.timeout } = {}) {
+    const entry = { command, isConfirmed };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    entry.timer = this.homey.setTimeout(() => {
+      this._settle(entry, new WhiskerCommandException(
+        `The robot did not confirm "${command}" within ${Math.round(timeout / 1000)} seconds`,
+        command,
+      ));
+    }, timeout);
+
+    this._pending.add(entry);
+
+    return {
+      promise: entry.promise,
+      cancel: () => {
+        // A cancelled command was never sent, so nobody awaits the rejection
+        entry.promise.catch(() => {});
+        this._settle(entry, new WhiskerCommandException(`Command "${command}" was cancelled`, command));
+      },
+    };
+  }
+
+  /**
+   * Checks pending commands against a new robot state and resolves those it confirms.
+   * @param {Object} state - Current (merged) robot state
+   */
+  handleState(state) {
+    for (const entry of this._pending) {
+      let confirmed = false;
+      try {
+        confirmed = entry.isConfirmed(state) === true;
+      } catch (err) {
+        this.homey.error(`[CommandTracker] ${colorize(LOG_COLORS.ERROR, `Confirmation check for ${entry.command} failed:`)}`, err);
+      }
+      if (confirmed) {
+        this.homey.log(`[CommandTracker] ${colorize(LOG_COLORS.SUCCESS, `Command confirmed by robot: ${entry.command}`)}`);
+        this._settle(entry, null, state);
+      }
+    }
+  }
+
+  /**
+   * Rejects all pending commands, e.g. when the device is removed.
+   * @param {string} [reason] - Rejection message
+   */
+  cancelAll(reason = 'Command tracking stopped') {
+    for (const entry of this._pending) {
+      entry.promise.catch(() => {});
+      this._settle(entry, new WhiskerCommandException(reason, entry.command));
+    }
+  }
+
+  /**
+   * Resolves or rejects a pending entry exactly once.
+   * @param {Object} entry - Pending entry
+   * @param {Error|null} error - Rejection error, or null to resolve
+   * @param {Object} [state] - Confirming state
+   * @private
+   */
+  _settle(entry, error, state = null) {
+    if (!this._pending.delete(entry)) return;
+    this.homey.clearTimeout(entry.timer);
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(state);
+    }
+  }
+}
+
+module.exports = CommandTracker;
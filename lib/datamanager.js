@@ -2,11 +2,13 @@
  * @module DataManager
  * Manages centralized pet polling and weight-triggered synchronization for pet devices.
  * Uses a single API call to update all pet devices simultaneously, reducing API load.
+ * Also analyzes robot usage against per-robot baselines to detect abnormal usage.
  * Devices manage their own WebSocket connections and data sources independently.
  */
 
 const { EventEmitter } = require('./event');
 const { colorize, LOG_COLORS, convertLbsToGrams } = require('./utils');
+const { buildUsageBaseline, detectUsageAnomalies } = require('./usageanalysis');
 
 /**
  * Manages centralized pet polling and weight-triggered synchronization.
@@ -50,6 +52,9 @@ class DataManager {
     // Tracks last reported weight per device to avoid unnecessary refreshes
     this.lastWeightUpdates = new Map();
 
+    // Latest usage baseline per robot device, used to log baseline changes
+    this.usageBaselines = new Map();
+
     // Coordinates single API call that updates all pet devices simultaneously
     this.petPolling = {
       interval: null,
@@ -179,6 +184,45 @@ class DataManager {
     }, this.config.weightPollDebounceMs);
   }
 
+  /**
+   * Analyzes a robot's usage today against the baseline built from its own
+   * daily history. Robots are analyzed independently because normal usage
+   * depends on the number of cats and where the robot is placed.
+   *
+   * @param {string} deviceId - Robot device identifier
+   * @param {Object} params
+   * @param {Array<Object>} params.history - Daily usage history ({ date, visits, cycles })
+   * @param {string} params.today - Today's date (YYYY-MM-DD) in the robot's timezone
+   * @param {Object} params.usage - Today's usage ({ visits, cycles })
+   * @param {Date|string|null} [params.lastVisitAt] - Time of the most recent cat visit
+   * @param {number} [params.thresholdPercent] - Allowed deviation above baseline in percent
+   * @param {number} [params.noVisitHours] - Hours without visits before alerting (0 disables)
+   * @returns {Array<Object>} Detected anomalies
+   */
+  analyzeUsage(deviceId, {
+    history, today, usage, lastVisitAt = null, thresholdPercent, noVisitHours,
+  }) {
+    const baseline = buildUsageBaseline(history, today);
+
+    const previous = this.usageBaselines.get(deviceId);
+    if (!previous || previous.visits !== baseline.visits || previous.cycles !== baseline.cycles) {
+      const format = (value) => (value === null ? 'n/a' : Math.round(value * 10) / 10);
+      const summary = `${format(baseline.visits)} visits, ${format(baseline.cycles)} cycles per day (${baseline.days} days)`;
+      this.homey.log(`[DataManager] ${colorize(LOG_COLORS.INFO, `Usage baseline for ${deviceId}: ${summary}`)}`);
+    }
+    this.usageBaselines.set(deviceId, baseline);
+
+    const anomalies = detectUsageAnomalies({
+      baseline, today: usage, lastVisitAt, thresholdPercent, noVisitHours,
+    });
+
+    for (const anomaly of anomalies) {
+      this.homey.log(`[DataManager] ${colorize(LOG_COLORS.WARNING, `Usage anomaly for ${deviceId} [${anomaly.type}]: ${anomaly.description}`)}`);
+    }
+
+    return anomalies;
+  }
+
   /**
    * Executes a single API call to fetch all pets and updates all registered devices.
    * Prevents concurrent polls to avoid race conditions and redundant API calls.
@@ -347,6 +391,7 @@ class DataManager {
 
     this.petDevices.clear();
     this.lastWeightUpdates.clear();
+    this.usageBaselines.clear();
 
     if (this.eventEmitter) {
       this.eventEmitter.removeAllListeners();
@@ -0,0 +1,111 @@
+/**
+ * @module drawerforecast
+ * Learns how fast a robot's waste drawer fills and forecasts how many days
+ * remain until it reaches the full threshold.
+ */
+
+/**
+ * Default forecast configuration.
+ * Samples are stored at most once per SAMPLE_INTERVAL so the history covers
+ * several days without growing the device store; MIN_SPAN_HOURS avoids
+ * forecasting from a handful of cycles right after the drawer was emptied.
+ */
+const FORECAST_DEFAULTS = Object.freeze({
+  SAMPLE_INTERVAL: 60 * 60 * 1000,
+  MAX_SAMPLES: 14 * 24,
+  MIN_SPAN_HOURS: 12,
+  RESET_DROP_PERCENT: 20,
+  MAX_DAYS: 60,
+});
+
+/**
+ * Adds a drawer sample to the history. A drop in cycle count or drawer level
+ * means the drawer was emptied, so the history restarts from the new sample.
+ * Samples taken within SAMPLE_INTERVAL of the previous one replace it.
+ *
+ * @param {Array<Object>} history - Existing samples ({ timestamp, level, cycles }), oldest first
+ * @param {Object} sample - New sample
+ * @param {number} sample.timestamp - Sample time in milliseconds
+ * @param {number} sample.level - Drawer level in percent
+ * @param {number|null} [sample.cycles] - Clean cycles since the drawer was last emptied
+ * @returns {Array<Object>} Updated history; the same array when nothing changed
+ */
+function recordDrawerSample(history, sample) {
+  const samples = history || [];
+  const last = samples[samples.length - 1];
+  if (!last) return [sample];
+
+  const cyclesDropped = typeof sample.cycles === 'number' && typeof last.cycles === 'number'
+    && sample.cycles < last.cycles;
+  if (cyclesDropped || sample.level < last.level - FORECAST_DEFAULTS.RESET_DROP_PERCENT) {
+    return [sample];
+  }
+
+  if (samples.length > 1 && sample.timestamp - last.timestamp < FORECAST_DEFAULTS.SAMPLE_INTERVAL) {
+    if (sample.level === last.level && sample.cycles === last.cycles) return samples;
+    return [...samples.slice(0, -1), sample];
+  }
+
+  return [...samples, sample].slice(-FORECAST_DEFAULTS.MAX_SAMPLES);
+}
+
+/**
+ * Forecasts the days until the drawer reaches the threshold. When cycle
+ * counts are known the fill rate is the drawer percentage per cycle times the
+ * cycles per day, which stays accurate when the level is reported in coarse
+ * steps; otherwise the level trend is used directly.
+ *
+ * @param {Array<Object>} history - Samples from recordDrawerSample
+ * @param {number} threshold - Drawer full threshold in percent
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object|null} Forecast with daysRemaining and fillRatePerDay, or null without enough data
+ */
+function forecastDrawerFull(history, threshold, now = Date.now()) {
+  if (!Array.isArray(history) || history.length === 0) return null;
+
+  const first = history[0];
+  const latest = history[history.length - 1];
+  if (latest.level >= threshold) {
+    return { daysRemaining: 0, fillRatePerDay: null };
+  }
+
+  const spanDays = (Math.max(now, latest.timestamp) - first.timestamp) / (24 * 60 * 60 * 1000);
+  if (spanDays * 24 < FORECAST_DEFAULTS.MIN_SPAN_HOURS) return null;
+
+  let fillRatePerDay;
+  if (typeof latest.cycles === 'number' && typeof first.cycles === 'number' && latest.cycles > 0 && latest.level > 0) {
+    const percentPerCycle = latest.level / latest.cycles;
+    fillRatePerDay = (percentPerCycle * (latest.cycles - first.cycles)) / spanDays;
+  } else {
+    fillRatePerDay = (latest.level - first.level) / spanDays;
+  }
+
+  if (!(fillRatePerDay > 0)) return null;
+
+  const daysRemaining = Math.min(FORECAST_DEFAULTS.MAX_DAYS, (threshold - latest.level) / fillRatePerDay);
+  return {
+    daysRemaining: Math.round(daysRemaining * 10) / 10,
+    fillRatePerDay: Math.round(fillRatePerDay * 10) / 10,
+  };
+}
+
+/**
+ * Decides whether a "full within N days" trigger should fire: only when the
+ * forecast crosses the limit, so an unchanged forecast does not repeat it.
+ *
+ * @param {number} days - Limit in days from the flow card
+ * @param {number|null} daysRemaining - Current forecast
+ * @param {number|null} previousDaysRemaining - Forecast before this update
+ * @returns {boolean} True if the forecast just dropped to or below the limit
+ */
+function isDrawerFullWithin(days, daysRemaining, previousDaysRemaining) {
+  if (typeof daysRemaining !== 'number' || daysRemaining > days) return false;
+  return typeof previousDaysRemaining !== 'number' || previousDaysRemaining > days;
+}
+
+module.exports = {
+  FORECAST_DEFAULTS,
+  recordDrawerSample,
+  forecastDrawerFull,
+  isDrawerFullWithin,
+};
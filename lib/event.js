@@ -86,6 +86,21 @@ function emitError(emitter, error, context = 'unknown', homey = null) {
   emitter.emit(EVENTS.ERROR, { error, context, timestamp: Date.now() });
 }
 
+/**
+ * Emits a structured authentication failure event with consistent payload format.
+ * Tells listeners why the session can no longer be refreshed so they can ask the user to sign in again.
+ * @param {EventEmitter} emitter - Event emitter instance
+ * @param {string} reason - Failure reason code (e.g., 'refresh_token_revoked')
+ * @param {string} message - User-friendly description of the failure
+ * @param {Object} homey - Optional Homey instance for logging
+ */
+function emitAuthenticationFailed(emitter, reason, message, homey = null) {
+  if (homey) {
+    homey.error(`[EventEmitter] ${colorize(LOG_COLORS.ERROR, `Authentication failed: ${reason}`)}`);
+  }
+  emitter.emit(EVENTS.AUTHENTICATION_FAILED, { reason, message, timestamp: Date.now() });
+}
+
 module.exports = {
   EVENTS,
   EventEmitter,
@@ -93,4 +108,5 @@ module.exports = {
   emitConnected,
   emitDisconnected,
   emitError,
+  emitAuthenticationFailed,
 };
@@ -57,6 +57,17 @@ class WhiskerApiException extends WhiskerException {
   }
 }
 
+/**
+ * Exception for robot commands that were accepted by the API but never took effect.
+ * Includes the command name so callers can tell which action failed.
+ */
+class WhiskerCommandException extends WhiskerException {
+  constructor(message = 'Command was not confirmed by the robot', command = null, cause = null) {
+    super(message, cause);
+    this.command = command;
+  }
+}
+
 /**
  * Maps AWS Cognito error codes to user-friendly error messages.
  * Cognito errors are technical and need translation for end users.
@@ -88,12 +99,34 @@ function isCognitoWarningError(err) {
   return warningErrors.includes(errorCode);
 }
 
+/**
+ * Describes why Cognito rejected a refresh token. Returns null when the refresh
+ * failed for another reason (e.g. a network error) and can simply be retried.
+ * @param {Error} err - The Cognito error object
+ * @returns {{reason: string, message: string}|null} Rejection reason code and user-friendly message
+ */
+function getRefreshTokenRejection(err) {
+  const errorCode = err?.code || err?.name;
+  if (errorCode !== 'NotAuthorizedException') return null;
+
+  const text = err.message || '';
+  if (/revoked/i.test(text)) {
+    return { reason: 'refresh_token_revoked', message: 'The Whisker login was revoked. Please sign in again.' };
+  }
+  if (/expired/i.test(text)) {
+    return { reason: 'refresh_token_expired', message: 'The Whisker login has expired. Please sign in again.' };
+  }
+  return { reason: 'refresh_token_invalid', message: 'The Whisker login is no longer valid. Please sign in again.' };
+}
+
 module.exports = {
   WhiskerException,
   WhiskerAuthenticationException,
   WhiskerLoginException,
   WhiskerTokenException,
   WhiskerApiException,
+  WhiskerCommandException,
   getCognitoErrorMessage,
   isCognitoWarningError,
+  getRefreshTokenRejection,
 };
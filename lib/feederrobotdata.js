@@ -0,0 +1,376 @@
+/**
+ * Data wrapper for Feeder-Robot devices that processes unit state data from the
+ * feeder GraphQL API and formats values for display. The feeder reports most of
+ * its live state through the `feeder_unit_state.info` jsonb column, which this
+ * class normalizes into typed getters.
+ */
+class FeederRobotData {
+  // ============================================================================
+  // CONSTANTS AND CONFIGURATION
+  // ============================================================================
+
+  /** Default configuration values for data processing and formatting */
+  static Defaults = Object.freeze({
+    POLL_INTERVAL: 2 * 60 * 1000,
+    COMMAND_REFRESH_DELAY: 5000,
+    DEFAULT_MEAL_PORTIONS: 1,
+    MAX_MEAL_PORTIONS: 20,
+  });
+
+  // ============================================================================
+  // ENUM DEFINITIONS
+  // ============================================================================
+
+  /** Feeder-Robot Commands */
+  static Commands = Object.freeze({
+    GIVE_SNACK: 'giveSnack',
+    DISPENSE_MEAL: 'dispenseMeal',
+    REQUEST_STATE: 'requestState',
+  });
+
+  /** Feeding status enum - mirrors feeder_feeding_status_enum */
+  static FeedingStatus = Object.freeze({
+    DISPENSED: 'dispensed',
+    MISSED: 'missed',
+    PENDING: 'pending',
+  });
+
+  /** Centralized error messages for consistent error handling */
+  static ErrorMessages = Object.freeze({
+    INVALID_ROBOT_DATA: 'Invalid feeder data provided. Feeder data must be an object.',
+    INVALID_PORTIONS: 'Invalid portion count',
+    MEAL_NOT_FOUND: 'Meal not found in the active schedule',
+  });
+
+  // ============================================================================
+  // DATA FIELD MAPPINGS
+  // ============================================================================
+
+  /** Maps the raw `info.level` sensor reading (0-9) to a food level percentage */
+  static FoodLevelPercent = Object.freeze({
+    9: 100,
+    8: 70,
+    7: 60,
+    6: 50,
+    5: 40,
+    4: 30,
+    3: 20,
+    2: 10,
+    1: 5,
+    0: 0,
+  });
+
+  /** Maps the raw `info.mealInsertSize` value to the portion size in cups */
+  static MealInsertSizeCups = Object.freeze({
+    0: 0.25,
+    1: 0.125,
+  });
+
+  // ============================================================================
+  // CONSTRUCTOR AND INITIALIZATION
+  // ============================================================================
+
+  /**
+   * Creates a new FeederRobotData instance for processing feeder state data.
+   * @param {Object} params
+   * @param {Object} params.robot - Feeder unit object from API
+   * @param {Object} [params.settings={}] - Optional settings for data formatting
+   * @throws {Error} If required parameters are missing or invalid
+   */
+  constructor({ robot, settings = {} } = {}) {
+    if (!robot || typeof robot !== 'object') {
+      throw new Error(FeederRobotData.ErrorMessages.INVALID_ROBOT_DATA);
+    }
+
+    this._robot = robot;
+    this._settings = {
+      use12hFormat: false,
+      ...settings,
+    };
+
+    if (this._settings.use_12h_format === '12h') {
+      this._settings.use12hFormat = true;
+    } else if (this._settings.use_12h_format === '24h') {
+      this._settings.use12hFormat = false;
+    }
+  }
+
+  // ============================================================================
+  // FORMATTING METHODS
+  // ============================================================================
+
+  /**
+   * Formats an ISO timestamp as a short time string in the given timezone.
+   * @param {string} timeInput - ISO string timestamp
+   * @param {Object} opts - Formatting options
+   * @param {boolean} [opts.use12hFormat=false] - When true, output 12-hour with AM/PM
+   * @param {string} [opts.timezone] - Timezone for conversion
+   * @param {boolean} [opts.includeDate=false] - When true, include the date
+   * @returns {string|null} Formatted time string or null if invalid
+   */
+  static formatTime(timeInput, { use12hFormat = false, timezone = null, includeDate = false } = {}) {
+    if (!timeInput) return null;
+
+    const dateObj = new Date(timeInput);
+    if (Number.isNaN(dateObj.getTime())) return null;
+
+    const options = {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: use12hFormat,
+    };
+    if (includeDate) {
+      options.year = 'numeric';
+      options.month = 'long';
+      options.day = 'numeric';
+    }
+    if (timezone) {
+      options.timeZone = timezone;
+    }
+
+    return dateObj.toLocaleString('en-US', options);
+  }
+
+  /**
+   * Formats a cup amount as a readable string, e.g. 0.25 -> "0.25 cups".
+   * @param {number} cups - Amount in cups
+   * @returns {string|null} Formatted amount or null if invalid
+   */
+  static formatCups(cups) {
+    if (typeof cups !== 'number' || Number.isNaN(cups)) return null;
+    const rounded = Math.round(cups * 1000) / 1000;
+    return `${rounded} ${rounded === 1 ? 'cup' : 'cups'}`;
+  }
+
+  // ============================================================================
+  // SCHEDULE HELPERS
+  // ============================================================================
+
+  /**
+   * Normalizes the `feeder_schedule.meals` jsonb value for display and flow cards.
+   * The feeder reports its meals as an array of
+   * `{ id, name, hour, minute, portions, paused, days, skip, mealNumber, scheduleId }`,
+   * with `hour` and `minute` in the feeder's local time.
+   * @param {Array<Object>|null} meals - Raw meals value
+   * @returns {Array<Object>} Meals with name, time ("HH:MM"), portions and enabled
+   */
+  static normalizeMeals(meals) {
+    if (!Array.isArray(meals)) return [];
+    return meals.map((meal) => {
+      const minutes = typeof meal.hour === 'number' ? meal.hour * 60 + (meal.minute || 0) : null;
+      return {
+        name: meal.name || `Meal ${meal.mealNumber}`,
+        time: minutes === null ? null : FeederRobotData.formatMinutes(minutes),
+        portions: meal.portions ?? null,
+        enabled: !meal.paused,
+      };
+    });
+  }
+
+  /**
+   * Formats minutes after midnight as "HH:MM".
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} Time string
+   */
+  static formatMinutes(minutes) {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  }
+
+  // ============================================================================
+  // INSTANCE GETTERS (Basic Properties)
+  // ============================================================================
+
+  /** @returns {Object} Raw feeder data object */
+  get robot() {
+    return this._robot;
+  }
+
+  /** @returns {number} Feeder unit ID */
+  get id() {
+    return this._robot.id;
+  }
+
+  /** @returns {string} Feeder serial number */
+  get serial() {
+    return this._robot.serial;
+  }
+
+  /** @returns {string} Feeder name */
+  get name() {
+    return this._robot.name || 'Feeder-Robot';
+  }
+
+  /** @returns {string|null} Feeder timezone, falling back to the Homey timezone */
+  get timezone() {
+    return this._robot.timezone || this._settings.homeyTimezone || null;
+  }
+
+  /** @returns {string|null} Creation timestamp of the unit */
+  get createdAt() {
+    return this._robot.created_at || null;
+  }
+
+  /** @returns {Object} Live state info reported by the unit */
+  get stateInfo() {
+    return this._robot.state?.info || {};
+  }
+
+  /** @returns {string|null} Timestamp of the last state update */
+  get stateUpdatedAt() {
+    return this._robot.state?.updated_at || null;
+  }
+
+  // ============================================================================
+  // INSTANCE GETTERS (Status and State)
+  // ============================================================================
+
+  /** @returns {boolean} True if the feeder is online */
+  get isOnline() {
+    return this.stateInfo.online === true;
+  }
+
+  /** @returns {boolean} True if gravity mode is enabled */
+  get isGravityModeEnabled() {
+    return Boolean(this.stateInfo.gravity);
+  }
+
+  /** @returns {boolean} True if the control panel is locked */
+  get isPanelLocked() {
+    return Boolean(this.stateInfo.panelLockout);
+  }
+
+  /** @returns {boolean} True if the automatic night light is enabled */
+  get isNightLightModeEnabled() {
+    return Boolean(this.stateInfo.autoNightMode);
+  }
+
+  // ============================================================================
+  // INSTANCE GETTERS (Numeric Values)
+  // ============================================================================
+
+  /** @returns {number|null} Raw food level reading (0-9) */
+  get foodLevelRaw() {
+    const { level } = this.stateInfo;
+    return typeof level === 'number' ? level : null;
+  }
+
+  /** @returns {number|null} Food level as percentage */
+  get foodLevelPercentage() {
+    const raw = this.foodLevelRaw;
+    if (raw === null) return null;
+    return FeederRobotData.FoodLevelPercent[raw] ?? null;
+  }
+
+  /** @returns {number|null} Portion size in cups */
+  get mealInsertSizeCups() {
+    const size = this.stateInfo.mealInsertSize;
+    if (size === undefined || size === null) {
+      return this._robot.isEighthCupEnabled ? 0.125 : null;
+    }
+    return FeederRobotData.MealInsertSizeCups[size] ?? null;
+  }
+
+  // ============================================================================
+  // INSTANCE GETTERS (Feeding History)
+  // ============================================================================
+
+  /** @returns {Object|null} Most recent meal record */
+  get lastMeal() {
+    return this._robot.feeding_meal?.[0] || null;
+  }
+
+  /** @returns {Object|null} Most recent snack record */
+  get lastSnack() {
+    return this._robot.feeding_snack?.[0] || null;
+  }
+
+  /** @returns {string|null} Name of the most recent meal */
+  get lastMealName() {
+    const meal = this.lastMeal;
+    if (!meal) return null;
+    return meal.meal_name || `Meal ${meal.meal_number}`;
+  }
+
+  /**
+   * @returns {string|null} Description of the most recent meal, e.g. "Breakfast (0.25 cups) at 08:00"
+   */
+  get lastMealDescription() {
+    const meal = this.lastMeal;
+    if (!meal) return null;
+
+    const time = FeederRobotData.formatTime(meal.timestamp, {
+      use12hFormat: this._settings.use12hFormat,
+      timezone: this.timezone,
+    });
+    const amount = FeederRobotData.formatCups(meal.amount);
+    const missed = meal.status === FeederRobotData.FeedingStatus.MISSED ? ' (missed)' : '';
+
+    return `${this.lastMealName}${amount ? ` (${amount})` : ''}${time ? ` at ${time}` : ''}${missed}`;
+  }
+
+  // ============================================================================
+  // INSTANCE GETTERS (Schedule)
+  // ============================================================================
+
+  /** @returns {Object|null} Active meal schedule */
+  get activeSchedule() {
+    return this._robot.state?.active_schedule || null;
+  }
+
+  /** @returns {string|null} Name of the active meal schedule */
+  get activeScheduleName() {
+    return this.activeSchedule?.name || null;
+  }
+
+  /** @returns {Array<Object>} Meals of the active schedule, normalized */
+  get meals() {
+    return FeederRobotData.normalizeMeals(this.activeSchedule?.meals);
+  }
+
+  // ============================================================================
+  // INSTANCE GETTERS (Complex Objects)
+  // ============================================================================
+
+  /** @returns {string|null} Formatted unit creation date */
+  get createdAtFormatted() {
+    return FeederRobotData.formatTime(this.createdAt, {
+      use12hFormat: this._settings.use12hFormat,
+      timezone: this.timezone,
+      includeDate: true,
+    });
+  }
+
+  // ============================================================================
+  // INSTANCE METHODS
+  // ============================================================================
+
+  /**
+   * Updates feeder data directly after a poll.
+   * @param {Object} newRobotData - New feeder data from API
+   */
+  updateRobotData(newRobotData) {
+    if (!newRobotData || typeof newRobotData !== 'object') {
+      throw new Error('Invalid robot data provided');
+    }
+
+    this._robot = newRobotData;
+  }
+
+  /**
+   * Validates a portion count for the dispense meal command.
+   * @param {number|string} portions - Requested number of portions
+   * @returns {number} Validated portion count
+   * @throws {Error} If the portion count is out of range
+   */
+  static validatePortions(portions) {
+    const value = parseInt(String(portions), 10);
+    if (Number.isNaN(value) || value < 1 || value > FeederRobotData.Defaults.MAX_MEAL_PORTIONS) {
+      throw new Error(FeederRobotData.ErrorMessages.INVALID_PORTIONS);
+    }
+    return value;
+  }
+}
+
+module.exports = FeederRobotData;
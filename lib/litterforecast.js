@@ -0,0 +1,120 @@
+/**
+ * @module litterforecast
+ * Learns how fast a Litter-Robot 4 uses litter and forecasts how many days
+ * remain until a refill is needed, for the globe and for the LitterHopper.
+ */
+
+/**
+ * Default forecast configuration.
+ * REFILL_LEVEL_PERCENT is used until the robot has reported the REFILL state
+ * once, after which the level it reported at is used instead.
+ */
+const LITTER_FORECAST_DEFAULTS = Object.freeze({
+  SAMPLE_INTERVAL: 60 * 60 * 1000,
+  MAX_SAMPLES: 14 * 24,
+  MIN_SPAN_HOURS: 24,
+  REFILL_RISE_PERCENT: 10,
+  REFILL_LEVEL_PERCENT: 40,
+  HOPPER_RUN_HISTORY: 5,
+  MAX_DAYS: 90,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds a litter level sample to the history. A rise in level means litter
+ * was added, so the history restarts from the new sample. Samples taken
+ * within SAMPLE_INTERVAL of the previous one replace it.
+ *
+ * @param {Array<Object>} history - Existing samples ({ timestamp, level }), oldest first
+ * @param {Object} sample - New sample
+ * @param {number} sample.timestamp - Sample time in milliseconds
+ * @param {number} sample.level - Litter level in percent
+ * @returns {Array<Object>} Updated history; the same array when nothing changed
+ */
+function recordLitterSample(history, sample) {
+  const samples = history || [];
+  const last = samples[samples.length - 1];
+  if (!last || sample.level > last.level + LITTER_FORECAST_DEFAULTS.REFILL_RISE_PERCENT) {
+    return [sample];
+  }
+
+  if (samples.length > 1 && sample.timestamp - last.timestamp < LITTER_FORECAST_DEFAULTS.SAMPLE_INTERVAL) {
+    if (sample.level === last.level) return samples;
+    return [...samples.slice(0, -1), sample];
+  }
+
+  return [...samples, sample].slice(-LITTER_FORECAST_DEFAULTS.MAX_SAMPLES);
+}
+
+/**
+ * Forecasts the days until the globe's litter level drops to the refill level,
+ * based on the average usage since litter was last added.
+ *
+ * @param {Array<Object>} history - Samples from recordLitterSample
+ * @param {number} [refillLevel] - Level in percent at which a refill is needed
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object|null} Forecast with daysRemaining and usagePerDay, or null without enough data
+ */
+function forecastLitterRefill(history, refillLevel = LITTER_FORECAST_DEFAULTS.REFILL_LEVEL_PERCENT, now = Date.now()) {
+  if (!Array.isArray(history) || history.length === 0) return null;
+
+  const first = history[0];
+  const latest = history[history.length - 1];
+  if (latest.level <= refillLevel) {
+    return { daysRemaining: 0, usagePerDay: null };
+  }
+
+  const spanDays = (Math.max(now, latest.timestamp) - first.timestamp) / DAY_MS;
+  if (spanDays * 24 < LITTER_FORECAST_DEFAULTS.MIN_SPAN_HOURS) return null;
+
+  const usagePerDay = (first.level - latest.level) / spanDays;
+  if (!(usagePerDay > 0)) return null;
+
+  const daysRemaining = Math.min(LITTER_FORECAST_DEFAULTS.MAX_DAYS, (latest.level - refillLevel) / usagePerDay);
+  return {
+    daysRemaining: Math.round(daysRemaining * 10) / 10,
+    usagePerDay: Math.round(usagePerDay * 10) / 10,
+  };
+}
+
+/**
+ * Records how long a filled LitterHopper lasted before it ran empty.
+ *
+ * @param {Array<number>} runs - Previous run lengths in days, oldest first
+ * @param {number|null} refilledAt - Time the hopper was last filled in milliseconds
+ * @param {number} [emptiedAt=Date.now()] - Time the hopper ran empty in milliseconds
+ * @returns {Array<number>} Updated run lengths
+ */
+function recordHopperRun(runs, refilledAt, emptiedAt = Date.now()) {
+  if (typeof refilledAt !== 'number' || emptiedAt <= refilledAt) return runs || [];
+
+  const days = Math.round(((emptiedAt - refilledAt) / DAY_MS) * 10) / 10;
+  return [...(runs || []), days].slice(-LITTER_FORECAST_DEFAULTS.HOPPER_RUN_HISTORY);
+}
+
+/**
+ * Forecasts the days until the LitterHopper runs empty. While the hopper is
+ * enabled it keeps the globe topped up, so the hopper is what needs refilling;
+ * the forecast uses how long previous fills lasted.
+ *
+ * @param {Array<number>} runs - Run lengths from recordHopperRun
+ * @param {number|null} refilledAt - Time the hopper was last filled in milliseconds
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object|null} Forecast with daysRemaining, or null without a previous run
+ */
+function forecastHopperRefill(runs, refilledAt, now = Date.now()) {
+  if (!Array.isArray(runs) || runs.length === 0 || typeof refilledAt !== 'number') return null;
+
+  const averageDays = runs.reduce((sum, days) => sum + days, 0) / runs.length;
+  const daysRemaining = Math.max(0, averageDays - (now - refilledAt) / DAY_MS);
+  return { daysRemaining: Math.round(daysRemaining * 10) / 10 };
+}
+
+module.exports = {
+  LITTER_FORECAST_DEFAULTS,
+  recordLitterSample,
+  forecastLitterRefill,
+  recordHopperRun,
+  forecastHopperRefill,
+};
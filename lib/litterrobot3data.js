@@ -16,6 +16,12 @@ class LitterRobot3Data {
     CYCLE_CAPACITY_DEFAULT: 30,
     VALID_WAIT_TIMES: [3, 7, 15],
     SLEEP_DURATION_HOURS: 8,
+    ACTIVITY_POLL_INTERVAL: 10 * 60 * 1000,
+    ACTIVITY_REFRESH_DELAY: 30 * 1000,
+    ACTIVITY_FETCH_LIMIT: 50,
+    ACTIVITY_LOG_SIZE: 50,
+    INSIGHTS_POLL_INTERVAL: 15 * 60 * 1000,
+    INSIGHTS_AVERAGE_DAYS: 7,
   });
 
   // ============================================================================
@@ -90,6 +96,14 @@ class LitterRobot3Data {
     IOT: 'iot',
   });
 
+  /** Activity categories, matching the Litter-Robot 4 activity log */
+  static ActivityCategory = Object.freeze({
+    CAT_VISIT: 'cat_visit',
+    CLEAN_CYCLE: 'clean_cycle',
+    FAULT: 'fault',
+    OTHER: 'other',
+  });
+
   // ============================================================================
   // DATA FIELD MAPPINGS
   // ============================================================================
@@ -159,6 +173,22 @@ class LitterRobot3Data {
     DHF: 'Dump + home position fault',
   });
 
+  /** Maps activity history unit statuses to activity categories */
+  static ActivityCategories = Object.freeze({
+    CD: 'cat_visit',
+    CCC: 'clean_cycle',
+    EC: 'clean_cycle',
+    BR: 'fault',
+    CSF: 'fault',
+    DHF: 'fault',
+    DPF: 'fault',
+    HPF: 'fault',
+    OTF: 'fault',
+    PD: 'fault',
+    SCF: 'fault',
+    SPF: 'fault',
+  });
+
   /** Centralized error messages for consistent error handling */
   static ErrorMessages = Object.freeze({
     INVALID_ROBOT_DATA: 'Invalid robot data provided. Robot data must be an object.',
@@ -177,14 +207,16 @@ class LitterRobot3Data {
    * @param {Object} params
    * @param {Object} params.robot - Robot state object from API
    * @param {Object} [params.settings={}] - Optional settings for data formatting
+   * @param {number|null} [params.snapshotAt=null] - Time the data was saved when restored from a snapshot; marks the data as stale
    * @throws {Error} If required parameters are missing or invalid
    */
-  constructor({ robot, settings = {} } = {}) {
+  constructor({ robot, settings = {}, snapshotAt = null } = {}) {
     if (!robot || typeof robot !== 'object') {
       throw new Error(LitterRobot3Data.ErrorMessages.INVALID_ROBOT_DATA);
     }
 
     this._robot = robot;
+    this._snapshotAt = snapshotAt;
     this._settings = {
       use12hFormat: false,
       useUSDate: false,
@@ -509,6 +541,121 @@ class LitterRobot3Data {
     return this._cachedProblemAnalysis;
   }
 
+  // ============================================================================
+  // ACTIVITY HISTORY AND INSIGHTS
+  // ============================================================================
+
+  /**
+   * Converts a row from the LR3 activity endpoint into a log entry.
+   * @param {Object} row - Activity row ({ timestamp, unitStatus })
+   * @returns {Object|null} Entry with timestamp, category, description and value, or null if invalid
+   */
+  static parseActivity(row) {
+    if (!row?.timestamp) return null;
+
+    const timestamp = new Date(row.timestamp);
+    if (Number.isNaN(timestamp.getTime())) return null;
+
+    const status = row.unitStatus || LitterRobot3Data.StatusCodes.UNKNOWN;
+    return {
+      timestamp: timestamp.toISOString(),
+      category: LitterRobot3Data.ActivityCategories[status] || LitterRobot3Data.ActivityCategory.OTHER,
+      description: LitterRobot3Data.StatusDescriptions[status] || status,
+      value: status,
+    };
+  }
+
+  /**
+   * Merges new activity entries into an existing log, newest first, without duplicates.
+   * @param {Array<Object>} log - Existing log entries (newest first)
+   * @param {Array<Object>} entries - New parsed entries
+   * @param {number} [maxSize] - Maximum number of entries to keep
+   * @returns {Array<Object>} Merged log (newest first)
+   */
+  static mergeActivityLog(log, entries, maxSize = LitterRobot3Data.Defaults.ACTIVITY_LOG_SIZE) {
+    const seen = new Set();
+    return [...entries, ...(log || [])]
+      .filter((entry) => {
+        const key = `${entry.timestamp}|${entry.value}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, maxSize);
+  }
+
+  /**
+   * Formats an activity entry as a single line for device settings.
+   * @param {Object} entry - Parsed activity entry
+   * @param {Object} opts - Formatting options
+   * @param {boolean} [opts.use12hFormat=false] - 12-hour time display
+   * @param {string} [opts.timezone] - Timezone for conversion
+   * @returns {string} Formatted line (e.g. "March 3, 2026 at 08:15 AM - Cat detected")
+   */
+  static formatActivityEntry(entry, { use12hFormat = false, timezone = null } = {}) {
+    const time = LitterRobot3Data.formatTime(entry.timestamp, { use12hFormat, timezone }) || entry.timestamp;
+    return `${time} - ${entry.description}`;
+  }
+
+  /**
+   * Returns the calendar date in a timezone as YYYY-MM-DD.
+   * @param {string} timezone - IANA timezone
+   * @param {Date} [date=new Date()] - Reference moment
+   * @returns {string} Local date string
+   */
+  static getLocalDate(timezone, date = new Date()) {
+    try {
+      return date.toLocaleDateString('en-CA', { timeZone: timezone || 'UTC' });
+    } catch (err) {
+      return date.toISOString().slice(0, 10);
+    }
+  }
+
+  /**
+   * Returns the UTC offset of a timezone in minutes, as expected by the LR3 insights endpoint.
+   * @param {string} timezone - IANA timezone
+   * @param {Date} [date=new Date()] - Reference moment
+   * @returns {number} Offset in minutes (0 if unknown)
+   */
+  static getTimezoneOffsetMinutes(timezone, date = new Date()) {
+    if (!timezone) return 0;
+    try {
+      const local = new Date(date.toLocaleString('en-US', { timeZone: timezone }));
+      const utc = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+      return Math.round((local - utc) / 60000);
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  /**
+   * Derives the daily usage values from an LR3 insights response.
+   * @param {Object|null} insights - Insights with cycleHistory ({ date, cyclesCompleted }) and averageCycles
+   * @param {string} [timezone] - Timezone used to find today's entry
+   * @returns {Object} Object with cyclesToday and cycles7dAverage (null when unknown)
+   */
+  static summarizeInsights(insights, timezone = null) {
+    const history = Array.isArray(insights?.cycleHistory) ? insights.cycleHistory : [];
+    const today = LitterRobot3Data.getLocalDate(timezone);
+    const todayEntry = history.find((entry) => String(entry.date).slice(0, 10) === today);
+    const cyclesToday = todayEntry ? Number(todayEntry.cyclesCompleted) || 0 : null;
+
+    let cycles7dAverage = null;
+    if (history.length > 0) {
+      const days = LitterRobot3Data.Defaults.INSIGHTS_AVERAGE_DAYS;
+      const total = [...history]
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+        .slice(-days)
+        .reduce((sum, entry) => sum + (Number(entry.cyclesCompleted) || 0), 0);
+      cycles7dAverage = Math.round((total / days) * 10) / 10;
+    } else if (typeof insights?.averageCycles === 'number') {
+      cycles7dAverage = Math.round(insights.averageCycles * 10) / 10;
+    }
+
+    return { cyclesToday, cycles7dAverage };
+  }
+
   // ============================================================================
   // INSTANCE GETTERS (Basic Properties)
   // ============================================================================
@@ -523,6 +670,16 @@ class LitterRobot3Data {
     return this._robot.litterRobotId;
   }
 
+  /** @returns {boolean} True while the data comes from a snapshot and no live update has arrived yet */
+  get isStale() {
+    return this._snapshotAt !== null;
+  }
+
+  /** @returns {Date|null} When the snapshot this data was restored from was saved */
+  get snapshotAt() {
+    return this._snapshotAt !== null ? new Date(this._snapshotAt) : null;
+  }
+
   /** @returns {string} Robot serial number */
   get serial() {
     return this._robot.litterRobotSerial;
@@ -859,6 +1016,13 @@ class LitterRobot3Data {
     return this._robot.powerStatus || null;
   }
 
+  /** @returns {boolean|null} True if running on the backup battery, null if the power source is unknown */
+  get isOnBattery() {
+    if (this._robot.powerStatus === LitterRobot3Data.PowerStatus.DC) return true;
+    if (this._robot.powerStatus === LitterRobot3Data.PowerStatus.AC) return false;
+    return null;
+  }
+
   /** @returns {string|null} Device type */
   get deviceType() {
     return this._robot.deviceType || null;
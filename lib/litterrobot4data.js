@@ -14,6 +14,24 @@ class LitterRobot4Data {
   static Defaults = Object.freeze({
     DEFAULT_WASTE_DRAWER_THRESHOLD: 80,
     WEBSOCKET_INIT_DELAY: 3000,
+    ACTIVITY_POLL_INTERVAL: 10 * 60 * 1000,
+    ACTIVITY_REFRESH_DELAY: 30 * 1000,
+    ACTIVITY_FETCH_LIMIT: 50,
+    ACTIVITY_LOG_SIZE: 50,
+    ACTIVITY_INITIAL_LOOKBACK: 24 * 60 * 60 * 1000,
+    INSIGHTS_POLL_INTERVAL: 15 * 60 * 1000,
+    INSIGHTS_AVERAGE_DAYS: 7,
+    DIAGNOSTICS_POLL_INTERVAL: 6 * 60 * 60 * 1000,
+    DIAGNOSTICS_HISTORY_SIZE: 28,
+    MOTOR_TREND_MIN_SAMPLES: 8,
+    MOTOR_TREND_THRESHOLD_PERCENT: 20,
+    FIRMWARE_CHECK_INTERVAL: 60 * 60 * 1000,
+    DEFAULT_WEAK_SIGNAL_THRESHOLD: -70,
+    CONNECTIVITY_POLL_INTERVAL: 30 * 60 * 1000,
+    CONNECTIVITY_FETCH_LIMIT: 50,
+    CONNECTIVITY_LOG_SIZE: 50,
+    CONNECTIVITY_INITIAL_LOOKBACK: 7 * 24 * 60 * 60 * 1000,
+    COMMAND_CONFIRM_TIMEOUT: 20 * 1000,
   });
 
   // ============================================================================
@@ -199,11 +217,45 @@ class LitterRobot4Data {
     EMPTY: 'EMPTY',
   });
 
+  /** Activity categories used to group activity history entries */
+  static ActivityCategory = Object.freeze({
+    CAT_VISIT: 'cat_visit',
+    CLEAN_CYCLE: 'clean_cycle',
+    DRAWER_RESET: 'drawer_reset',
+    FAULT: 'fault',
+    OTHER: 'other',
+  });
+
+  /** Safety alert types raised separately from the generic problem alarm */
+  static SafetyAlertType = Object.freeze({
+    CAT_SENSOR_STUCK: 'cat_sensor_stuck',
+    PINCH: 'pinch',
+  });
+
+  /** Safety alert severities */
+  static SafetySeverity = Object.freeze({
+    CRITICAL: 'critical',
+    WARNING: 'warning',
+  });
+
+  /** Connectivity event types from the cloud lifecycle history */
+  static ConnectivityEventType = Object.freeze({
+    CONNECTED: 'connected',
+    DISCONNECTED: 'disconnected',
+  });
+
   /** Days of week array for sleep schedule calculations */
   static DAYS_OF_WEEK = Object.freeze([
     'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday',
   ]);
 
+  /** Maps sleep schedule day selections from flow cards to weekday names */
+  static SleepDayGroups = Object.freeze({
+    everyday: LitterRobot4Data.DAYS_OF_WEEK,
+    weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    weekend: ['Saturday', 'Sunday'],
+  });
+
   // ============================================================================
   // STATUS MAPPINGS
   // ============================================================================
@@ -268,6 +320,19 @@ class LitterRobot4Data {
     HMS: 'Motor fault (short circuit)',
   });
 
+  /** Maps stuck cat sensor and pinch states to safety alert descriptions */
+  static SafetyDescriptions = Object.freeze({
+    CAT_DETECT_STUCK: 'Cat sensor is stuck',
+    CAT_DETECT_STUCK_LASER: 'Curtain sensor is stuck',
+    CAT_DETECT_STUCK_LASER_DIRTY: 'Curtain sensor is stuck, the laser is dirty',
+    CAT_DETECT_STUCK_WEIGHT: 'Weight sensor is stuck, something may be resting in the globe',
+    PINCH_DETECT: 'Pinch detected',
+    PINCH_DETECT_FAULT: 'Pinch detected',
+    PINCH_DETECT_STARTUP: 'Pinch detected at startup',
+    FAULT_PINCH: 'Globe stopped on a pinch',
+    FAULT_OVER_TORQUE: 'Globe stopped on an obstruction',
+  });
+
   /** Maps problem codes to user-friendly descriptions for error reporting and troubleshooting */
   static ProblemDescriptions = Object.freeze({
     PD: 'Pinch detected',
@@ -293,6 +358,30 @@ class LitterRobot4Data {
     HOPPER_EMPTY: 'Hopper empty',
   });
 
+  /**
+   * Maps activity values (or measures) from getLitterRobot4Activity to a category
+   * and description. Values not listed here are logged with their raw value.
+   */
+  static ActivityDescriptions = Object.freeze({
+    catWeight: { category: 'cat_visit', description: 'Cat visit' },
+    robotStatusCatDetect: { category: 'cat_visit', description: 'Cat detected' },
+    robotCycleStatusDump: { category: 'clean_cycle', description: 'Clean cycle in progress' },
+    robotCycleStatusIdle: { category: 'clean_cycle', description: 'Clean cycle complete' },
+    odometerCleanCycles: { category: 'clean_cycle', description: 'Clean cycle complete' },
+    odometerEmptyCycles: { category: 'clean_cycle', description: 'Empty cycle complete' },
+    DFIFullFlagOn: { category: 'other', description: 'Drawer full' },
+    DFIFullFlagOff: { category: 'drawer_reset', description: 'Waste drawer reset' },
+    DFINumberOfCycles: { category: 'drawer_reset', description: 'Waste drawer reset' },
+    bonnetRemovedYes: { category: 'fault', description: 'Bonnet removed' },
+    catDetectStuckLaser: { category: 'fault', description: 'Cat sensor fault (laser)' },
+    catDetectStuckWeight: { category: 'fault', description: 'Cat sensor fault (weight)' },
+    pinchDetect: { category: 'fault', description: 'Pinch detected' },
+    globeMotorFault: { category: 'fault', description: 'Globe motor fault' },
+    powerTypeDC: { category: 'other', description: 'Running on battery backup' },
+    powerTypeAC: { category: 'other', description: 'Mains power restored' },
+    litterHopperDispensed: { category: 'other', description: 'Litter dispensed' },
+  });
+
   /** Maps internal command names to API endpoint commands for consistent robot control */
   static Commands = Object.freeze({
     CLEAN_CYCLE: 'cleanCycle',
@@ -316,6 +405,30 @@ class LitterRobot4Data {
     DISABLE_HOPPER: 'disableHopper',
   });
 
+  /**
+   * State checks that confirm a command took effect, keyed by command. Each
+   * receives the merged robot state and the command payload. Commands without
+   * an observable state change (like shortResetPress) are not listed.
+   */
+  static CommandConfirmations = Object.freeze({
+    cleanCycle: (robot) => robot.robotCycleStatus !== LitterRobot4Data.RobotCycleStatus.CYCLE_IDLE,
+    emptyCycle: (robot) => robot.robotCycleStatus !== LitterRobot4Data.RobotCycleStatus.CYCLE_IDLE,
+    keyPadLockOutOn: (robot) => robot.isKeypadLockout === true,
+    keyPadLockOutOff: (robot) => robot.isKeypadLockout === false,
+    nightLightModeOn: (robot) => robot.nightLightMode === LitterRobot4Data.NightLightMode.ON,
+    nightLightModeOff: (robot) => robot.nightLightMode === LitterRobot4Data.NightLightMode.OFF,
+    nightLightModeAuto: (robot) => robot.nightLightMode === LitterRobot4Data.NightLightMode.AUTO,
+    panelBrightnessLow: (robot) => robot.panelBrightnessHigh === 25,
+    panelBrightnessMed: (robot) => robot.panelBrightnessHigh === 50,
+    panelBrightnessHigh: (robot) => robot.panelBrightnessHigh === 100,
+    powerOn: (robot) => robot.unitPowerStatus === LitterRobot4Data.UnitPowerStatus.ON,
+    powerOff: (robot) => robot.unitPowerStatus === LitterRobot4Data.UnitPowerStatus.OFF,
+    setClumpTime: (robot, payload) => robot.cleanCycleWaitTime === payload?.clumpTime,
+    setNightLightValue: (robot, payload) => robot.nightLightBrightness === payload?.nightLightPower,
+    enableHopper: (robot) => robot.hopperStatus !== LitterRobot4Data.HopperStatus.DISABLED,
+    disableHopper: (robot) => robot.hopperStatus === LitterRobot4Data.HopperStatus.DISABLED,
+  });
+
   /** Centralized error messages for consistent error handling and user feedback */
   static ErrorMessages = Object.freeze({
     INVALID_ROBOT_DATA: 'Invalid robot data provided. Robot data must be an object.',
@@ -325,6 +438,11 @@ class LitterRobot4Data {
     INVALID_PANEL_BRIGHTNESS: 'Invalid panel brightness value',
     INVALID_NIGHT_LIGHT_BRIGHTNESS: 'Invalid night light brightness value',
     INVALID_NIGHT_LIGHT_MODE: 'Invalid night light mode value',
+    NO_FIRMWARE_UPDATE: 'No firmware update is available for this robot',
+    FIRMWARE_UPDATE_REJECTED: 'The robot did not accept the firmware update',
+    INVALID_SLEEP_TIME: 'Invalid sleep schedule time. Use HH:mm, e.g. 22:30',
+    INVALID_SLEEP_DAY: 'Invalid sleep schedule day',
+    INVALID_MAINTENANCE_TASK: 'Unknown maintenance task',
   });
 
   // ============================================================================
@@ -337,14 +455,16 @@ class LitterRobot4Data {
    * @param {Object} params
    * @param {Object} params.robot - Robot state object from API
    * @param {Object} [params.settings={}] - Optional settings for data formatting
+   * @param {number|null} [params.snapshotAt=null] - Time the data was saved when restored from a snapshot; marks the data as stale
    * @throws {Error} If required parameters are missing or invalid
    */
-  constructor({ robot, settings = {} } = {}) {
+  constructor({ robot, settings = {}, snapshotAt = null } = {}) {
     if (!robot || typeof robot !== 'object') {
       throw new Error(LitterRobot4Data.ErrorMessages.INVALID_ROBOT_DATA);
     }
 
     this._robot = robot;
+    this._snapshotAt = snapshotAt;
     this._settings = {
       use12hFormat: false,
       useUSDate: false,
@@ -543,6 +663,57 @@ class LitterRobot4Data {
     }
   }
 
+  /**
+   * Interprets a litterRobot4CompareFirmwareVersion response.
+   * @param {Object|null} raw - Firmware comparison from the API
+   * @returns {Object|null} { updateAvailable, components, latestVersion } or null when unknown
+   */
+  static parseFirmwareStatus(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const components = [
+      ['ESP', raw.isEspFirmwareUpdateNeeded],
+      ['PIC', raw.isPicFirmwareUpdateNeeded],
+      ['laser board', raw.isLaserboardFirmwareUpdateNeeded],
+    ].filter(([, needed]) => needed === true).map(([name]) => name);
+
+    const latest = raw.latestFirmware || {};
+    const latestVersion = LitterRobot4Data.formatFirmwareVersion({
+      espFirmware: latest.espFirmwareVersion,
+      picFirmwareVersion: latest.picFirmwareVersion,
+      laserBoardFirmwareVersion: latest.laserBoardFirmwareVersion,
+    });
+
+    return {
+      updateAvailable: components.length > 0,
+      components,
+      latestVersion: latestVersion === 'Loading...' ? null : latestVersion,
+    };
+  }
+
+  /**
+   * Checks whether the current hour in a timezone falls within a window of
+   * hours. Windows may wrap past midnight (e.g. 23 to 5).
+   * @param {number} startHour - First hour of the window (0-23)
+   * @param {number} endHour - Hour the window ends (0-23, exclusive)
+   * @param {string} [timezone] - IANA timezone
+   * @param {Date} [date=new Date()] - Moment to check
+   * @returns {boolean} True if the moment falls within the window
+   */
+  static isWithinHourWindow(startHour, endHour, timezone = null, date = new Date()) {
+    let hour;
+    try {
+      hour = parseInt(date.toLocaleString('en-US', { timeZone: timezone || 'UTC', hour: 'numeric', hourCycle: 'h23' }), 10);
+    } catch (err) {
+      hour = date.getUTCHours();
+    }
+
+    if (startHour === endHour) return false;
+    return startHour < endHour
+      ? hour >= startHour && hour < endHour
+      : hour >= startHour || hour < endHour;
+  }
+
   // ============================================================================
   // STATUS CODE DERIVATION
   // ============================================================================
@@ -724,6 +895,50 @@ class LitterRobot4Data {
     };
   }
 
+  /**
+   * Analyzes robot state for safety alerts that need attention beyond the
+   * generic problem alarm. A pinch while a cat is present is critical; a
+   * curtain sensor stuck on a dirty laser is only a cleaning reminder.
+   * @param {Object} robot - Robot data object
+   * @returns {Object} Object with catSensorStuck and pinch alerts ({ type, severity, description, catPresent } or null)
+   */
+  static analyzeSafety(robot) {
+    if (!robot) return { catSensorStuck: null, pinch: null };
+
+    const {
+      catDetect, pinchStatus, globeMotorFaultStatus, isLaserDirty, isCatDetectPending,
+    } = robot;
+    const { CatDetect, SafetyAlertType, SafetySeverity } = LitterRobot4Data;
+    const descriptions = LitterRobot4Data.SafetyDescriptions;
+    const catPresent = LitterRobot4Data.isCatDetected(robot)
+      || isCatDetectPending === true
+      || catDetect === CatDetect.CAT_DETECT_STUCK_WEIGHT;
+
+    let catSensorStuck = null;
+    if ([CatDetect.CAT_DETECT_STUCK, CatDetect.CAT_DETECT_STUCK_LASER, CatDetect.CAT_DETECT_STUCK_WEIGHT].includes(catDetect)) {
+      const dirtyLaser = catDetect === CatDetect.CAT_DETECT_STUCK_LASER && isLaserDirty === true;
+      catSensorStuck = {
+        type: SafetyAlertType.CAT_SENSOR_STUCK,
+        severity: dirtyLaser ? SafetySeverity.WARNING : SafetySeverity.CRITICAL,
+        description: descriptions[dirtyLaser ? 'CAT_DETECT_STUCK_LASER_DIRTY' : catDetect],
+        catPresent,
+      };
+    }
+
+    let pinch = null;
+    const pinchCause = descriptions[pinchStatus] ? pinchStatus : globeMotorFaultStatus;
+    if (['PINCH_DETECT', 'PINCH_DETECT_FAULT', 'PINCH_DETECT_STARTUP', 'FAULT_PINCH', 'FAULT_OVER_TORQUE'].includes(pinchCause)) {
+      pinch = {
+        type: SafetyAlertType.PINCH,
+        severity: catPresent ? SafetySeverity.CRITICAL : SafetySeverity.WARNING,
+        description: catPresent ? `${descriptions[pinchCause]} while a cat is present` : descriptions[pinchCause],
+        catPresent,
+      };
+    }
+
+    return { catSensorStuck, pinch };
+  }
+
   /**
    * Gets cached problem analysis, computing it if needed.
    * Ensures analyzeProblem() is only called once per data update cycle.
@@ -800,6 +1015,430 @@ class LitterRobot4Data {
     }
   }
 
+  /**
+   * Resolves a flow card day selection ("weekdays", "monday", ...) to weekday names.
+   * @param {string} selection - Day group or lowercase day name
+   * @returns {Array<string>} Weekday names as used in weekdaySleepModeEnabled
+   * @throws {Error} If the selection is unknown
+   */
+  static resolveSleepDays(selection) {
+    const group = LitterRobot4Data.SleepDayGroups[selection];
+    if (group) return [...group];
+
+    const day = LitterRobot4Data.DAYS_OF_WEEK.find((name) => name.toLowerCase() === String(selection).toLowerCase());
+    if (!day) {
+      throw new Error(LitterRobot4Data.ErrorMessages.INVALID_SLEEP_DAY);
+    }
+    return [day];
+  }
+
+  /**
+   * Parses an "HH:mm" time into minutes after midnight, the unit used by the
+   * sleep schedule.
+   * @param {string} value - Time of day
+   * @returns {number|null} Minutes after midnight, or null if invalid
+   */
+  static parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Formats minutes after midnight as "HH:mm".
+   * @param {number|string} minutes - Minutes after midnight
+   * @returns {string} Time of day
+   */
+  static formatTimeOfDay(minutes) {
+    const total = parseInt(minutes, 10) || 0;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Formats one day of the sleep schedule for device settings, e.g. "22:30-06:00" or "off".
+   * @param {Object|null} config - Day config ({ isEnabled, sleepTime, wakeTime })
+   * @returns {string} Display value
+   */
+  static formatSleepDay(config) {
+    if (!config?.isEnabled) return 'off';
+    return `${LitterRobot4Data.formatTimeOfDay(config.sleepTime)}-${LitterRobot4Data.formatTimeOfDay(config.wakeTime)}`;
+  }
+
+  /**
+   * Parses a sleep schedule day from device settings ("22:30-06:00" or "off").
+   * @param {string} value - Display value
+   * @returns {Object} Changes for buildSleepSchedule ({ enabled, sleepTime, wakeTime })
+   * @throws {Error} If the value is not "off" or a valid time range
+   */
+  static parseSleepDay(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (text === '' || text === 'off') return { enabled: false };
+
+    const [sleep, wake] = text.split('-');
+    const sleepTime = LitterRobot4Data.parseTimeOfDay(sleep);
+    const wakeTime = LitterRobot4Data.parseTimeOfDay(wake);
+    if (sleepTime === null || wakeTime === null) {
+      throw new Error(LitterRobot4Data.ErrorMessages.INVALID_SLEEP_TIME);
+    }
+    return { enabled: true, sleepTime, wakeTime };
+  }
+
+  /**
+   * Builds a complete weekdaySleepModeEnabled object with changes applied to
+   * the given days. Days that are not changed keep their current settings, as
+   * the state update replaces the whole schedule.
+   * @param {Object|null} current - Current weekdaySleepModeEnabled from the robot
+   * @param {Array<string>} days - Weekday names to change
+   * @param {Object} changes - Changes to apply
+   * @param {boolean} [changes.enabled] - Enable or disable sleep mode on these days
+   * @param {number} [changes.sleepTime] - Sleep time in minutes after midnight
+   * @param {number} [changes.wakeTime] - Wake time in minutes after midnight
+   * @returns {Object} Updated schedule for all seven days
+   */
+  static buildSleepSchedule(current, days, { enabled, sleepTime, wakeTime } = {}) {
+    const schedule = {};
+    for (const day of LitterRobot4Data.DAYS_OF_WEEK) {
+      const existing = current?.[day] || {};
+      const config = {
+        isEnabled: existing.isEnabled === true,
+        sleepTime: parseInt(existing.sleepTime, 10) || 0,
+        wakeTime: parseInt(existing.wakeTime, 10) || 0,
+      };
+
+      if (days.includes(day)) {
+        if (typeof enabled === 'boolean') config.isEnabled = enabled;
+        if (typeof sleepTime === 'number') config.sleepTime = sleepTime;
+        if (typeof wakeTime === 'number') config.wakeTime = wakeTime;
+      }
+      schedule[day] = config;
+    }
+    return schedule;
+  }
+
+  // ============================================================================
+  // ACTIVITY HISTORY
+  // ============================================================================
+
+  /**
+   * Converts a raw activity row from getLitterRobot4Activity into a log entry.
+   * Rows are matched on their value first and their measure second, so both
+   * state transitions and measurements (like cat weight) are categorized.
+   * @param {Object} row - Activity row from the API
+   * @returns {Object|null} Entry with timestamp, category, description and value, or null if invalid
+   */
+  static parseActivity(row) {
+    if (!row?.timestamp) return null;
+
+    const timestamp = new Date(row.timestamp);
+    if (Number.isNaN(timestamp.getTime())) return null;
+
+    const mapped = LitterRobot4Data.ActivityDescriptions[row.value]
+      || LitterRobot4Data.ActivityDescriptions[row.measure];
+
+    let category = mapped?.category || LitterRobot4Data.ActivityCategory.OTHER;
+    let description = mapped?.description || row.valueString || row.value || row.measure || 'Unknown activity';
+
+    // Unmapped fault values still belong in the fault category
+    if (!mapped && /fault|stuck|pinch/i.test(`${row.value || ''}${row.measure || ''}`)) {
+      category = LitterRobot4Data.ActivityCategory.FAULT;
+    }
+
+    if (row.measure === 'catWeight') {
+      const weight = parseFloat(row.value);
+      if (!Number.isNaN(weight) && weight > 0) {
+        description = `${description} (${Math.round(convertLbsToGrams(weight))} g)`;
+      }
+    }
+
+    return {
+      timestamp: timestamp.toISOString(),
+      category,
+      description,
+      value: row.value ?? null,
+    };
+  }
+
+  /**
+   * Merges new activity entries into an existing log, newest first, without duplicates.
+   * @param {Array<Object>} log - Existing log entries (newest first)
+   * @param {Array<Object>} entries - New parsed entries
+   * @param {number} [maxSize] - Maximum number of entries to keep
+   * @returns {Array<Object>} Merged log (newest first)
+   */
+  static mergeActivityLog(log, entries, maxSize = LitterRobot4Data.Defaults.ACTIVITY_LOG_SIZE) {
+    const seen = new Set();
+    return [...entries, ...(log || [])]
+      .filter((entry) => {
+        const key = `${entry.timestamp}|${entry.category}|${entry.description}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, maxSize);
+  }
+
+  /**
+   * Formats an activity entry as a single line for device settings.
+   * @param {Object} entry - Parsed activity entry
+   * @param {Object} opts - Formatting options
+   * @param {boolean} [opts.use12hFormat=false] - 12-hour time display
+   * @param {string} [opts.timezone] - Timezone for conversion
+   * @returns {string} Formatted line (e.g. "March 3, 2026 at 08:15 AM - Cat detected")
+   */
+  static formatActivityEntry(entry, { use12hFormat = false, timezone = null } = {}) {
+    const time = LitterRobot4Data.formatTime(entry.timestamp, { use12hFormat, timezone }) || entry.timestamp;
+    return `${time} - ${entry.description}`;
+  }
+
+  // ============================================================================
+  // CONNECTIVITY HISTORY
+  // ============================================================================
+
+  /**
+   * Converts a raw lifecycle row from getLitterRobot4Lifecycle into a
+   * connectivity log entry. Rows carry the AWS IoT lifecycle event in their
+   * measure or value; a disconnect reason always marks a disconnect.
+   * @param {Object} row - Lifecycle row from the API
+   * @returns {Object|null} Entry with timestamp, type, reason, clientInitiated and sessionId, or null if invalid
+   */
+  static parseConnectivityEvent(row) {
+    if (!row?.timestamp) return null;
+
+    const timestamp = new Date(row.timestamp);
+    if (Number.isNaN(timestamp.getTime())) return null;
+
+    const event = `${row.measure || ''} ${row.value || ''}`;
+    let type = null;
+    if (row.disconnectReason || /disconnect/i.test(event)) {
+      type = LitterRobot4Data.ConnectivityEventType.DISCONNECTED;
+    } else if (/connect/i.test(event)) {
+      type = LitterRobot4Data.ConnectivityEventType.CONNECTED;
+    }
+    if (!type) return null;
+
+    return {
+      timestamp: timestamp.toISOString(),
+      type,
+      reason: row.disconnectReason || null,
+      clientInitiated: String(row.clientInitiatedDisconnect).toLowerCase() === 'true',
+      sessionId: row.sessionId || null,
+    };
+  }
+
+  /**
+   * Merges new connectivity entries into an existing log, newest first, without duplicates.
+   * @param {Array<Object>} log - Existing log entries (newest first)
+   * @param {Array<Object>} entries - New parsed entries
+   * @param {number} [maxSize] - Maximum number of entries to keep
+   * @returns {Array<Object>} Merged log (newest first)
+   */
+  static mergeConnectivityLog(log, entries, maxSize = LitterRobot4Data.Defaults.CONNECTIVITY_LOG_SIZE) {
+    const seen = new Set();
+    return [...entries, ...(log || [])]
+      .filter((entry) => {
+        const key = `${entry.timestamp}|${entry.type}|${entry.sessionId}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, maxSize);
+  }
+
+  /**
+   * Describes why the robot disconnected, e.g. "Keep alive timeout".
+   * @param {Object} entry - Parsed connectivity entry
+   * @returns {string} Human readable reason
+   */
+  static describeDisconnectReason(entry) {
+    if (entry.clientInitiated) return 'Disconnected by the robot';
+    if (!entry.reason) return 'Unknown reason';
+    const reason = entry.reason.replace(/^MQTT_/, '').replace(/_/g, ' ').toLowerCase();
+    return reason.charAt(0).toUpperCase() + reason.slice(1);
+  }
+
+  /**
+   * Formats a connectivity entry as a single line for device settings.
+   * @param {Object} entry - Parsed connectivity entry
+   * @param {Object} opts - Formatting options
+   * @param {boolean} [opts.use12hFormat=false] - 12-hour time display
+   * @param {string} [opts.timezone] - Timezone for conversion
+   * @returns {string} Formatted line (e.g. "March 3, 2026 at 08:15 AM - Disconnected (Keep alive timeout)")
+   */
+  static formatConnectivityEntry(entry, { use12hFormat = false, timezone = null } = {}) {
+    const time = LitterRobot4Data.formatTime(entry.timestamp, { use12hFormat, timezone }) || entry.timestamp;
+    if (entry.type === LitterRobot4Data.ConnectivityEventType.CONNECTED) {
+      return `${time} - Connected`;
+    }
+    return `${time} - Disconnected (${LitterRobot4Data.describeDisconnectReason(entry)})`;
+  }
+
+  // ============================================================================
+  // USAGE INSIGHTS
+  // ============================================================================
+
+  /**
+   * Computes the UTC offset of a timezone in seconds, as expected by the
+   * insights queries.
+   * @param {string} timezone - IANA timezone (e.g. "Europe/Amsterdam")
+   * @param {Date} [date=new Date()] - Moment to compute the offset for (DST aware)
+   * @returns {number} Offset in seconds (positive east of UTC), 0 if unknown
+   */
+  static getTimezoneOffsetSeconds(timezone, date = new Date()) {
+    if (!timezone) return 0;
+    try {
+      const local = new Date(date.toLocaleString('en-US', { timeZone: timezone }));
+      const utc = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+      return Math.round((local - utc) / 1000);
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  /**
+   * Returns the calendar date in a timezone as YYYY-MM-DD.
+   * @param {string} timezone - IANA timezone
+   * @param {Object} [opts] - Options
+   * @param {Date} [opts.date=new Date()] - Reference moment
+   * @param {number} [opts.daysAgo=0] - Number of days to go back
+   * @returns {string} Local date string
+   */
+  static getLocalDate(timezone, { date = new Date(), daysAgo = 0 } = {}) {
+    const reference = new Date(date.getTime() - daysAgo * 24 * 60 * 60 * 1000);
+    try {
+      return reference.toLocaleDateString('en-CA', { timeZone: timezone || 'UTC' });
+    } catch (err) {
+      return reference.toISOString().slice(0, 10);
+    }
+  }
+
+  /**
+   * Derives the daily usage values from insights responses.
+   * @param {Object} params
+   * @param {Object|null} params.today - Insights starting today
+   * @param {Object|null} params.week - Insights covering the averaging period
+   * @param {string} [params.timezone] - Robot timezone used to find today's entry
+   * @returns {Object} Object with cyclesToday, cycles7dAverage and catDetectionsToday (null when unknown)
+   */
+  static summarizeInsights({ today, week, timezone = null }) {
+    const todayDate = LitterRobot4Data.getLocalDate(timezone);
+    const history = Array.isArray(week?.cycleHistory) ? week.cycleHistory : [];
+    const todayEntry = history.find((entry) => String(entry.date).slice(0, 10) === todayDate);
+
+    let cyclesToday = null;
+    if (typeof today?.totalCycles === 'number') {
+      cyclesToday = today.totalCycles;
+    } else if (todayEntry) {
+      cyclesToday = todayEntry.numberOfCycles;
+    }
+
+    let cycles7dAverage = null;
+    if (history.length > 0) {
+      const days = LitterRobot4Data.Defaults.INSIGHTS_AVERAGE_DAYS;
+      const total = history
+        .slice(-days)
+        .reduce((sum, entry) => sum + (Number(entry.numberOfCycles) || 0), 0);
+      cycles7dAverage = Math.round((total / days) * 10) / 10;
+    } else if (typeof week?.averageCycles === 'number') {
+      cycles7dAverage = Math.round(week.averageCycles * 10) / 10;
+    }
+
+    const catDetectionsToday = typeof today?.totalCatDetections === 'number'
+      ? today.totalCatDetections
+      : null;
+
+    return { cyclesToday, cycles7dAverage, catDetectionsToday };
+  }
+
+  // ============================================================================
+  // UNIT DIAGNOSTICS
+  // ============================================================================
+
+  /**
+   * Normalizes a getUnitDiagnosticsBySerial response.
+   * The API does not say when the diagnostics were recorded, so the time they
+   * were fetched is used for display, and sampleKey (built from the values
+   * that change with every clean cycle) tells new samples from repeated ones.
+   * @param {Object|null} raw - Diagnostics from the API
+   * @returns {Object|null} Diagnostics with numeric values (null when unknown)
+   */
+  static parseDiagnostics(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const num = (value) => {
+      const parsed = parseFloat(value);
+      return Number.isNaN(parsed) ? null : parsed;
+    };
+
+    const phaseAmps = [raw.avgMotorAmpsDump, raw.avgMotorAmpsDFI, raw.avgMotorAmpsLevel, raw.avgMotorAmpsHome]
+      .map(num)
+      .filter((value) => value !== null);
+    const globeMotorAmps = num(raw.globeMotorAmperes);
+    const globeMotorAvgAmps = phaseAmps.length
+      ? Math.round((phaseAmps.reduce((sum, value) => sum + value, 0) / phaseAmps.length) * 100) / 100
+      : globeMotorAmps;
+
+    const distances = raw.ToFSensorDistances || {};
+    const motorFault = {
+      amperage: num(raw.motorFaultAmperage),
+      voltage: num(raw.motorFaultVoltage),
+      speed: num(raw.motorFaultSpeed),
+      slope: num(raw.motorFaultSlope),
+      cycleTime: num(raw.motorFaultCycleTime),
+    };
+    const hasMotorFault = Object.values(motorFault).some((value) => value !== null && value !== 0);
+
+    const cycleTime = num(raw.cycleTimerComplete);
+    const dumpTime = num(raw.cycleTimerDump);
+    const homeTime = num(raw.cycleTimerHome);
+
+    return {
+      timestamp: new Date().toISOString(),
+      sampleKey: [raw.avgMotorAmpsDump, raw.avgMotorAmpsDFI, raw.avgMotorAmpsLevel, raw.avgMotorAmpsHome, cycleTime, dumpTime, homeTime].join('|'),
+      globeMotorAmps,
+      globeMotorAvgAmps,
+      hopperMotorAmps: num(raw.hopperMotorAmperes),
+      tofLeftDistance: num(distances.ToFSensorDistanceLeft),
+      tofMiddleDistance: num(distances.ToFSensorDistanceMiddle),
+      tofRightDistance: num(distances.ToFSensorDistanceRight),
+      globeRotationSpeed: num(raw.globeRotationSpeed),
+      cycleTime,
+      dumpTime,
+      homeTime,
+      motorFault: hasMotorFault ? motorFault : null,
+    };
+  }
+
+  /**
+   * Compares the average globe motor current of the newest half of the
+   * diagnostics history with the oldest half. A globe that draws more current
+   * over time is a typical sign of a motor or gear that is about to jam.
+   * @param {Array<Object>} history - Parsed diagnostics, oldest first
+   * @returns {Object|null} { increasePercent, recentAmps, baselineAmps } or null with too few samples
+   */
+  static calculateMotorTrend(history) {
+    const samples = (history || [])
+      .map((entry) => entry.globeMotorAvgAmps)
+      .filter((value) => typeof value === 'number' && value > 0);
+    if (samples.length < LitterRobot4Data.Defaults.MOTOR_TREND_MIN_SAMPLES) return null;
+
+    const half = Math.floor(samples.length / 2);
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const baselineAmps = average(samples.slice(0, half));
+    const recentAmps = average(samples.slice(-half));
+
+    return {
+      increasePercent: Math.round(((recentAmps - baselineAmps) / baselineAmps) * 1000) / 10,
+      recentAmps: Math.round(recentAmps * 100) / 100,
+      baselineAmps: Math.round(baselineAmps * 100) / 100,
+    };
+  }
+
   // ============================================================================
   // INSTANCE GETTERS (Basic Properties)
   // ============================================================================
@@ -814,6 +1453,16 @@ class LitterRobot4Data {
     return this._robot.unitId;
   }
 
+  /** @returns {boolean} True while the data comes from a snapshot and no live update has arrived yet */
+  get isStale() {
+    return this._snapshotAt !== null;
+  }
+
+  /** @returns {Date|null} When the snapshot this data was restored from was saved */
+  get snapshotAt() {
+    return this._snapshotAt !== null ? new Date(this._snapshotAt) : null;
+  }
+
   // ============================================================================
   // INSTANCE GETTERS (Status and State)
   // ============================================================================
@@ -902,11 +1551,28 @@ class LitterRobot4Data {
     return this._robot.unitPowerStatus !== 'OFF';
   }
 
+  /** @returns {string|null} Power source (AC or DC) */
+  get powerType() {
+    return this._robot.unitPowerType || null;
+  }
+
+  /** @returns {boolean|null} True if running on the backup battery, null if the power source is unknown */
+  get isOnBattery() {
+    if (this._robot.unitPowerType === LitterRobot4Data.UnitPowerType.DC) return true;
+    if (this._robot.unitPowerType === LitterRobot4Data.UnitPowerType.AC) return false;
+    return null;
+  }
+
   /** @returns {boolean} True if there are known problems */
   get hasProblems() {
     return this._getProblemAnalysis().hasProblems;
   }
 
+  /** @returns {Object} Safety alerts from analyzeSafety() */
+  get safetyAlerts() {
+    return LitterRobot4Data.analyzeSafety(this._robot);
+  }
+
   /** @returns {boolean} True if bonnet is removed */
   get isBonnetRemoved() {
     return this._robot.isBonnetRemoved === true;
@@ -932,16 +1598,42 @@ class LitterRobot4Data {
     return typeof level === 'number' ? Math.round(level * 100) : null;
   }
 
+  /** @returns {string|null} Litter level state as capability value (e.g. "optimal") */
+  get litterLevelState() {
+    const state = this._robot.litterLevelState;
+    return Object.values(LitterRobot4Data.LitterLevelState).includes(state) ? state.toLowerCase() : null;
+  }
+
   /** @returns {number|null} Waste drawer level as percentage */
   get wasteDrawerLevelPercentage() {
     return this._robot.DFILevelPercent !== undefined ? this._robot.DFILevelPercent : null;
   }
 
+  /** @returns {number|null} Clean cycles since the waste drawer was last emptied */
+  get drawerCycleCount() {
+    return typeof this._robot.DFINumberOfCycles === 'number' ? this._robot.DFINumberOfCycles : null;
+  }
+
   /** @returns {number} Total clean cycles performed */
   get totalCleanCycles() {
     return this._robot.odometerCleanCycles || 0;
   }
 
+  /** @returns {number|null} Clean cycles since the carbon filter was last reset on the robot */
+  get filterCycles() {
+    return typeof this._robot.odometerFilterCycles === 'number' ? this._robot.odometerFilterCycles : null;
+  }
+
+  /** @returns {number|null} Total empty cycles performed */
+  get emptyCycles() {
+    return typeof this._robot.odometerEmptyCycles === 'number' ? this._robot.odometerEmptyCycles : null;
+  }
+
+  /** @returns {number|null} Total number of power cycles */
+  get powerCycles() {
+    return typeof this._robot.odometerPowerCycles === 'number' ? this._robot.odometerPowerCycles : null;
+  }
+
   /** @returns {number|null} Number of scoops saved */
   get scoopsSavedCount() {
     return this._robot.scoopsSavedCount || null;
@@ -1020,9 +1712,9 @@ class LitterRobot4Data {
     return null;
   }
 
-  /** @returns {number|null} WiFi signal strength */
+  /** @returns {number|null} WiFi signal strength in dBm */
   get wifiRssi() {
-    return this._robot.wifiRssi || null;
+    return typeof this._robot.wifiRssi === 'number' && this._robot.wifiRssi !== 0 ? this._robot.wifiRssi : null;
   }
 
   /** @returns {number|null} Weight sensor reading */
@@ -0,0 +1,89 @@
+/**
+ * @module maintenance
+ * Tracks recurring Litter-Robot maintenance tasks (carbon filter, laser
+ * cleaning, deep clean) against configurable day and cycle intervals.
+ */
+
+/**
+ * Default maintenance configuration. An interval of 0 disables that limit.
+ */
+const MAINTENANCE_DEFAULTS = Object.freeze({
+  CHECK_INTERVAL: 60 * 60 * 1000,
+  FILTER_DAYS: 90,
+  FILTER_CYCLES: 0,
+  LASER_DAYS: 30,
+  DEEP_CLEAN_DAYS: 30,
+});
+
+/**
+ * Maintenance task constants used as flow card values and tokens.
+ */
+const MAINTENANCE_TASKS = Object.freeze({
+  FILTER: 'filter',
+  LASER: 'laser',
+  DEEP_CLEAN: 'deep_clean',
+});
+
+/**
+ * Human-readable maintenance task names.
+ */
+const MAINTENANCE_TASK_NAMES = Object.freeze({
+  filter: 'Replace carbon filter',
+  laser: 'Clean laser sensors',
+  deep_clean: 'Deep clean',
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out how far a task is from being due. A task is due when either
+ * interval is used up, or immediately when the robot itself reports it.
+ *
+ * @param {Object} params
+ * @param {number} [params.intervalDays=0] - Days between runs (0 disables)
+ * @param {number} [params.intervalCycles=0] - Clean cycles between runs (0 disables)
+ * @param {number} params.doneAt - Time the task was last done in milliseconds
+ * @param {number|null} [params.cyclesSince=null] - Clean cycles since the task was last done
+ * @param {boolean} [params.forceDue=false] - Whether the robot reports the task is needed now
+ * @param {number} [params.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} Status with daysRemaining, cyclesRemaining (null when not tracked), isDue and reason
+ */
+function evaluateMaintenanceTask({
+  intervalDays = 0,
+  intervalCycles = 0,
+  doneAt,
+  cyclesSince = null,
+  forceDue = false,
+  now = Date.now(),
+}) {
+  const daysSince = Math.max(0, (now - doneAt) / DAY_MS);
+  const daysRemaining = intervalDays > 0
+    ? Math.max(0, Math.round((intervalDays - daysSince) * 10) / 10)
+    : null;
+  const cyclesRemaining = intervalCycles > 0 && typeof cyclesSince === 'number'
+    ? Math.max(0, intervalCycles - cyclesSince)
+    : null;
+
+  let reason = null;
+  if (forceDue) {
+    reason = 'Reported by the robot';
+  } else if (cyclesRemaining === 0) {
+    reason = `${cyclesSince} clean cycles since last done`;
+  } else if (daysRemaining === 0) {
+    reason = `${Math.floor(daysSince)} days since last done`;
+  }
+
+  return {
+    daysRemaining,
+    cyclesRemaining,
+    isDue: reason !== null,
+    reason,
+  };
+}
+
+module.exports = {
+  MAINTENANCE_DEFAULTS,
+  MAINTENANCE_TASKS,
+  MAINTENANCE_TASK_NAMES,
+  evaluateMaintenanceTask,
+};
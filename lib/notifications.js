@@ -160,6 +160,90 @@ async function createUpdateNotification(device, homey) {
   await notificationPromise;
 }
 
+/**
+ * Creates a notification when a firmware update becomes available for a robot.
+ * Notifies once per firmware version using persistent storage.
+ *
+ * @param {Object} device - Device instance (must have getStoreValue, setStoreValue, getName methods)
+ * @param {Object} homey - Homey instance for creating notifications
+ * @param {Object} firmware - Parsed firmware status
+ * @param {string|null} firmware.latestVersion - Latest firmware version
+ * @param {Array<string>} firmware.components - Components that need an update
+ * @returns {Promise<void>}
+ */
+async function createFirmwareUpdateNotification(device, homey, { latestVersion, components }) {
+  try {
+    const notifiedVersion = await device.getStoreValue('firmware_update_notification_version');
+    const version = latestVersion || components.join(',');
+    if (notifiedVersion === version) {
+      return;
+    }
+
+    const deviceName = device.getName() || 'Litter-Robot';
+    const message = latestVersion
+      ? `A firmware update (${latestVersion}) is available for ${deviceName} ⬆️`
+      : `A firmware update is available for ${deviceName} ⬆️`;
+
+    await homey.notifications.createNotification({
+      excerpt: message,
+    });
+
+    await device.setStoreValue('firmware_update_notification_version', version);
+
+    homey.log(`[Notifications] ${colorize(LOG_COLORS.SUCCESS, `Created firmware update notification for ${deviceName}`)}`);
+  } catch (error) {
+    homey.error(`[Notifications] ${colorize(LOG_COLORS.ERROR, 'Failed to create firmware update notification:')}`, error);
+  }
+}
+
+/**
+ * Creates a timeline notification for a safety alert such as a pinch or a
+ * stuck cat sensor. Callers only invoke this when an alert becomes active.
+ *
+ * @param {Object} device - Device instance (must have getName method)
+ * @param {Object} homey - Homey instance for creating notifications
+ * @param {Object} alert - Safety alert from LitterRobot4Data.analyzeSafety()
+ * @param {string} alert.severity - Alert severity ("critical" or "warning")
+ * @param {string} alert.description - Human-readable alert description
+ * @returns {Promise<void>}
+ */
+async function createSafetyNotification(device, homey, { severity, description }) {
+  try {
+    const deviceName = device.getName() || 'Litter-Robot';
+    const message = severity === 'critical'
+      ? `🚨 ${deviceName}: ${description}. Check the robot now`
+      : `⚠️ ${deviceName}: ${description}`;
+
+    await homey.notifications.createNotification({
+      excerpt: message,
+    });
+
+    homey.log(`[Notifications] ${colorize(LOG_COLORS.SUCCESS, `Created ${severity} safety notification for ${deviceName}`)}`);
+  } catch (error) {
+    homey.error(`[Notifications] ${colorize(LOG_COLORS.ERROR, 'Failed to create safety notification:')}`, error);
+  }
+}
+
+/**
+ * Creates a timeline notification asking the user to sign in to a Whisker account again.
+ * Callers only invoke this once per lost session.
+ *
+ * @param {Object} homey - Homey instance for creating notifications
+ * @param {string} account - E-mail address (or ID) of the account that needs a new login
+ * @returns {Promise<void>}
+ */
+async function createReauthNotification(homey, account) {
+  try {
+    await homey.notifications.createNotification({
+      excerpt: homey.__('reauth.notification', { account }),
+    });
+
+    homey.log(`[Notifications] ${colorize(LOG_COLORS.SUCCESS, 'Created re-login notification')}`);
+  } catch (error) {
+    homey.error(`[Notifications] ${colorize(LOG_COLORS.ERROR, 'Failed to create re-login notification:')}`, error);
+  }
+}
+
 /**
  * Handles capability errors with consistent messaging.
  * Detects "Invalid Capability" errors and logs appropriate messages.
@@ -192,6 +276,9 @@ function handleCapabilityError(err, capability, action, logger) {
 module.exports = {
   createCatVisitNotification,
   createUpdateNotification,
+  createFirmwareUpdateNotification,
+  createSafetyNotification,
+  createReauthNotification,
   handleCapabilityError,
   WEIGHT_MATCH_TOLERANCE,
 };
@@ -36,12 +36,33 @@ class PetData {
     UNKNOWN: 'Unknown',
   });
 
+  /** Weight trend configuration */
+  static WeightTrend = Object.freeze({
+    PERIODS: [7, 30],
+    HISTORY_LIMIT: 200,
+    AVERAGING_WINDOW_MS: 24 * 60 * 60 * 1000,
+    REFRESH_INTERVAL: 6 * 60 * 60 * 1000,
+    DEFAULT_THRESHOLD_PERCENT: 5,
+  });
+
+  /**
+   * Matching of robot visits to weight readings when reassigning visits.
+   * The robot's activity timestamp and the pet's weight reading are recorded
+   * separately and can differ by a few seconds.
+   */
+  static VisitMatch = Object.freeze({
+    TIMESTAMP_TOLERANCE_MS: 2 * 60 * 1000,
+    HISTORY_LIMIT: 50,
+  });
+
   /** Centralized error messages for consistent error handling */
   static ErrorMessages = Object.freeze({
     INVALID_PET_DATA: 'Invalid pet data provided. Pet data must be an object.',
     MISSING_PET_ID: 'Pet data is missing required petId field.',
     INVALID_BIRTHDAY: 'Invalid birthday format provided.',
     INVALID_WEIGHT: 'Invalid weight value provided.',
+    VISIT_NOT_FOUND: 'No cat visit found to reassign.',
+    PET_NOT_FOUND: 'Pet device not found.',
   });
 
   // ============================================================================
@@ -53,9 +74,10 @@ class PetData {
    * @param {Object} params
    * @param {Object} params.pet - Pet data object from API
    * @param {Object} [params.settings={}] - Optional settings for formatting
+   * @param {number|null} [params.snapshotAt=null] - Time the data was saved when restored from a snapshot; marks the data as stale
    * @throws {Error} If required parameters are missing or invalid
    */
-  constructor({ pet, settings = {} } = {}) {
+  constructor({ pet, settings = {}, snapshotAt = null } = {}) {
     // Validate required parameters
     if (!pet || typeof pet !== 'object') {
       throw new Error(PetData.ErrorMessages.INVALID_PET_DATA);
@@ -65,6 +87,7 @@ class PetData {
     }
 
     this._pet = pet;
+    this._snapshotAt = snapshotAt;
     this._settings = {
       use12hFormat: false,
       useUSDate: false,
@@ -236,6 +259,70 @@ class PetData {
     return daysUntilDate(birthdayStr);
   }
 
+  /**
+   * Calculate the weight change over a period from weight history.
+   * Individual readings vary by visit, so both ends of the period use the
+   * average of the readings in the 24 hours before that point.
+   * @param {Array<Object>} history - Weight readings ({ weight in lbs, timestamp })
+   * @param {number} days - Length of the period in days
+   * @param {Date} [now=new Date()] - End of the period
+   * @returns {Object|null} { grams, percent } or null if there are not enough readings
+   */
+  static calculateWeightTrend(history, days, now = new Date()) {
+    const readings = (history || [])
+      .filter((r) => typeof r.weight === 'number' && r.weight > 0 && !Number.isNaN(new Date(r.timestamp).getTime()))
+      .map((r) => ({ weight: r.weight, time: new Date(r.timestamp).getTime() }))
+      .sort((a, b) => a.time - b.time);
+
+    if (readings.length < 2) return null;
+
+    const averageBefore = (time) => {
+      const window = readings.filter((r) => r.time <= time && r.time > time - PetData.WeightTrend.AVERAGING_WINDOW_MS);
+      if (window.length === 0) return null;
+      return window.reduce((sum, r) => sum + r.weight, 0) / window.length;
+    };
+
+    const latest = readings[readings.length - 1];
+    const start = now.getTime() - days * 24 * 60 * 60 * 1000;
+
+    // Use the last readings before the period started, or the first readings inside it
+    const before = readings.filter((r) => r.time <= start);
+    const referenceTime = before.length > 0 ? before[before.length - 1].time : readings[0].time;
+    if (referenceTime >= latest.time) return null;
+
+    const current = averageBefore(latest.time);
+    const reference = averageBefore(referenceTime);
+    if (!current || !reference) return null;
+
+    const grams = Math.round(convertLbsToGrams(current) - convertLbsToGrams(reference));
+    const percent = Math.round(((current - reference) / reference) * 1000) / 10;
+    return { grams, percent };
+  }
+
+  /**
+   * Finds the weight reading that belongs to a robot visit.
+   * @param {Array<Object>} history - Weight readings ({ timestamp, robotSerial, weight })
+   * @param {string} robotSerial - Serial of the robot that recorded the visit
+   * @param {string|Date} timestamp - Time of the visit
+   * @returns {Object|null} Closest reading within the tolerance, or null
+   */
+  static findVisitReading(history, robotSerial, timestamp) {
+    const visitTime = new Date(timestamp).getTime();
+    if (Number.isNaN(visitTime)) return null;
+
+    let closest = null;
+    let smallestDifference = PetData.VisitMatch.TIMESTAMP_TOLERANCE_MS;
+    for (const reading of history || []) {
+      if (reading.robotSerial && String(reading.robotSerial) !== String(robotSerial)) continue;
+      const difference = Math.abs(new Date(reading.timestamp).getTime() - visitTime);
+      if (difference <= smallestDifference) {
+        smallestDifference = difference;
+        closest = reading;
+      }
+    }
+    return closest;
+  }
+
   // ============================================================================
   // MAPPING METHODS
   // ============================================================================
@@ -281,6 +368,16 @@ class PetData {
     return this._pet.petId;
   }
 
+  /** @returns {boolean} True while the data comes from a snapshot and no live update has arrived yet */
+  get isStale() {
+    return this._snapshotAt !== null;
+  }
+
+  /** @returns {Date|null} When the snapshot this data was restored from was saved */
+  get snapshotAt() {
+    return this._snapshotAt !== null ? new Date(this._snapshotAt) : null;
+  }
+
   /** @returns {string} Pet image URL */
   get imageUrl() {
     return this._pet.s3ImageURL;
@@ -389,6 +486,7 @@ class PetData {
     }
 
     this._pet = { ...this._pet, ...newPetData };
+    this._snapshotAt = null;
     this._invalidateCacheIfNeeded();
   }
 }
@@ -1,4 +1,5 @@
 const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
 const WebSocket = require('ws');
 const {
   CognitoUserPool,
@@ -15,13 +16,12 @@ const {
   decodeJwt, getUnixTimestamp, decodeBase64, getTokenExpirationInfo, TOKEN_CONFIG,
 } = require('./utils');
 const {
-  emitDataReceived, emitConnected, emitDisconnected, emitError,
+  emitDataReceived, emitConnected, emitDisconnected, emitError, emitAuthenticationFailed,
 } = require('./event');
 const {
   WhiskerApiException, WhiskerTokenException, WhiskerAuthenticationException, WhiskerLoginException,
-  getCognitoErrorMessage, isCognitoWarningError,
+  getCognitoErrorMessage, isCognitoWarningError, getRefreshTokenRejection,
 } = require('./exceptions');
-const TokenStore = require('./tokenstore');
 
 /**
  * @module session
@@ -39,8 +39,46 @@ const ENDPOINTS = {
   LR4_WS: 'wss://lr4.iothings.site/graphql',
   LR3: 'https://v2.api.whisker.iothings.site',
   LR3_WS: 'https://8s1fz54a82.execute-api.us-east-1.amazonaws.com/prod',
+  FEEDER: 'https://cognito.hasura.iothings.site/v1/graphql',
+  FEEDER_COMMAND: 'https://42nk7qrhdg.execute-api.us-east-1.amazonaws.com/prod/command/feeder',
 };
 
+/** Connection id of the WebSocket shared by all LR4 robots on the account */
+const LR4_CONNECTION_ID = 'lr4_shared';
+
+/** GraphQL subscription for the state of one LR4 robot */
+const LR4_STATE_SUBSCRIPTION = `
+  subscription litterRobot4StateSubscriptionBySerial($serial: String!) {
+    litterRobot4StateSubscriptionBySerial(serial: $serial) {
+      unitId, name, serial, userId, espFirmware, picFirmwareVersion,
+      picFirmwareVersionHex, laserBoardFirmwareVersion, laserBoardFirmwareVersionHex,
+      wifiRssi, unitPowerType, catWeight, displayCode, unitTimezone, unitTime,
+      cleanCycleWaitTime, isKeypadLockout, nightLightMode, nightLightBrightness,
+      isPanelSleepMode, panelSleepTime, panelWakeTime, unitPowerStatus, sleepStatus,
+      robotStatus, globeMotorFaultStatus, pinchStatus, catDetect, isBonnetRemoved,
+      isNightLightLEDOn, odometerPowerCycles, odometerCleanCycles, panelBrightnessHigh,
+      panelBrightnessLow, smartWeightEnabled, odometerEmptyCycles, odometerFilterCycles,
+      isDFIResetPending, DFINumberOfCycles, DFILevelPercent, isDFIFull, DFIFullCounter,
+      DFITriggerCount, litterLevel, DFILevelMM, isCatDetectPending,
+      globeMotorRetractFaultStatus, robotCycleStatus, robotCycleState, weightSensor,
+      isOnline, isOnboarded, isProvisioned, isDebugModeActive, lastSeen, sessionId,
+      setupDateTime, isFirmwareUpdateTriggered, firmwareUpdateStatus, wifiModeStatus,
+      isUSBPowerOn, USBFaultStatus, isDFIPartialFull, isLaserDirty, surfaceType,
+      scoopsSavedCount, optimalLitterLevel, litterLevelPercentage, litterLevelState,
+      weekdaySleepModeEnabled {
+        Sunday { sleepTime, wakeTime, isEnabled },
+        Monday { sleepTime, wakeTime, isEnabled },
+        Tuesday { sleepTime, wakeTime, isEnabled },
+        Wednesday { sleepTime, wakeTime, isEnabled },
+        Thursday { sleepTime, wakeTime, isEnabled },
+        Friday { sleepTime, wakeTime, isEnabled },
+        Saturday { sleepTime, wakeTime, isEnabled }
+      },
+      hopperStatus, isHopperRemoved
+    }
+  }
+`;
+
 const DEFAULT_USER_POOL_ID = decodeBase64('dXMtZWFzdC0xX3JqaE5uWlZBbQ==');
 const DEFAULT_CLIENT_ID = decodeBase64('NDU1MnVqZXUzYWljOTBuZjhxbjUzbGV2bW4=');
 
@@ -58,13 +96,14 @@ class Session extends EventEmitter {
    * @param {string} [options.password] - Password for authentication (required if tokens not provided)
    * @param {Object} [options.tokens] - Existing tokens to restore session (required if credentials not provided)
    * @param {Function} [options.onTokensRefreshed] - Callback invoked when tokens are refreshed
+   * @param {TokenStore} [options.tokenStore] - Store that persists the account's tokens, omitted for temporary sessions
    * @param {Object} options.homey - Homey instance (required)
    * @param {EventEmitter} [options.eventEmitter] - Custom event emitter, otherwise creates new one
    * @throws {Error} If homey instance is missing
    * @throws {WhiskerAuthenticationException} If neither tokens nor credentials are provided
    */
   constructor({
-    username, password, tokens = null, onTokensRefreshed = null, homey = null, eventEmitter = null,
+    username, password, tokens = null, onTokensRefreshed = null, homey = null, eventEmitter = null, tokenStore = null,
   }) {
     super();
     if (!homey) {
@@ -73,13 +112,16 @@ class Session extends EventEmitter {
 
     this.homey = homey;
     this.log = homey.log;
-    this.tokenStore = new TokenStore(homey);
+    this.tokenStore = tokenStore;
     this.eventEmitter = eventEmitter || new EventEmitter();
     if (this.eventEmitter === eventEmitter) {
       this.eventEmitter.setMaxListeners(100);
     }
     this.websocketConnections = new Map();
     this.connectionState = new Map();
+    this.lr4Subscriptions = new Map();
+    this._lr4ConnectPromise = null;
+    this._retiredSockets = new WeakSet();
     this.timeout = 30000;
 
     const userPoolId = process.env.COGNITO_USER_POOL_ID || DEFAULT_USER_POOL_ID;
@@ -91,6 +133,8 @@ class Session extends EventEmitter {
     this.onTokensRefreshed = onTokensRefreshed;
     this._refreshing = false;
     this._refreshPromise = null;
+    this._tokenRefreshEnabled = false;
+    this._tokenRefreshTimer = null;
 
     if (tokens) {
       this._initializeWithTokens(tokens);
@@ -122,6 +166,7 @@ class Session extends EventEmitter {
       this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, 'Cannot extract username from provided id_token')}`);
       throw new WhiskerTokenException('Cannot extract username/email from provided id_token');
     }
+    this.email = email;
     this.cognitoUser = new CognitoUser({ Username: email, Pool: this.userPool });
     this.session = null;
     this.setSession({ id_token, access_token, refresh_token });
@@ -139,6 +184,7 @@ class Session extends EventEmitter {
     this.log(`[Session] ${colorize(LOG_COLORS.INFO, `Initializing for fresh authentication with username ${username}`)}`);
     this.username = username;
     this.password = password;
+    this.email = username;
     this.cognitoUser = new CognitoUser({ Username: username, Pool: this.userPool });
     this.session = null;
   }
@@ -170,6 +216,7 @@ class Session extends EventEmitter {
         this.log(`[Session] ${colorize(LOG_COLORS.INFO, `ID token expires in ${idTokenInfo.formattedTimeUntilExpiry} (${idTokenInfo.expiresAt})`)}`);
       }
     }
+    this._scheduleTokenRefresh();
   }
 
   /**
@@ -211,11 +258,14 @@ class Session extends EventEmitter {
           this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Authentication successful for user ${this.username}`)}`);
           const tokens = this.getTokens();
           if (tokens) {
-            this.tokenStore.setTokens(tokens);
+            if (this.tokenStore) {
+              this.tokenStore.setTokens(this.getAccountId(), tokens);
+            }
             if (this.onTokensRefreshed) {
               this.onTokensRefreshed(tokens);
             }
           }
+          this._scheduleTokenRefresh();
           resolve(session);
         },
         onFailure: (err) => {
@@ -294,6 +344,24 @@ class Session extends EventEmitter {
     return decoded?.mid || null;
   }
 
+  /**
+   * Extracts the Cognito user ID from the ID token.
+   * Used to tell Whisker accounts apart when several are signed in.
+   * @returns {string|null} Cognito user ID (sub) or null if not available
+   */
+  getAccountId() {
+    const idToken = this.getIdToken();
+    const decoded = decodeJwt(idToken);
+    return decoded?.sub || null;
+  }
+
+  /**
+   * @returns {string|null} E-mail address of the signed-in account
+   */
+  getEmail() {
+    return this.email || null;
+  }
+
   /**
    * Retrieves the access token from the current session.
    * @returns {string|null} JWT access token or null if no session exists
@@ -317,9 +385,13 @@ class Session extends EventEmitter {
   signOut() {
     if (this.cognitoUser) {
       this.log(`[Session] ${colorize(LOG_COLORS.SYSTEM, 'Signing out user')}`);
+      const accountId = this.getAccountId();
+      this.stopTokenRefresh();
       this.cognitoUser.signOut();
       this.session = null;
-      this.tokenStore.clearTokens();
+      if (this.tokenStore && accountId) {
+        this.tokenStore.clearTokens(accountId);
+      }
       this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, 'User signed out successfully')}`);
     }
   }
@@ -356,8 +428,15 @@ class Session extends EventEmitter {
         this._refreshing = false;
         this._refreshPromise = null;
         if (err) {
-          this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, 'Session refresh failed:')}`, err);
-          this.signOut();
+          const rejection = getRefreshTokenRejection(err);
+          if (rejection) {
+            // The refresh token itself is no longer accepted, only a new login can restore the session
+            this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, `Session refresh rejected (${rejection.reason}):`)}`, err.message);
+            this.signOut();
+            emitAuthenticationFailed(this.eventEmitter, rejection.reason, rejection.message, this.homey);
+          } else {
+            this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, 'Session refresh failed:')}`, err);
+          }
           reject(err);
           return;
         }
@@ -366,7 +445,9 @@ class Session extends EventEmitter {
 
         const tokens = this.getTokens();
         if (tokens) {
-          this.tokenStore.setTokens(tokens);
+          if (this.tokenStore) {
+            this.tokenStore.setTokens(this.getAccountId(), tokens);
+          }
           if (this.onTokensRefreshed) {
             this.onTokensRefreshed(tokens);
           }
@@ -384,12 +465,87 @@ class Session extends EventEmitter {
           }
         }
 
+        this._scheduleTokenRefresh();
+        this.reauthenticateWebSockets().catch((reauthErr) => {
+          this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, 'Failed to re-authenticate WebSockets:')}`, reauthErr);
+        });
         resolve(session);
       });
     });
     return this._refreshPromise;
   }
 
+  /**
+   * Starts refreshing tokens ahead of their expiry, so requests and WebSocket
+   * reconnects never have to wait for a refresh. Only the app's own session
+   * enables this; temporary sessions used to validate credentials do not.
+   */
+  startTokenRefresh() {
+    this._tokenRefreshEnabled = true;
+    this._scheduleTokenRefresh();
+  }
+
+  /**
+   * Stops the proactive token refresh.
+   */
+  stopTokenRefresh() {
+    this._tokenRefreshEnabled = false;
+    this._clearTokenRefreshTimer();
+  }
+
+  /**
+   * Schedules the next refresh shortly before the earliest token expiry.
+   * A random jitter spreads refreshes so they do not line up with other
+   * timers, and a failed refresh that can be retried is tried again later.
+   * @param {number|null} [delaySeconds=null] - Fixed delay, otherwise derived from token expiry
+   * @private
+   */
+  _scheduleTokenRefresh(delaySeconds = null) {
+    this._clearTokenRefreshTimer();
+    if (!this._tokenRefreshEnabled) return;
+
+    let delay = delaySeconds;
+    if (delay === null) {
+      const tokens = this.getTokens();
+      const expiries = [tokens?.id_token, tokens?.access_token]
+        .map((token) => getTokenExpirationInfo(token))
+        .filter(Boolean);
+      if (expiries.length === 0) return;
+
+      const timeUntilExpiry = Math.min(...expiries.map((info) => info.timeUntilExpiry));
+      const jitter = Math.floor(Math.random() * TOKEN_CONFIG.REFRESH_JITTER_SECONDS);
+      delay = Math.max(
+        TOKEN_CONFIG.MIN_REFRESH_DELAY_SECONDS,
+        timeUntilExpiry - TOKEN_CONFIG.EXPIRATION_BUFFER_SECONDS - jitter,
+      );
+    }
+
+    this.log(`[Session] ${colorize(LOG_COLORS.INFO, `Next token refresh scheduled in ${Math.round(delay / 60)} minutes`)}`);
+    this._tokenRefreshTimer = this.homey.setTimeout(async () => {
+      this._tokenRefreshTimer = null;
+      try {
+        await this.refreshSession();
+      } catch (err) {
+        // A rejected refresh token is reported by refreshSession and cannot be retried
+        if (!getRefreshTokenRejection(err) && this.session) {
+          this.homey.log(`[Session] ${colorize(LOG_COLORS.WARNING, `Scheduled token refresh failed, retrying in ${TOKEN_CONFIG.REFRESH_RETRY_SECONDS}s`)}`);
+          this._scheduleTokenRefresh(TOKEN_CONFIG.REFRESH_RETRY_SECONDS);
+        }
+      }
+    }, delay * 1000);
+  }
+
+  /**
+   * Clears the scheduled token refresh.
+   * @private
+   */
+  _clearTokenRefreshTimer() {
+    if (this._tokenRefreshTimer) {
+      this.homey.clearTimeout(this._tokenRefreshTimer);
+      this._tokenRefreshTimer = null;
+    }
+  }
+
   /**
    * Retrieves current session tokens in standardized format.
    * @returns {Object|null} Token object with id_token, access_token, refresh_token, or null if no session
@@ -409,7 +565,7 @@ class Session extends EventEmitter {
   /**
    * Generates authentication headers for API requests.
    * Refreshes tokens if expired and includes platform-specific user agent for backend identification.
-   * @param {string} robotType - Robot type ('LR3' or 'LR4') to determine token type and headers
+   * @param {string} robotType - Robot type ('LR3', 'LR4' or 'FEEDER') to determine token type and headers
    * @returns {Promise<Object>} Headers object with Authorization and other required headers
    * @throws {Error} If robot type is unsupported
    * @throws {WhiskerTokenException} If required token is missing
@@ -433,6 +589,10 @@ class Session extends EventEmitter {
         tokenKey: 'access_token',
         additionalHeaders: {},
       },
+      FEEDER: {
+        tokenKey: 'id_token',
+        additionalHeaders: {},
+      },
     };
 
     const config = robotConfig[robotType];
@@ -477,16 +637,27 @@ class Session extends EventEmitter {
     return this._makeGraphQLRequest(ENDPOINTS.PET, { query, variables }, 'Pet');
   }
 
+  /**
+   * Executes GraphQL query against the Feeder-Robot (Hasura) endpoint.
+   * @param {string} query - GraphQL query string
+   * @param {Object} [variables={}] - Query variables
+   * @returns {Promise<Object>} GraphQL response
+   */
+  async feederGraphql(query, variables = {}) {
+    return this._makeGraphQLRequest(ENDPOINTS.FEEDER, { query, variables }, 'Feeder', 'FEEDER');
+  }
+
   /**
    * Executes GraphQL request with automatic retry and token refresh.
    * Retries 401 responses once after forcing token refresh to handle transient auth failures.
    * @param {string} endpoint - GraphQL endpoint URL
    * @param {Object} data - Request data with query and variables
    * @param {string} [apiType='Unknown'] - API type identifier for logging
+   * @param {string} [authType='LR4'] - Robot type used to select the authorization token
    * @returns {Promise<Object>} GraphQL response
    * @private
    */
-  async _makeGraphQLRequest(endpoint, data, apiType = 'Unknown') {
+  async _makeGraphQLRequest(endpoint, data, apiType = 'Unknown', authType = 'LR4') {
     const requestData = {
       method: 'POST',
       timeout: this.timeout,
@@ -497,7 +668,7 @@ class Session extends EventEmitter {
     this.log(`[Session] ${colorize(LOG_COLORS.INFO, `GraphQL ${operationName} request sent to ${endpoint}`)}`);
 
     return retryWithBackoff(async (attempt = 0) => {
-      const authHeaders = await this.getAuthHeaders('LR4');
+      const authHeaders = await this.getAuthHeaders(authType);
       requestData.headers = { ...authHeaders };
 
       if (attempt > 0) {
@@ -610,18 +781,64 @@ class Session extends EventEmitter {
   }
 
   /**
-   * Creates WebSocket connection for LR4 devices using GraphQL subscriptions.
-   * Establishes connection, authenticates, starts subscription, and sets up heartbeat monitoring.
+   * Subscribes an LR4 device to state updates over the shared LR4 WebSocket.
+   * All LR4 robots on the account share one AppSync connection with a
+   * subscription id per robot; the connection is opened by the first subscriber.
    * @param {string} deviceId - Device identifier
    * @param {Object} [options={}] - Connection options including serial number
-   * @returns {Promise<WebSocket>} The WebSocket connection
+   * @returns {Promise<WebSocket>} The shared WebSocket connection
    * @throws {WhiskerTokenException} If ID token is missing
    * @private
    */
   async _createLR4WebSocket(deviceId, options = {}) {
-    const serial = options.serial || deviceId;
-    const state = this._getOrCreateConnState(deviceId, { serial });
-    state.options = { ...options, serial };
+    const existing = this.lr4Subscriptions.get(deviceId);
+    const subscription = {
+      id: existing?.id || randomUUID(),
+      deviceId,
+      serial: options.serial || deviceId,
+    };
+    this.lr4Subscriptions.set(deviceId, subscription);
+
+    const ws = this.websocketConnections.get(LR4_CONNECTION_ID);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      if (existing) {
+        this.log(`[Session] ${colorize(LOG_COLORS.WARNING, `LR4 subscription already active for device ${deviceId}`)}`);
+        return ws;
+      }
+      this._startLR4Subscription(ws, subscription);
+      emitConnected(this.eventEmitter, deviceId, { url: ENDPOINTS.LR4_WS }, this.homey);
+      return ws;
+    }
+
+    return this._connectLR4WebSocket();
+  }
+
+  /**
+   * Opens the shared LR4 WebSocket, or joins a connection attempt that is
+   * already in progress so concurrent device setups share one socket.
+   * @returns {Promise<WebSocket>} The shared WebSocket connection
+   * @private
+   */
+  _connectLR4WebSocket() {
+    if (!this._lr4ConnectPromise) {
+      this._lr4ConnectPromise = this._openLR4WebSocket().finally(() => {
+        this._lr4ConnectPromise = null;
+      });
+    }
+    return this._lr4ConnectPromise;
+  }
+
+  /**
+   * Creates the shared LR4 WebSocket using GraphQL subscriptions.
+   * Establishes connection, authenticates, starts a subscription for every
+   * registered robot, and sets up heartbeat monitoring. Reconnects restore all
+   * subscriptions together with the current tokens.
+   * @returns {Promise<WebSocket>} The WebSocket connection
+   * @throws {WhiskerTokenException} If ID token is missing
+   * @private
+   */
+  async _openLR4WebSocket() {
+    this._getOrCreateConnState(LR4_CONNECTION_ID);
 
     if (!this.isSessionValid()) {
       await this.refreshSession();
@@ -644,7 +861,7 @@ class Session extends EventEmitter {
     Object.entries(params).forEach(([key, value]) => urlObj.searchParams.append(key, value));
     const fullWsUrl = urlObj.toString();
 
-    this.log(`[Session] ${colorize(LOG_COLORS.INFO, `Creating LR4 WebSocket connection for device ${deviceId}`)}`);
+    this.log(`[Session] ${colorize(LOG_COLORS.INFO, `Creating shared LR4 WebSocket connection for ${this.lr4Subscriptions.size} device(s)`)}`);
 
     return new Promise((resolve, reject) => {
       const ws = new WebSocket(fullWsUrl, 'graphql-ws', {
@@ -654,85 +871,44 @@ class Session extends EventEmitter {
       let connectionTimeout = null;
 
       ws.on('open', () => {
-        this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `LR4 WebSocket connected for device ${deviceId}`)}`);
+        this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, 'Shared LR4 WebSocket connected')}`);
         ws.send(safeStringify({ type: 'connection_init', payload: {} }));
       });
 
       ws.on('message', (data) => {
-        const st = this._getOrCreateConnState(deviceId);
+        const st = this._getOrCreateConnState(LR4_CONNECTION_ID);
         st.lastMessageAt = Date.now();
 
         try {
           const json = safeParse(data);
+          const subscription = this._findLR4Subscription(json?.id);
+          const deviceId = subscription?.deviceId || LR4_CONNECTION_ID;
           if (json?.type !== 'ka') {
             this._logWebSocketMessage(deviceId, json);
           }
 
           switch (json.type) {
             case 'connection_ack':
-              this.log(`[Session] ${colorize(LOG_COLORS.INFO, 'LR4 WebSocket connection acknowledged, sending subscription start')}`);
+              this.log(`[Session] ${colorize(LOG_COLORS.INFO, `LR4 WebSocket connection acknowledged, starting ${this.lr4Subscriptions.size} subscription(s)`)}`);
               if (connectionTimeout) {
                 this.homey.clearTimeout(connectionTimeout);
                 connectionTimeout = null;
               }
-              this.websocketConnections.set(deviceId, ws);
+              this.websocketConnections.set(LR4_CONNECTION_ID, ws);
               st.reconnectAttempts = 0;
-              this._setupHeartbeat(deviceId, ws);
-              emitConnected(this.eventEmitter, deviceId, { url: fullWsUrl }, this.homey);
-
-              ws.send(safeStringify({
-                id: '1',
-                type: 'start',
-                payload: {
-                  data: safeStringify({
-                    query: `
-                      subscription litterRobot4StateSubscriptionBySerial($serial: String!) {
-                        litterRobot4StateSubscriptionBySerial(serial: $serial) {
-                          unitId, name, serial, userId, espFirmware, picFirmwareVersion,
-                          picFirmwareVersionHex, laserBoardFirmwareVersion, laserBoardFirmwareVersionHex,
-                          wifiRssi, unitPowerType, catWeight, displayCode, unitTimezone, unitTime,
-                          cleanCycleWaitTime, isKeypadLockout, nightLightMode, nightLightBrightness,
-                          isPanelSleepMode, panelSleepTime, panelWakeTime, unitPowerStatus, sleepStatus,
-                          robotStatus, globeMotorFaultStatus, pinchStatus, catDetect, isBonnetRemoved,
-                          isNightLightLEDOn, odometerPowerCycles, odometerCleanCycles, panelBrightnessHigh,
-                          panelBrightnessLow, smartWeightEnabled, odometerEmptyCycles, odometerFilterCycles,
-                          isDFIResetPending, DFINumberOfCycles, DFILevelPercent, isDFIFull, DFIFullCounter,
-                          DFITriggerCount, litterLevel, DFILevelMM, isCatDetectPending,
-                          globeMotorRetractFaultStatus, robotCycleStatus, robotCycleState, weightSensor,
-                          isOnline, isOnboarded, isProvisioned, isDebugModeActive, lastSeen, sessionId,
-                          setupDateTime, isFirmwareUpdateTriggered, firmwareUpdateStatus, wifiModeStatus,
-                          isUSBPowerOn, USBFaultStatus, isDFIPartialFull, isLaserDirty, surfaceType,
-                          scoopsSavedCount, optimalLitterLevel, litterLevelPercentage, litterLevelState,
-                          weekdaySleepModeEnabled {
-                            Sunday { sleepTime, wakeTime, isEnabled },
-                            Monday { sleepTime, wakeTime, isEnabled },
-                            Tuesday { sleepTime, wakeTime, isEnabled },
-                            Wednesday { sleepTime, wakeTime, isEnabled },
-                            Thursday { sleepTime, wakeTime, isEnabled },
-                            Friday { sleepTime, wakeTime, isEnabled },
-                            Saturday { sleepTime, wakeTime, isEnabled }
-                          },
-                          hopperStatus, isHopperRemoved
-                        }
-                      }
-                    `,
-                    variables: { serial: st.serial || serial },
-                  }),
-                  extensions: {
-                    authorization: {
-                      Authorization: `Bearer ${idToken}`,
-                      host: 'lr4.iothings.site',
-                    },
-                  },
-                },
-              }));
+              this._setupHeartbeat(LR4_CONNECTION_ID, ws);
+
+              for (const sub of this.lr4Subscriptions.values()) {
+                this._startLR4Subscription(ws, sub);
+                emitConnected(this.eventEmitter, sub.deviceId, { url: fullWsUrl }, this.homey);
+              }
               resolve(ws);
               break;
 
             case 'data': {
               const update = json.payload?.data?.litterRobot4StateSubscriptionBySerial;
-              if (update) {
-                emitDataReceived(this.eventEmitter, deviceId, update, 'websocket', this.homey);
+              if (update && subscription) {
+                emitDataReceived(this.eventEmitter, subscription.deviceId, update, 'websocket', this.homey);
               }
               break;
             }
@@ -744,6 +920,9 @@ class Session extends EventEmitter {
             case 'start_ack':
               break;
 
+            case 'complete':
+              break;
+
             case 'ka':
               break;
 
@@ -752,41 +931,49 @@ class Session extends EventEmitter {
               break;
           }
         } catch (error) {
-          this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, `Failed to parse LR4 WebSocket message for device ${deviceId}:`)}`, error);
-          emitError(this.eventEmitter, error, `websocket_parse_${deviceId}`, this.homey);
+          this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, 'Failed to parse shared LR4 WebSocket message:')}`, error);
+          emitError(this.eventEmitter, error, `websocket_parse_${LR4_CONNECTION_ID}`, this.homey);
         }
       });
 
       const onSocketFailure = (where, errOrCode, reason) => {
-        this.homey.log(`[Session] ${colorize(LOG_COLORS.WARNING, `LR4 WebSocket ${where} for device ${deviceId}${reason ? `: ${reason}` : ''}`)}`, errOrCode || '');
-        this.websocketConnections.delete(deviceId);
-        this._clearHeartbeat(deviceId);
-        emitDisconnected(this.eventEmitter, deviceId, reason || where, this.homey);
+        this.homey.log(`[Session] ${colorize(LOG_COLORS.WARNING, `Shared LR4 WebSocket ${where}${reason ? `: ${reason}` : ''}`)}`, errOrCode || '');
+        if (this.websocketConnections.get(LR4_CONNECTION_ID) === ws) {
+          this.websocketConnections.delete(LR4_CONNECTION_ID);
+          this._clearHeartbeat(LR4_CONNECTION_ID);
+        }
+        for (const sub of this.lr4Subscriptions.values()) {
+          emitDisconnected(this.eventEmitter, sub.deviceId, reason || where, this.homey);
+        }
       };
 
       ws.on('error', (error) => {
+        if (this._retiredSockets.has(ws)) return;
         onSocketFailure('error', error);
-        this._scheduleReconnect(deviceId);
+        this._scheduleReconnect(LR4_CONNECTION_ID);
       });
 
       ws.on('close', (code, reason) => {
+        if (this._retiredSockets.has(ws)) return;
         onSocketFailure(`closed (${code})`, null, reason || 'connection_closed');
-        const state = this.connectionState.get(deviceId);
-        if (state) {
-          this._scheduleReconnect(deviceId);
+        const state = this.connectionState.get(LR4_CONNECTION_ID);
+        if (state && this.lr4Subscriptions.size > 0) {
+          this._scheduleReconnect(LR4_CONNECTION_ID);
         } else {
-          this.homey.log(`[Session] ${colorize(LOG_COLORS.INFO, `Connection ${deviceId} was manually closed, skipping reconnect`)}`);
+          this.homey.log(`[Session] ${colorize(LOG_COLORS.INFO, 'Shared LR4 connection was manually closed, skipping reconnect')}`);
         }
       });
 
       connectionTimeout = this.homey.setTimeout(() => {
-        if (ws.readyState !== WebSocket.OPEN && !this.websocketConnections.has(deviceId)) {
+        if (ws.readyState !== WebSocket.OPEN && this.websocketConnections.get(LR4_CONNECTION_ID) !== ws) {
           try {
             ws.close(1000, 'Connection timeout');
           } catch (e) {
             // Ignore - connection may already be closed
           }
-          emitDisconnected(this.eventEmitter, deviceId, 'connection_timeout', this.homey);
+          for (const sub of this.lr4Subscriptions.values()) {
+            emitDisconnected(this.eventEmitter, sub.deviceId, 'connection_timeout', this.homey);
+          }
           reject(new Error('LR4 WebSocket connection timeout'));
         }
         connectionTimeout = null;
@@ -794,6 +981,67 @@ class Session extends EventEmitter {
     });
   }
 
+  /**
+   * Starts the state subscription for one robot on the shared LR4 WebSocket.
+   * @param {WebSocket} ws - Shared LR4 WebSocket connection
+   * @param {Object} subscription - Subscription ({ id, deviceId, serial })
+   * @private
+   */
+  _startLR4Subscription(ws, subscription) {
+    this.log(`[Session] ${colorize(LOG_COLORS.INFO, `Starting LR4 subscription ${subscription.id} for device ${subscription.deviceId}`)}`);
+    ws.send(safeStringify({
+      id: subscription.id,
+      type: 'start',
+      payload: {
+        data: safeStringify({
+          query: LR4_STATE_SUBSCRIPTION,
+          variables: { serial: subscription.serial },
+        }),
+        extensions: {
+          authorization: {
+            Authorization: `Bearer ${this.getIdToken()}`,
+            host: 'lr4.iothings.site',
+          },
+        },
+      },
+    }));
+  }
+
+  /**
+   * Stops the state subscription for one robot on the shared LR4 WebSocket.
+   * @param {string} deviceId - Device identifier
+   * @private
+   */
+  _stopLR4Subscription(deviceId) {
+    const subscription = this.lr4Subscriptions.get(deviceId);
+    if (!subscription) return;
+    this.lr4Subscriptions.delete(deviceId);
+
+    const ws = this.websocketConnections.get(LR4_CONNECTION_ID);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      this.log(`[Session] ${colorize(LOG_COLORS.SYSTEM, `Stopping LR4 subscription ${subscription.id} for device ${deviceId}`)}`);
+      try {
+        ws.send(safeStringify({ id: subscription.id, type: 'stop' }));
+      } catch (e) {
+        // Ignore - connection may already be closed
+      }
+    }
+  }
+
+  /**
+   * Finds the LR4 subscription a WebSocket message belongs to.
+   * @param {string} [id] - Subscription id from the message
+   * @returns {Object|null} Subscription ({ id, deviceId, serial }) or null
+   * @private
+   */
+  _findLR4Subscription(id) {
+    if (!id) return null;
+    for (const subscription of this.lr4Subscriptions.values()) {
+      if (subscription.id === id) return subscription;
+    }
+    return null;
+  }
+
   /**
    * Creates WebSocket connection for LR3 devices.
    * Establishes connection and forwards all messages to observers for device-specific handling.
@@ -859,16 +1107,20 @@ class Session extends EventEmitter {
 
       const onSocketFailure = (where, errOrCode, reason) => {
         this.homey.log(`[Session] ${colorize(LOG_COLORS.WARNING, `LR3 WebSocket ${where} for device ${deviceId}${reason ? `: ${reason}` : ''}`)}`, errOrCode || '');
-        this.websocketConnections.delete(deviceId);
+        if (this.websocketConnections.get(deviceId) === ws) {
+          this.websocketConnections.delete(deviceId);
+        }
         emitDisconnected(this.eventEmitter, deviceId, reason || where, this.homey);
       };
 
       ws.on('error', (error) => {
+        if (this._retiredSockets.has(ws)) return;
         onSocketFailure('error', error);
         this._scheduleReconnect(deviceId);
       });
 
       ws.on('close', (code, reason) => {
+        if (this._retiredSockets.has(ws)) return;
         onSocketFailure(`closed (${code})`, null, reason || 'connection_closed');
         const state = this.connectionState.get(deviceId);
         if (state) {
@@ -879,7 +1131,7 @@ class Session extends EventEmitter {
       });
 
       connectionTimeout = this.homey.setTimeout(() => {
-        if (ws.readyState !== WebSocket.OPEN && !this.websocketConnections.has(deviceId)) {
+        if (ws.readyState !== WebSocket.OPEN && this.websocketConnections.get(deviceId) !== ws) {
           try {
             ws.close(1000, 'Connection timeout');
           } catch (e) {
@@ -893,24 +1145,71 @@ class Session extends EventEmitter {
     });
   }
 
+  /**
+   * Re-opens the open WebSockets with the current tokens, since their
+   * authorization is fixed when they connect. Each replacement connects and
+   * restarts its subscriptions before the old socket is closed, so updates
+   * keep flowing throughout.
+   * @returns {Promise<void>}
+   */
+  async reauthenticateWebSockets() {
+    const connections = [...this.websocketConnections].filter(([, ws]) => ws.readyState === WebSocket.OPEN);
+    if (connections.length === 0) return;
+
+    this.log(`[Session] ${colorize(LOG_COLORS.INFO, `Re-authenticating ${connections.length} WebSocket connection(s) with refreshed tokens`)}`);
+
+    for (const [connectionId, ws] of connections) {
+      try {
+        if (connectionId === LR4_CONNECTION_ID) {
+          if (this.lr4Subscriptions.size === 0 || this._lr4ConnectPromise) continue;
+          await this._connectLR4WebSocket();
+        } else {
+          const state = this.connectionState.get(connectionId);
+          if (!state) continue;
+          await this._createLR3WebSocket(connectionId, state.options || {});
+        }
+      } catch (err) {
+        // Keep the old socket, it reconnects on its own once the server closes it
+        this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, `Failed to re-authenticate WebSocket ${connectionId}:`)}`, err);
+        continue;
+      }
+
+      this._retiredSockets.add(ws);
+      try {
+        ws.close(1000, 'Re-authenticated');
+      } catch (e) {
+        // Ignore - connection may already be closed
+      }
+    }
+  }
+
   /**
    * Closes WebSocket connection for a specific device.
+   * LR4 devices only stop their subscription; the shared LR4 connection is
+   * closed once its last subscription is gone.
    * Clears all associated timers and connection state to prevent memory leaks.
    * @param {string} deviceId - Device identifier
    */
   closeWebSocket(deviceId) {
-    const ws = this.websocketConnections.get(deviceId);
+    let connectionId = deviceId;
+    if (this.lr4Subscriptions.has(deviceId)) {
+      this._stopLR4Subscription(deviceId);
+      if (this.lr4Subscriptions.size > 0) return;
+      connectionId = LR4_CONNECTION_ID;
+    }
+
+    const ws = this.websocketConnections.get(connectionId);
     if (ws) {
-      this.log(`[Session] ${colorize(LOG_COLORS.SYSTEM, `Closing WebSocket connection for device ${deviceId}`)}`);
+      this.log(`[Session] ${colorize(LOG_COLORS.SYSTEM, `Closing WebSocket connection for device ${connectionId}`)}`);
       try {
         ws.close(1000, 'Device cleanup');
       } catch (e) {
         // Ignore - connection may already be closed
       }
-      this.websocketConnections.delete(deviceId);
+      this.websocketConnections.delete(connectionId);
     }
-    this._clearAllTimers(deviceId);
-    this.connectionState.delete(deviceId);
+    this._clearAllTimers(connectionId);
+    this.connectionState.delete(connectionId);
   }
 
   /**
@@ -929,6 +1228,7 @@ class Session extends EventEmitter {
     }
     this.websocketConnections.clear();
     this.connectionState.clear();
+    this.lr4Subscriptions.clear();
   }
 
   /**
@@ -1058,7 +1358,11 @@ class Session extends EventEmitter {
         if (!this.isSessionValid()) {
           await this.refreshSession();
         }
-        await this.createWebSocket(deviceId, state.options || {});
+        if (deviceId === LR4_CONNECTION_ID) {
+          await this._connectLR4WebSocket();
+        } else {
+          await this.createWebSocket(deviceId, state.options || {});
+        }
       } catch (err) {
         this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, `Reconnect attempt failed for device ${deviceId}:`)}`, err);
         this._scheduleReconnect(deviceId);
@@ -1158,6 +1462,79 @@ class Session extends EventEmitter {
     }, 3, 1000);
   }
 
+  /**
+   * Performs an authenticated GET on a per-robot LR3 REST resource.
+   * @param {string} robotId - LR3 robot ID
+   * @param {string} resource - Resource below the robot (e.g. "activity")
+   * @param {Object} [params] - Query string parameters
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {WhiskerTokenException} If user ID cannot be extracted from token
+   * @throws {WhiskerApiException} If the request fails
+   * @private
+   */
+  async _getLR3RobotResource(robotId, resource, params = {}) {
+    const userId = this.getUserId();
+    if (!userId) {
+      throw new WhiskerTokenException('Unable to get user ID from token');
+    }
+    if (!robotId) {
+      throw new Error('Robot ID is required');
+    }
+
+    const query = new URLSearchParams(params).toString();
+    const endpoint = `${ENDPOINTS.LR3}/users/${userId}/robots/${robotId}/${resource}${query ? `?${query}` : ''}`;
+
+    return retryWithBackoff(async (attempt = 0) => {
+      const response = await fetch(endpoint, {
+        method: 'GET',
+        headers: await this.getAuthHeaders('LR3'),
+        timeout: this.timeout,
+      });
+
+      if (!response.ok) {
+        if (response.status === 401 && attempt === 0) {
+          const retryError = new Error('Token refresh required, retrying request');
+          retryError.isRetryTrigger = true;
+          throw retryError;
+        }
+        throw new WhiskerApiException(
+          `HTTP ${response.status}: ${response.statusText}`,
+          response.status,
+        );
+      }
+
+      return response.json();
+    }, 3, 1000);
+  }
+
+  /**
+   * Retrieves the activity history of a Litter-Robot 3 (unit status changes
+   * such as cat detections, completed cycles and faults), newest first.
+   * @param {string} robotId - LR3 robot ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Maximum number of rows
+   * @returns {Promise<Array>} Array of activity rows ({ timestamp, unitStatus })
+   */
+  async getLR3Activity(robotId, { limit = 50 } = {}) {
+    const response = await this._getLR3RobotResource(robotId, 'activity', { limit });
+    const activity = response?.activities || [];
+    this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Fetched ${activity.length} activity rows for LR3 robot ${robotId}`)}`);
+    return activity;
+  }
+
+  /**
+   * Retrieves usage insights of a Litter-Robot 3 for the last days.
+   * @param {string} robotId - LR3 robot ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.days=7] - Number of days to include
+   * @param {number} [options.timezoneOffset=0] - Timezone offset in minutes
+   * @returns {Promise<Object|null>} Insights with totalCycles, averageCycles and cycleHistory
+   */
+  async getLR3Insights(robotId, { days = 7, timezoneOffset = 0 } = {}) {
+    const response = await this._getLR3RobotResource(robotId, 'insights', { days, timezoneOffset });
+    return response || null;
+  }
+
   /**
    * Retrieves a specific robot by ID or serial number.
    * @param {string} robotId - Robot ID or serial number
@@ -1174,6 +1551,201 @@ class Session extends EventEmitter {
     return robot;
   }
 
+  /**
+   * Retrieves the activity history of a Litter-Robot 4, such as cat visits,
+   * clean cycles, drawer resets and faults.
+   * @param {string} serial - Robot serial number
+   * @param {Object} [options] - Query options
+   * @param {string} [options.startTimestamp] - ISO timestamp of the oldest activity to return
+   * @param {string} [options.endTimestamp] - ISO timestamp of the newest activity to return
+   * @param {number} [options.limit=50] - Maximum number of rows
+   * @param {Array<string>} [options.activityTypes] - Only return these activity types
+   * @returns {Promise<Array>} Array of activity rows
+   */
+  async getLR4Activity(serial, {
+    startTimestamp = null,
+    endTimestamp = null,
+    limit = 50,
+    activityTypes = null,
+  } = {}) {
+    if (!serial) {
+      throw new Error('Robot serial is required');
+    }
+
+    const response = await this.lr4Graphql(`
+      query GetLR4Activity($serial: String!, $startTimestamp: String, $endTimestamp: String, $limit: Int, $activityTypes: [String]) {
+        getLitterRobot4Activity(serial: $serial, startTimestamp: $startTimestamp, endTimestamp: $endTimestamp, limit: $limit, activityTypes: $activityTypes) {
+          serial, measure, timestamp, value, actionValue, valueString, stateString, commandSource
+        }
+      }
+    `, {
+      serial, startTimestamp, endTimestamp, limit, activityTypes,
+    });
+
+    const activity = response?.data?.getLitterRobot4Activity || [];
+    this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Fetched ${activity.length} activity rows for robot ${serial}`)}`);
+    return activity;
+  }
+
+  /**
+   * Retrieves usage insights (clean cycles and cat detections) of a Litter-Robot 4
+   * from the given start date until now.
+   * @param {string} serial - Robot serial number
+   * @param {Object} [options] - Query options
+   * @param {string} [options.startTimestamp] - Start date (YYYY-MM-DD) in the robot's timezone
+   * @param {number} [options.timezoneOffset=0] - Robot timezone offset in seconds
+   * @returns {Promise<Object|null>} Insights with totalCycles, averageCycles, cycleHistory and totalCatDetections
+   */
+  async getLR4Insights(serial, { startTimestamp = null, timezoneOffset = 0 } = {}) {
+    if (!serial) {
+      throw new Error('Robot serial is required');
+    }
+
+    const response = await this.lr4Graphql(`
+      query GetLR4Insights($serial: String!, $startTimestamp: String, $timezoneOffset: Int) {
+        getLitterRobot4Insights(serial: $serial, startTimestamp: $startTimestamp, timezoneOffset: $timezoneOffset) {
+          totalCycles, averageCycles, totalCatDetections, cycleHistory { date, numberOfCycles }
+        }
+      }
+    `, { serial, startTimestamp, timezoneOffset });
+
+    return response?.data?.getLitterRobot4Insights || null;
+  }
+
+  /**
+   * Retrieves the cloud connection lifecycle of a Litter-Robot 4: connects and
+   * disconnects with their reasons and session IDs.
+   * @param {string} serial - Robot serial number
+   * @param {Object} [options] - Query options
+   * @param {string} [options.startTimestamp] - ISO timestamp to start from
+   * @param {string} [options.endTimestamp] - ISO timestamp to end at
+   * @param {number} [options.limit=50] - Maximum number of rows
+   * @returns {Promise<Array<Object>>} Lifecycle rows (newest first)
+   */
+  async getLR4Lifecycle(serial, { startTimestamp = null, endTimestamp = null, limit = 50 } = {}) {
+    if (!serial) {
+      throw new Error('Robot serial is required');
+    }
+
+    const response = await this.lr4Graphql(`
+      query GetLR4Lifecycle($serial: String!, $startTimestamp: String, $endTimestamp: String, $limit: Int) {
+        getLitterRobot4Lifecycle(serial: $serial, startTimestamp: $startTimestamp, endTimestamp: $endTimestamp, limit: $limit) {
+          serial, measure, timestamp, value, sessionId, clientInitiatedDisconnect, disconnectReason
+        }
+      }
+    `, {
+      serial, startTimestamp, endTimestamp, limit,
+    });
+
+    const lifecycle = response?.data?.getLitterRobot4Lifecycle || [];
+    this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Fetched ${lifecycle.length} lifecycle rows for robot ${serial}`)}`);
+    return lifecycle;
+  }
+
+  /**
+   * Retrieves the weekly insights of a Litter-Robot 4 through the robot data query.
+   * Used as a fallback when getLitterRobot4Insights returns no data.
+   * @param {string} serial - Robot serial number
+   * @param {Object} options - Query options
+   * @param {string} options.startDate - Start date (YYYY-MM-DD) of the week
+   * @param {number} [options.timezoneOffsetSec=0] - Robot timezone offset in seconds
+   * @returns {Promise<Object|null>} Insights with totalCycles, averageCycles, cycleHistory and totalCatDetections
+   */
+  async getLR4WeeklyInsights(serial, { startDate, timezoneOffsetSec = 0 }) {
+    if (!serial) {
+      throw new Error('Robot serial is required');
+    }
+
+    const response = await this.lr4Graphql(`
+      query GetLR4Weekly($serial: String!, $startDate: String!, $timezoneOffsetSec: Int) {
+        robot(serial: $serial) {
+          weekly(startDate: $startDate, timezoneOffsetSec: $timezoneOffsetSec) {
+            insights { totalCycles, averageCycles, totalCatDetections, cycleHistory { date, numberOfCycles } }
+          }
+        }
+      }
+    `, { serial, startDate, timezoneOffsetSec });
+
+    return response?.data?.robot?.weekly?.insights || null;
+  }
+
+  /**
+   * Retrieves the unit diagnostics of a Litter-Robot 4: motor currents, ToF
+   * sensor distances, globe rotation speed, cycle timers and motor faults.
+   * @param {string} serial - Robot serial number
+   * @returns {Promise<Object|null>} Diagnostics object
+   */
+  async getUnitDiagnostics(serial) {
+    if (!serial) {
+      throw new Error('Robot serial is required');
+    }
+
+    const response = await this.lr4Graphql(`
+      query GetUnitDiagnostics($serial: String!) {
+        getUnitDiagnosticsBySerial(serial: $serial) {
+          serial, globeMotorAmperes, hopperMotorAmperes, globeRotationSpeed,
+          ToFSensorDistances { ToFSensorDistanceLeft, ToFSensorDistanceMiddle, ToFSensorDistanceRight },
+          cycleTimerComplete, cycleTimerDump, cycleTimerHome,
+          avgMotorAmpsDump, avgMotorAmpsDFI, avgMotorAmpsLevel, avgMotorAmpsHome,
+          motorFaultCycleTime, motorFaultVoltage, motorFaultAmperage, motorFaultSlope, motorFaultSpeed
+        }
+      }
+    `, { serial });
+
+    return response?.data?.getUnitDiagnosticsBySerial || null;
+  }
+
+  /**
+   * Compares the firmware of a Litter-Robot 4 with the latest released version.
+   * @param {string} serial - Robot serial number
+   * @returns {Promise<Object|null>} ESP, PIC and laser board update flags and the latest versions
+   */
+  async getLR4FirmwareStatus(serial) {
+    if (!serial) {
+      throw new Error('Robot serial is required');
+    }
+
+    const response = await this.lr4Graphql(`
+      query CompareFirmwareVersion($serial: String!) {
+        litterRobot4CompareFirmwareVersion(serial: $serial) {
+          isEspFirmwareUpdateNeeded, isPicFirmwareUpdateNeeded, isLaserboardFirmwareUpdateNeeded,
+          latestFirmware { espFirmwareVersion, picFirmwareVersion, laserBoardFirmwareVersion }
+        }
+      }
+    `, { serial });
+
+    return response?.data?.litterRobot4CompareFirmwareVersion || null;
+  }
+
+  /**
+   * Starts installing the latest firmware on a Litter-Robot 4. The robot is
+   * unavailable while it updates.
+   * @param {string} serial - Robot serial number
+   * @returns {Promise<boolean>} True if the robot accepted the update
+   * @throws {Error} If the mutation fails
+   */
+  async triggerLR4FirmwareUpdate(serial) {
+    if (!serial) {
+      throw new Error('Robot serial is required');
+    }
+
+    this.log(`[Session] ${colorize(LOG_COLORS.COMMAND, `Triggering firmware update for ${serial}`)}`);
+    const response = await this.lr4Graphql(`
+      mutation TriggerFirmwareUpdate($serial: String!) {
+        litterRobot4TriggerFirmwareUpdate(input: { serial: $serial }) {
+          isUpdateTriggered
+        }
+      }
+    `, { serial });
+
+    if (response?.errors) {
+      this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, 'GraphQL errors triggering firmware update:')}`, response.errors);
+      throw new Error(`GraphQL errors: ${JSON.stringify(response.errors)}`);
+    }
+
+    return response?.data?.litterRobot4TriggerFirmwareUpdate?.isUpdateTriggered === true;
+  }
+
   /**
    * Retrieves all pets for the authenticated user.
    * @returns {Promise<Array>} Array of pet objects
@@ -1221,13 +1793,128 @@ class Session extends EventEmitter {
     return pet;
   }
 
+  /**
+   * Retrieves the weight readings recorded for a pet, newest first.
+   * @param {string} petId - Pet ID
+   * @param {number} [limit=200] - Maximum number of readings
+   * @returns {Promise<Array>} Array of weight readings (weight in pounds)
+   */
+  async getWeightHistory(petId, limit = 200) {
+    if (!petId) {
+      throw new Error('Pet ID is required');
+    }
+
+    const response = await this.petGraphql(`
+      query GetWeightHistoryByPetId($petId: String!, $limit: Int) {
+        getWeightHistoryByPetId(petId: $petId, limit: $limit) {
+          petId, timestamp, robotSerial, weight, status, isReassigned
+        }
+      }
+    `, { petId, limit });
+
+    const history = response?.data?.getWeightHistoryByPetId || [];
+    this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Fetched ${history.length} weight readings for pet ${petId}`)}`);
+    return history;
+  }
+
+  /**
+   * Reassigns a cat visit recorded by a Litter-Robot 4 to another pet.
+   * Corrects misattributed visits so the pets' weight history stays accurate.
+   * @param {Object} params
+   * @param {string} params.robotSerial - Serial of the robot that recorded the visit
+   * @param {string} params.timestamp - ISO timestamp of the visit
+   * @param {string} params.toPetId - Pet the visit belongs to
+   * @param {string} [params.fromPetId] - Pet the visit is currently assigned to, if any
+   * @returns {Promise<string|null>} Result message returned by the API
+   * @throws {Error} If required parameters are missing or the mutation fails
+   */
+  async reassignPetVisit({
+    robotSerial, timestamp, toPetId, fromPetId = null,
+  }) {
+    if (!robotSerial || !timestamp) {
+      throw new Error('Robot serial and visit timestamp are required');
+    }
+    if (!toPetId) {
+      throw new Error('Target pet ID is required');
+    }
+
+    const input = { robotSerial, visitTimestamp: timestamp, toPetId };
+    if (fromPetId) {
+      input.fromPetId = fromPetId;
+    }
+
+    this.log(`[Session] ${colorize(LOG_COLORS.COMMAND, `Reassigning visit ${timestamp} on ${robotSerial} from ${fromPetId || 'unassigned'} to ${toPetId}`)}`);
+    const response = await this.lr4Graphql(`
+      mutation ReassignPetVisit($input: reassignPetVisitInput!) {
+        reassignPetVisit(input: $input)
+      }
+    `, { input });
+
+    if (response?.errors) {
+      this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, 'GraphQL errors reassigning pet visit:')}`, response.errors);
+      throw new Error(`GraphQL errors: ${JSON.stringify(response.errors)}`);
+    }
+
+    this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Reassigned visit ${timestamp} to pet ${toPetId}`)}`);
+    return response?.data?.reassignPetVisit || null;
+  }
+
+  /**
+   * Retrieves all Feeder-Robot units for the authenticated user.
+   * Includes the unit state, active schedule and the most recent meal and snack
+   * so devices can render their state from a single request.
+   * @returns {Promise<Array>} Array of feeder unit objects
+   */
+  async getFeeders() {
+    const response = await this.feederGraphql(`
+      query GetFeeders {
+        feeder_unit(order_by: {id: asc}) {
+          id, serial, name, timezone, isEighthCupEnabled, created_at, household_id,
+          state {
+            id, info, updated_at, active_schedule {
+              id, name, meals, created_at
+            }
+          }
+          feeding_meal(limit: 1, order_by: {timestamp: desc}) {
+            amount, meal_name, meal_number, meal_total_portions, status, timestamp
+          }
+          feeding_snack(limit: 1, order_by: {timestamp: desc}) {
+            amount, status, timestamp
+          }
+        }
+      }
+    `);
+
+    const feeders = (response.data?.feeder_unit || []).map((feeder) => ({
+      ...feeder,
+      robotType: 'FEEDER',
+    }));
+    this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Fetched ${feeders.length} Feeder-Robots`)}`);
+    return feeders;
+  }
+
+  /**
+   * Retrieves a specific Feeder-Robot by serial number.
+   * @param {string} serial - Feeder serial number
+   * @returns {Promise<Object>} Feeder unit object
+   * @throws {Error} If feeder is not found
+   */
+  async getFeeder(serial) {
+    const feeders = await this.getFeeders();
+    const feeder = feeders.find((f) => String(f.serial) === String(serial));
+    if (!feeder) {
+      throw new Error(`Feeder-Robot with serial "${serial}" not found`);
+    }
+    return feeder;
+  }
+
   /**
    * Sends command to robot via appropriate API endpoint.
    * Routes to device-specific implementation based on robot type.
    * @param {string} robotSerial - Robot serial number
    * @param {string} command - Command to send
    * @param {Object|string} [payload=null] - Optional payload data
-   * @param {string} [robotType='litter_robot_4'] - Robot type ('litter_robot_3' or 'litter_robot_4')
+   * @param {string} [robotType='litter_robot_4'] - Robot type ('litter_robot_3', 'litter_robot_4' or 'feeder_robot')
    * @param {string} [robotId=null] - Robot ID (required for LR3 commands)
    * @returns {Promise<Object>} Command response
    * @throws {Error} If robotSerial or command is missing
@@ -1245,6 +1932,7 @@ class Session extends EventEmitter {
     const commandHandlers = {
       litter_robot_3: (serial, cmd, pld, id) => this._sendLR3Command(serial, cmd, pld, id),
       litter_robot_4: (serial, cmd, pld) => this._sendLR4Command(serial, cmd, pld),
+      feeder_robot: (serial, cmd, pld) => this._sendFeederCommand(serial, cmd, pld),
     };
 
     const handler = commandHandlers[robotType] || commandHandlers.litter_robot_4;
@@ -1295,7 +1983,7 @@ class Session extends EventEmitter {
    * Updates LR4 robot state via GraphQL mutation.
    * Used for settings like night light brightness, sleep mode, etc.
    * @param {string} serial - Robot serial number
-   * @param {Object} stateUpdate - State update object (e.g., { nightLightBrightness: 50 })
+   * @param {Object} stateUpdate - State update object (e.g., { nightLightBrightness: 50 } or { weekdaySleepModeEnabled })
    * @param {string} [unitId] - Optional unit ID for the robot
    * @param {string} [userId] - Optional user ID for the robot
    * @returns {Promise<Object>} GraphQL response
@@ -1314,6 +2002,15 @@ class Session extends EventEmitter {
         litterRobot4StateUpdate(input: $input) {
           serial
           nightLightBrightness
+          weekdaySleepModeEnabled {
+            Sunday { isEnabled, sleepTime, wakeTime }
+            Monday { isEnabled, sleepTime, wakeTime }
+            Tuesday { isEnabled, sleepTime, wakeTime }
+            Wednesday { isEnabled, sleepTime, wakeTime }
+            Thursday { isEnabled, sleepTime, wakeTime }
+            Friday { isEnabled, sleepTime, wakeTime }
+            Saturday { isEnabled, sleepTime, wakeTime }
+          }
         }
       }
     `;
@@ -1398,6 +2095,49 @@ class Session extends EventEmitter {
     }
   }
 
+  /**
+   * Sends command to a Feeder-Robot via the feeder command endpoint.
+   * Each command carries a unique id so the backend can de-duplicate retries.
+   * @param {string} robotSerial - Feeder serial number
+   * @param {string} command - Command to send
+   * @param {*} [payload] - Optional command value
+   * @returns {Promise<Object>} Command response
+   * @throws {WhiskerApiException} If the command request fails
+   * @private
+   */
+  async _sendFeederCommand(robotSerial, command, payload) {
+    const body = {
+      command,
+      id: randomUUID(),
+      serial: robotSerial,
+    };
+    if (payload !== null && payload !== undefined) {
+      body.value = payload;
+    }
+
+    try {
+      const response = await fetch(ENDPOINTS.FEEDER_COMMAND, {
+        method: 'POST',
+        headers: await this.getAuthHeaders('FEEDER'),
+        body: JSON.stringify(body),
+        timeout: this.timeout,
+      });
+
+      if (!response.ok) {
+        throw new WhiskerApiException(
+          `HTTP ${response.status}: ${response.statusText}`,
+          response.status,
+        );
+      }
+
+      this.log(`[Session] ${colorize(LOG_COLORS.SUCCESS, `Successfully sent Feeder-Robot command: ${command}`)}`);
+      return { success: true };
+    } catch (err) {
+      this.homey.error(`[Session] ${colorize(LOG_COLORS.ERROR, `Failed to send Feeder-Robot command ${command}:`)}`, err);
+      throw err;
+    }
+  }
+
   /**
    * Updates LR3 robot settings via PATCH request.
    * Used for settings like sleep mode, night light, and other configuration changes.
@@ -0,0 +1,120 @@
+const { colorize, LOG_COLORS } = require('./utils');
+
+/**
+ * Persists the last known robot and pet payloads so devices can show sane
+ * values right after an app restart, before the first live update arrives.
+ * Writes are batched because robots push state updates several times a minute.
+ */
+class SnapshotStore {
+  /** Device kinds snapshots are stored for */
+  static Kinds = Object.freeze({
+    LR4: 'litter_robot_4',
+    LR3: 'litter_robot_3',
+    PET: 'pet',
+  });
+
+  /** Delay before pending snapshots are written to storage */
+  static WRITE_DELAY = 60 * 1000;
+
+  /** Snapshots older than this are ignored on restore */
+  static MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+  /**
+   * @param {object} homey - Homey instance for settings access, timers and logging.
+   */
+  constructor(homey) {
+    if (!homey) {
+      throw new Error('Homey instance is required for SnapshotStore.');
+    }
+    this.homey = homey;
+    this.log = homey.log;
+    this._pending = new Map();
+    this._writeTimer = null;
+  }
+
+  /**
+   * Retrieves the last snapshot for a device.
+   * @param {string} kind - Device kind from SnapshotStore.Kinds
+   * @param {string} id - Robot serial or pet ID
+   * @returns {object|null} Snapshot ({ data, savedAt }) or null if none exists or it is too old.
+   */
+  get(kind, id) {
+    const key = SnapshotStore._key(kind, id);
+    try {
+      const snapshot = this._pending.get(key) || this.homey.settings.get(key);
+      if (!snapshot || !snapshot.data) return null;
+      if (Date.now() - snapshot.savedAt > SnapshotStore.MAX_AGE) {
+        this.log(`[SnapshotStore] ${colorize(LOG_COLORS.INFO, `Ignoring snapshot for ${kind} ${id} older than ${SnapshotStore.MAX_AGE / 86400000} days.`)}`);
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      this.homey.error(`[SnapshotStore] ${colorize(LOG_COLORS.ERROR, `Error getting snapshot for ${kind} ${id}:`)}`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Records the latest full payload for a device. The snapshot is written
+   * with the next batch, so frequent updates cost a single write.
+   * @param {string} kind - Device kind from SnapshotStore.Kinds
+   * @param {string} id - Robot serial or pet ID
+   * @param {object} data - Full robot or pet payload
+   */
+  save(kind, id, data) {
+    if (!data || typeof data !== 'object') return;
+    this._pending.set(SnapshotStore._key(kind, id), { data, savedAt: Date.now() });
+    if (!this._writeTimer) {
+      this._writeTimer = this.homey.setTimeout(() => {
+        this._writeTimer = null;
+        this.flush();
+      }, SnapshotStore.WRITE_DELAY);
+    }
+  }
+
+  /**
+   * Writes all pending snapshots immediately, e.g. when the app shuts down.
+   */
+  flush() {
+    if (this._writeTimer) {
+      this.homey.clearTimeout(this._writeTimer);
+      this._writeTimer = null;
+    }
+    for (const [key, snapshot] of this._pending) {
+      try {
+        this.homey.settings.set(key, snapshot);
+      } catch (error) {
+        this.homey.error(`[SnapshotStore] ${colorize(LOG_COLORS.ERROR, `Error writing snapshot ${key}:`)}`, error.message);
+      }
+    }
+    this._pending.clear();
+  }
+
+  /**
+   * Removes the snapshot for a device, used when the device is deleted.
+   * @param {string} kind - Device kind from SnapshotStore.Kinds
+   * @param {string} id - Robot serial or pet ID
+   */
+  remove(kind, id) {
+    const key = SnapshotStore._key(kind, id);
+    this._pending.delete(key);
+    try {
+      this.homey.settings.unset(key);
+      this.log(`[SnapshotStore] ${colorize(LOG_COLORS.SYSTEM, `Snapshot for ${kind} ${id} removed.`)}`);
+    } catch (error) {
+      this.homey.error(`[SnapshotStore] ${colorize(LOG_COLORS.ERROR, `Error removing snapshot for ${kind} ${id}:`)}`, error.message);
+    }
+  }
+
+  /**
+   * @param {string} kind - Device kind
+   * @param {string} id - Robot serial or pet ID
+   * @returns {string} Settings key for the snapshot
+   * @private
+   */
+  static _key(kind, id) {
+    return `snapshot_${kind}_${id}`;
+  }
+}
+
+module.exports = SnapshotStore;
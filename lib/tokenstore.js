@@ -1,11 +1,24 @@
-const { colorize, LOG_COLORS } = require('./utils');
+const crypto = require('crypto');
+const { colorize, LOG_COLORS, decodeJwt } = require('./utils');
 
 /**
  * Centralized token storage for Whisker authentication.
  * Provides secure persistence of Cognito tokens across app sessions,
  * enabling seamless authentication without requiring user re-login.
+ * Tokens are kept per Whisker account, keyed by the Cognito user ID, and are
+ * encrypted with a key derived from the Homey ID so a copy of the app
+ * settings alone does not expose long-lived refresh tokens.
  */
 class TokenStore {
+  /** Settings key holding the tokens of all accounts */
+  static STORAGE_KEY = 'cognito_tokens';
+
+  /** Cipher used to encrypt the stored tokens */
+  static CIPHER = 'aes-256-gcm';
+
+  /** Salt mixed into the key derived from the Homey ID */
+  static KEY_SALT = 'com.whisker.tokenstore';
+
   /**
    * @param {object} homey - Homey instance for settings access and logging.
    */
@@ -15,20 +28,45 @@ class TokenStore {
     }
     this.homey = homey;
     this.log = homey.log;
+    this._key = null;
+  }
+
+  /**
+   * Derives the encryption key from the Homey instance.
+   * Must complete before tokens are read or written.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const homeyId = await this.homey.cloud.getHomeyId();
+    this._key = crypto.scryptSync(homeyId, TokenStore.KEY_SALT, 32);
+  }
+
+  /**
+   * Lists the accounts that have stored tokens.
+   * @returns {string[]} Cognito user IDs of the stored accounts.
+   */
+  getAccountIds() {
+    try {
+      return Object.keys(this._readAccounts());
+    } catch (error) {
+      this.homey.error(`[TokenStore] ${colorize(LOG_COLORS.ERROR, 'Error listing accounts:')}`, error.message);
+      return [];
+    }
   }
 
   /**
    * Retrieves stored authentication tokens for session restoration.
+   * @param {string} accountId - Cognito user ID of the account.
    * @returns {object|null} Stored tokens or null if not found.
    */
-  getTokens() {
+  getTokens(accountId) {
     try {
-      const tokens = this.homey.settings.get('cognito_tokens');
+      const tokens = this._readAccounts()[accountId];
       if (tokens) {
-        this.log(`[TokenStore] ${colorize(LOG_COLORS.INFO, 'Retrieved tokens from storage.')}`);
+        this.log(`[TokenStore] ${colorize(LOG_COLORS.INFO, `Retrieved tokens for account ${accountId} from storage.`)}`);
         return tokens;
       }
-      this.log(`[TokenStore] ${colorize(LOG_COLORS.INFO, 'No tokens found in storage.')}`);
+      this.log(`[TokenStore] ${colorize(LOG_COLORS.INFO, `No tokens found in storage for account ${accountId}.`)}`);
       return null;
     } catch (error) {
       this.homey.error(`[TokenStore] ${colorize(LOG_COLORS.ERROR, 'Error getting tokens:')}`, error.message);
@@ -39,16 +77,17 @@ class TokenStore {
   /**
    * Persists authentication tokens for future sessions.
    * Validates token structure to prevent storage of incomplete credentials.
+   * @param {string} accountId - Cognito user ID of the account.
    * @param {object} tokens - Complete token object with id, access, and refresh tokens.
    */
-  setTokens(tokens) {
-    if (!tokens || !tokens.id_token || !tokens.access_token || !tokens.refresh_token) {
+  setTokens(accountId, tokens) {
+    if (!accountId || !tokens || !tokens.id_token || !tokens.access_token || !tokens.refresh_token) {
       this.homey.error(`[TokenStore] ${colorize(LOG_COLORS.ERROR, 'Attempted to store invalid tokens.')}`);
       return;
     }
     try {
-      this.homey.settings.set('cognito_tokens', tokens);
-      this.log(`[TokenStore] ${colorize(LOG_COLORS.INFO, 'Tokens stored successfully.')}`);
+      this._writeAccounts({ ...this._readAccounts(), [accountId]: tokens });
+      this.log(`[TokenStore] ${colorize(LOG_COLORS.INFO, `Tokens for account ${accountId} stored successfully.`)}`);
     } catch (error) {
       this.homey.error(`[TokenStore] ${colorize(LOG_COLORS.ERROR, 'Error setting tokens:')}`, error.message);
     }
@@ -57,15 +96,100 @@ class TokenStore {
   /**
    * Removes stored tokens to force re-authentication.
    * Used during logout or when tokens become invalid.
+   * @param {string} accountId - Cognito user ID of the account.
    */
-  clearTokens() {
+  clearTokens(accountId) {
     try {
-      this.homey.settings.unset('cognito_tokens');
-      this.log(`[TokenStore] ${colorize(LOG_COLORS.SYSTEM, 'Tokens cleared from storage.')}`);
+      const { [accountId]: removed, ...accounts } = this._readAccounts();
+      if (!removed) return;
+      this._writeAccounts(accounts);
+      this.log(`[TokenStore] ${colorize(LOG_COLORS.SYSTEM, `Tokens for account ${accountId} cleared from storage.`)}`);
     } catch (error) {
       this.homey.error(`[TokenStore] ${colorize(LOG_COLORS.ERROR, 'Error clearing tokens:')}`, error.message);
     }
   }
+
+  /**
+   * Reads and decrypts the stored tokens of all accounts. Tokens stored in
+   * plain text by earlier versions are encrypted on first read, and tokens
+   * from versions that only supported a single account are moved under
+   * their Cognito user ID.
+   * @returns {object} Map of account ID to tokens.
+   * @private
+   */
+  _readAccounts() {
+    if (!this._key) {
+      throw new Error('TokenStore must be initialized before use.');
+    }
+    const stored = this.homey.settings.get(TokenStore.STORAGE_KEY);
+    if (!stored) return {};
+
+    if (stored.ciphertext) {
+      try {
+        return this._decrypt(stored);
+      } catch (error) {
+        // Happens when the settings were restored on another Homey, a new login is needed
+        this.homey.error(`[TokenStore] ${colorize(LOG_COLORS.ERROR, 'Stored tokens could not be decrypted:')}`, error.message);
+        return {};
+      }
+    }
+
+    let accounts = stored;
+    if (stored.id_token) {
+      const accountId = decodeJwt(stored.id_token)?.sub;
+      if (!accountId) {
+        this.homey.error(`[TokenStore] ${colorize(LOG_COLORS.ERROR, 'Discarding stored tokens without a Cognito user ID.')}`);
+        this.homey.settings.unset(TokenStore.STORAGE_KEY);
+        return {};
+      }
+      accounts = { [accountId]: stored };
+      this.log(`[TokenStore] ${colorize(LOG_COLORS.SYSTEM, `Migrated stored tokens to account ${accountId}.`)}`);
+    }
+    this._writeAccounts(accounts);
+    this.log(`[TokenStore] ${colorize(LOG_COLORS.SYSTEM, 'Encrypted tokens that were stored in plain text.')}`);
+    return accounts;
+  }
+
+  /**
+   * Encrypts and stores the tokens of all accounts.
+   * @param {object} accounts - Map of account ID to tokens.
+   * @private
+   */
+  _writeAccounts(accounts) {
+    this.homey.settings.set(TokenStore.STORAGE_KEY, this._encrypt(accounts));
+  }
+
+  /**
+   * @param {object} accounts - Map of account ID to tokens.
+   * @returns {object} Encrypted payload ({ iv, tag, ciphertext }, base64 encoded).
+   * @private
+   */
+  _encrypt(accounts) {
+    if (!this._key) {
+      throw new Error('TokenStore must be initialized before use.');
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(TokenStore.CIPHER, this._key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(accounts), 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64'),
+    };
+  }
+
+  /**
+   * @param {object} payload - Encrypted payload written by _encrypt.
+   * @returns {object} Map of account ID to tokens.
+   * @throws {Error} If the payload was not encrypted with this Homey's key or was tampered with.
+   * @private
+   */
+  _decrypt({ iv, tag, ciphertext }) {
+    const decipher = crypto.createDecipheriv(TokenStore.CIPHER, this._key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
 }
 
 module.exports = TokenStore;
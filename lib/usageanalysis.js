@@ -0,0 +1,151 @@
+/**
+ * @module usageanalysis
+ * Builds per-robot usage baselines from daily history and detects days where
+ * litter-box usage deviates from that baseline.
+ */
+
+/**
+ * Default analysis configuration.
+ * BASELINE_DAYS limits how far back history is used; MIN_BASELINE_DAYS avoids
+ * alerting before enough history exists to know what is normal.
+ * VISIT_SAMPLE_MARGIN is how close to midnight the last visit count of a day
+ * must have been taken for that count to cover the whole day.
+ */
+const USAGE_DEFAULTS = Object.freeze({
+  BASELINE_DAYS: 14,
+  MIN_BASELINE_DAYS: 3,
+  HISTORY_DAYS: 30,
+  THRESHOLD_PERCENT: 50,
+  NO_VISIT_HOURS: 24,
+  VISIT_SAMPLE_MARGIN: 30 * 60 * 1000,
+});
+
+/**
+ * Anomaly type constants used as trigger tokens.
+ */
+const ANOMALY_TYPES = Object.freeze({
+  HIGH_VISITS: 'high_visits',
+  HIGH_CYCLES: 'high_cycles',
+  NO_VISITS: 'no_visits',
+});
+
+/**
+ * Merges a day of usage into the history, replacing any existing entry for
+ * the same date and keeping the history sorted oldest first.
+ *
+ * @param {Array<Object>} history - Existing history entries ({ date, visits, visitsSampledAt, cycles })
+ * @param {Object} day - Day entry to merge
+ * @param {string} day.date - Local date (YYYY-MM-DD)
+ * @param {number|null} [day.visits] - Cat visits that day
+ * @param {number|null} [day.visitsSampledAt] - Time the visit count was taken in milliseconds
+ * @param {number|null} [day.cycles] - Clean cycles that day
+ * @param {number} [maxDays] - Maximum number of days to keep
+ * @returns {Array<Object>} Updated history
+ */
+function mergeUsageDay(history, day, maxDays = USAGE_DEFAULTS.HISTORY_DAYS) {
+  const existing = (history || []).find((entry) => entry.date === day.date) || {};
+  const hasVisits = typeof day.visits === 'number';
+  const merged = {
+    date: day.date,
+    visits: hasVisits ? day.visits : (existing.visits ?? null),
+    visitsSampledAt: hasVisits ? (day.visitsSampledAt ?? null) : (existing.visitsSampledAt ?? null),
+    cycles: typeof day.cycles === 'number' ? day.cycles : (existing.cycles ?? null),
+  };
+
+  return [...(history || []).filter((entry) => entry.date !== day.date), merged]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-maxDays);
+}
+
+/**
+ * Computes the average daily visits and cycles from history, excluding today
+ * because a partial day would pull the baseline down.
+ *
+ * @param {Array<Object>} history - History entries ({ date, visits, cycles })
+ * @param {string} today - Today's local date (YYYY-MM-DD)
+ * @returns {Object} Baseline with visits, cycles (null when unknown) and the number of days used
+ */
+function buildUsageBaseline(history, today) {
+  const days = (history || [])
+    .filter((entry) => entry.date < today)
+    .slice(-USAGE_DEFAULTS.BASELINE_DAYS);
+
+  const average = (key) => {
+    const values = days.map((entry) => entry[key]).filter((value) => typeof value === 'number');
+    if (values.length < USAGE_DEFAULTS.MIN_BASELINE_DAYS) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  };
+
+  return {
+    visits: average('visits'),
+    cycles: average('cycles'),
+    days: days.length,
+  };
+}
+
+/**
+ * Compares today's usage with the baseline. High usage is reported as soon as
+ * today's count exceeds the baseline by the threshold; low usage is only
+ * reported as hours without any visit, since a partial day cannot be compared
+ * with a full-day average.
+ *
+ * @param {Object} params
+ * @param {Object} params.baseline - Baseline from buildUsageBaseline
+ * @param {Object} params.today - Today's usage ({ visits, cycles })
+ * @param {Date|string|null} [params.lastVisitAt] - Time of the most recent cat visit
+ * @param {number} [params.thresholdPercent] - Allowed deviation above baseline in percent
+ * @param {number} [params.noVisitHours] - Hours without visits before alerting (0 disables)
+ * @param {Date} [params.now=new Date()] - Current time
+ * @returns {Array<Object>} Anomalies with type, description, todayValue, baselineValue and deviationPercent
+ */
+function detectUsageAnomalies({
+  baseline,
+  today,
+  lastVisitAt = null,
+  thresholdPercent = USAGE_DEFAULTS.THRESHOLD_PERCENT,
+  noVisitHours = USAGE_DEFAULTS.NO_VISIT_HOURS,
+  now = new Date(),
+}) {
+  const anomalies = [];
+  const factor = 1 + thresholdPercent / 100;
+
+  const checkHigh = (type, label, todayValue, baselineValue) => {
+    if (typeof todayValue !== 'number' || !baselineValue) return;
+    if (todayValue <= baselineValue * factor) return;
+
+    const deviationPercent = Math.round(((todayValue - baselineValue) / baselineValue) * 100);
+    anomalies.push({
+      type,
+      description: `${todayValue} ${label} today, ${deviationPercent}% above the usual ${Math.round(baselineValue * 10) / 10} per day`,
+      todayValue,
+      baselineValue: Math.round(baselineValue * 10) / 10,
+      deviationPercent,
+    });
+  };
+
+  checkHigh(ANOMALY_TYPES.HIGH_VISITS, 'visits', today?.visits, baseline?.visits);
+  checkHigh(ANOMALY_TYPES.HIGH_CYCLES, 'clean cycles', today?.cycles, baseline?.cycles);
+
+  if (noVisitHours > 0 && lastVisitAt && baseline?.visits) {
+    const hoursSinceVisit = (now - new Date(lastVisitAt)) / (60 * 60 * 1000);
+    if (hoursSinceVisit >= noVisitHours) {
+      anomalies.push({
+        type: ANOMALY_TYPES.NO_VISITS,
+        description: `No visits for ${Math.floor(hoursSinceVisit)} hours`,
+        todayValue: typeof today?.visits === 'number' ? today.visits : 0,
+        baselineValue: Math.round(baseline.visits * 10) / 10,
+        deviationPercent: -100,
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+module.exports = {
+  USAGE_DEFAULTS,
+  ANOMALY_TYPES,
+  mergeUsageDay,
+  buildUsageBaseline,
+  detectUsageAnomalies,
+};
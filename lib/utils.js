@@ -12,6 +12,9 @@ const jwt = require('jsonwebtoken');
  */
 const TOKEN_CONFIG = {
   EXPIRATION_BUFFER_SECONDS: 300, // 5 minutes buffer before token expiration
+  REFRESH_JITTER_SECONDS: 120, // Random spread so refreshes don't all fire at the same moment
+  MIN_REFRESH_DELAY_SECONDS: 10, // Shortest delay before a scheduled refresh
+  REFRESH_RETRY_SECONDS: 60, // Delay before retrying a scheduled refresh that failed transiently
 };
 
 /**